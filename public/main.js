@@ -39,6 +39,62 @@ const CONFIG = {
         camera: 1000,   // 1 Mbps
         screen: 2000    // 2 Mbps
     },
+    // Adaptive bitrate for outgoing camera video, best level first.
+    // One step below the last level means video is paused (audio keeps going).
+    adaptiveBitrate: {
+        interval: 2000,
+        levels: [
+            { maxBitrate: 1000, scaleResolutionDownBy: 1, maxFramerate: 24 }, // Same as maxBitrates.camera
+            { maxBitrate: 600, scaleResolutionDownBy: 1.5, maxFramerate: 20 },
+            { maxBitrate: 300, scaleResolutionDownBy: 2, maxFramerate: 15 },
+            { maxBitrate: 150, scaleResolutionDownBy: 3, maxFramerate: 10 }
+        ],
+        uploadBudget: 2500,     // kbps shared by all mesh camera senders - the more peers, the less each
+        audioReserve: 64,       // kbps kept free for audio before video gets any
+        maxPacketLoss: 0.08,    // Step down above 8% loss reported by the receiver...
+        maxRttIncrease: 0.15,   // ...or when RTT rises 150 ms above the best seen (seconds)
+        recoveryIntervals: 5    // Clean checks in a row before stepping back up
+    },
+    // Camera simulcast layers in SFU mode, lowest first (rids must match SIMULCAST_LAYERS in server/sfu.ts)
+    simulcastLayers: [
+        { rid: 'low', scaleResolutionDownBy: 4, maxBitrate: 150 * 1000 },
+        { rid: 'mid', scaleResolutionDownBy: 2, maxBitrate: 400 * 1000 },
+        { rid: 'high', scaleResolutionDownBy: 1, maxBitrate: 1000 * 1000 }
+    ],
+    // Which simulcast layer we receive from each participant
+    layerSelection: {
+        statsInterval: 2000,    // How often the SFU connection is checked (ms)
+        maxPacketLoss: 0.05,    // Drop a layer above 5% video packet loss...
+        maxRttIncrease: 0.1,    // ...or when RTT rises 100 ms above the best seen (seconds)
+        recoveryIntervals: 5,   // Clean checks in a row before trying one layer higher again
+        highTileWidth: 480,     // Tiles at least this wide get 'high', then 'mid', else 'low'
+        midTileWidth: 240,
+        speakingLevel: 0.05     // audioLevel above which someone counts as the active speaker
+    },
+    // What everyone sees in the meeting: gallery pages, or a speaker view with a strip
+    liveLayout: {
+        pageSize: 9,            // Gallery tiles per page (3x3)
+        mobilePageSize: 4,
+        stripSize: 4,           // Thumbnails under the main tile in speaker view
+        mobileStripSize: 3,
+        speakingThreshold: 30,  // Average analyser level that counts as talking
+        speakerHold: 1500,      // ms the current speaker must be quiet before the view moves on
+        speakerInterval: 300    // How often the analysers are read outside recordings (ms)
+    },
+    // Connection quality monitor
+    stats: {
+        interval: 2000,     // getStats() polling period (ms)
+        maxSamples: 900,    // Stats timeline kept for the diagnostics export (30 min)
+        maxEvents: 2000     // Signaling/ICE events kept for the diagnostics export
+    },
+    // File transfer over RTCDataChannel
+    fileTransfer: {
+        channelId: 1,                          // Negotiated data channel id (same on both sides)
+        chunkSize: 16 * 1024,                  // 16 KB - safe message size across browsers
+        maxBufferedAmount: 4 * 1024 * 1024,    // Pause sending above 4 MB queued
+        lowBufferedAmount: 1 * 1024 * 1024,    // Resume once the queue drains below 1 MB
+        hashSliceSize: 4 * 1024 * 1024         // The sender reads the file this much at a time to hash it
+    },
     // Recording settings - high efficiency codecs preferred
     recordingMimeTypes: [
         'video/mp4;codecs=hvc1,opus', // H.265 in MP4 (Safari/Chrome experimental)
@@ -46,7 +102,76 @@ const CONFIG = {
         'video/webm;codecs=vp9,opus',  // VP9 (Very efficient, standard in Chrome)
         'video/webm;codecs=vp8,opus',  // VP8 (Standard, less efficient)
         'video/webm'
-    ]
+    ],
+    // Mixed recording canvas - the host picks from these in the recording panel
+    recordingCompositor: {
+        resolutions: {
+            '480p': { width: 854, height: 480 },
+            '720p': { width: 1280, height: 720 },
+            '1080p': { width: 1920, height: 1080 }
+        },
+        maxTiles: 25,        // More than this and the last tile becomes "+N"
+        screenShareRatio: 0.75, // Width of a screen share next to the participant column
+        gap: 8               // Pixels between tiles, at 720p
+    },
+    // Burned into the mixed recording - toggled in the recording panel
+    recordingOverlays: {
+        titleCardDuration: 4000, // Opening card, fades out over its last second
+        noticeDuration: 4000,    // Join/leave/share lower-thirds
+        maxNotices: 3,           // Older ones drop off when several happen at once
+        watermarkWidth: 0.12     // Logo width as a share of the canvas width
+    },
+    // Automatic chapters (bookmarks are added by the host)
+    recordingChapters: {
+        minSpeakerTime: 15000 // A new speaker must hold the floor this long to start a chapter
+    },
+    // Recording chunks are streamed to the server as they are produced
+    recordingUpload: {
+        retryDelay: 2000,       // Wait before retrying a chunk while the server is unreachable
+        finishTimeout: 30000    // How long stopping waits for queued chunks before giving up
+    },
+    // "Separate tracks" mode - one file per camera and screen share instead of one mixed video
+    isolatedRecording: {
+        cameraBitrate: 1000000,
+        screenBitrate: 2500000,
+        audioMimeType: 'audio/webm;codecs=opus' // For participants without a video track
+    },
+    recordingAccessMaxAge: 90 * 24 * 60 * 60, // Seconds this browser can still open a meeting's recordings
+    devicePrefsKey: 'zoom-lite-devices', // localStorage key for the camera/mic/speaker picked in settings
+    reactionInterval: 250, // ms between our own reactions - the server drops faster ones
+    // Shared whiteboard - items are drawn in board coordinates, the server checks the same limits
+    whiteboard: {
+        width: 1600,
+        height: 900,
+        background: '#ffffff', // The eraser paints with it
+        colors: ['#1f2937', '#ef4444', '#f59e0b', '#22c55e', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6'],
+        sizes: { pen: 4, eraser: 40, line: 4, rect: 4, ellipse: 4, text: 36 },
+        maxPoints: 1000,      // Coordinates per stroke - a longer stroke goes on as a new item
+        minPointDistance: 3   // Board pixels between two recorded pen points
+    },
+    // Drawing over a shared screen - in fractions of the video's own size (scale = full width/height)
+    annotations: {
+        scale: 10000,
+        sizes: { pen: 25, line: 25, rect: 25, ellipse: 25 }, // Line widths, in the same units as the width
+        minPointDistance: 20,
+        pointerInterval: 50,  // ms between laser pointer updates we send
+        maxPoints: 1000,      // Coordinates per stroke, like the whiteboard's
+        pointerTimeout: 3000, // A pointer that stops moving (or whose owner vanished) disappears
+        pointerColor: '#ef4444'
+    },
+    // Background blur / virtual background - a segmentation model run on the CPU. Model and
+    // runtime ship in public/, so they work without internet.
+    backgroundEffects: {
+        visionBundle: '/vendor/tasks-vision/vision_bundle.mjs',
+        wasmPath: '/vendor/tasks-vision/wasm',
+        modelPath: '/models/selfie_segmentation.tflite',
+        frameRate: 20,          // Output frame rate of the processed camera
+        maskWidth: 256,         // The model works on 256x256 - bigger input only costs time
+        blurScale: { blur: 10, 'strong-blur': 20 }, // Background is shrunk by this factor and stretched back
+        frameBudget: 0.6,       // Share of a frame's time the model may use before frames are skipped
+        maxFrameSkip: 4,        // Run the model at most every 4th frame before giving up
+        adjustInterval: 2000    // How often the frame skip is reconsidered
+    }
 };
 
 // ============================================
@@ -59,16 +184,25 @@ const state = {
 
     // User info
     participantId: null,
+    reconnectToken: null, // Secret from the server, required to reclaim our seat after a drop
     roomId: null,
     name: '',
     isHost: false,
+    isCoHost: false,
 
     // Media streams
     localStream: null,
     screenStream: null,
 
     // Peer connections
-    peers: new Map(), // participantId -> { pc, stream, name, isHost, screenSender, cameraSender }
+    peers: new Map(), // participantId -> { pc, stream, name, isHost, isCoHost, screenSender, cameraSender, fileChannel }
+
+    // Media topology: 'mesh' (direct peer connections) or 'sfu' (relayed by the server)
+    topology: 'mesh',
+    sfu: null, // { publishPc, subscribePc, screenSender, tracks: Map mid -> { participantId, source, kind }, layerCap, ... }
+
+    // File transfers
+    fileTransfers: new Map(), // transferId -> { id, direction, peerId, name, size, hash, status, ... }
 
     // UI state
     isMicOn: true,
@@ -78,24 +212,122 @@ const state = {
     isRecordingPaused: false,
 
     // Recording
+    recordingSettings: {
+        mode: 'composite',  // 'composite' (one mixed video) or 'isolated' (a file per participant/screen share)
+        layout: 'grid',     // 'grid' | 'speaker' | 'filmstrip' | 'pip' | 'side-by-side' - can change while recording
+        resolution: '720p', // Key of CONFIG.recordingCompositor.resolutions
+        frameRate: 24,
+        bitrate: 2500000,
+        // Overlays can be switched while recording, like the layout
+        titleCard: true,     // Meeting name, date and host at the start
+        title: '',           // Empty = "Meeting <room id>"
+        timestamp: 'elapsed', // 'none' | 'elapsed' (recording time) | 'clock' (time of day)
+        notices: true,       // Lower-thirds when someone joins, leaves or shares
+        whiteboard: true,    // An open whiteboard takes the screen share's place
+        watermark: null      // HTMLImageElement drawn in the top-right corner
+    },
+    recordingNotices: [], // Lower-thirds on screen: [{ text, shownAt }]
+    recordingMarkers: [], // Bookmarks and chapters: [{ time (ms of recording time), label, kind }]
+    editingBookmark: null, // Marker the bookmark form renames
+    chapterSharerId: null, // Who was sharing at the last screen-share chapter
+    speakerChapter: { candidateId: null, since: 0, chapteredId: null }, // Speaker chapter debounce
+    isRecordingPanelOpen: false,
+    canRecord: false,             // The host allowed us to record on this device (the host always may)
+    recordingRequested: false,    // Asked the host for permission, no answer yet
+    recorders: [],                // Everyone recording right now: [{ id, name }] - kept by the server
+    recordingPermitted: new Set(), // Participants the host allowed to record
+    recordingRequests: [],        // Host only: [{ id, name }] asking to record
+    recordingConsentRequired: false, // New joiners must accept being recorded before their media goes out
+    awaitingRecordingConsent: false, // We joined such a meeting and haven't accepted yet
+    recordingSpeakerId: null, // Who the speaker layouts show - sticks until someone else talks
     mediaRecorder: null,
-    recordedChunks: [],
+    recordingUploads: new Map(), // key -> { recordingId, uploadToken, fileName, seq, chunks, uploading, failed, ... } - chunks not on the server yet
+    trackRecorders: new Map(), // Isolated mode: `${participantId}:camera|screen` -> { stream, signature, recorder, track }
+    trackSession: null, // Isolated mode: { id, startedAt, tracks, events, pending, manifestUpload }
     recordingCanvas: null,
     recordingCtx: null,
     recordingAnimationId: null,
     audioContext: null,
+    recordingAudioDestination: null, // Where a mixed recording takes its audio - a new mic is connected here too
     recordingStartTime: null,
     totalPausedTime: 0,
     lastPauseStartTime: null,
 
+    // Devices
+    devicePrefs: loadDevicePrefs(), // { videoinput, audioinput, audiooutput, facingMode } - remembered in localStorage
+    devicePreviewStream: null,      // Lobby only: camera and mic opened by the settings dialog
+    micLevelMeter: null,            // { context, frame } while the settings dialog shows the mic level
+    isDeviceSettingsOpen: false,
+    isSwitchingCamera: false,
+    isRearCamera: false,            // The back camera of a phone is not mirrored
+
+    // Background effects
+    backgroundEffect: 'none',     // 'none' | 'blur' | 'strong-blur' | 'image' - kept for the next meeting
+    backgroundImage: null,        // HTMLImageElement for 'image'
+    backgroundProcessor: null,    // { sourceTrack, output, video, canvases, timer, frameSkip, ... } while an effect runs
+    backgroundSegmenter: null,    // Promise of the loaded model, shared by every processor
+    isBackgroundLoading: false,
+    isBackgroundMenuOpen: false,
+
+    // Raise hand & reactions
+    raisedHands: [],              // [{ id, name, raisedAt }] - the speaking queue, kept by the server
+    isReactionMenuOpen: false,
+    lastReactionAt: 0,
+
+    isParticipantsPanelOpen: false,
+
+    // Whiteboard
+    whiteboard: { isOpen: false, ownerId: null, items: [] }, // Kept by the server, items in drawing order
+    whiteboardPending: [],        // Our items the server hasn't echoed back yet
+    whiteboardTool: 'pen',        // 'pen' | 'line' | 'rect' | 'ellipse' | 'text' | 'eraser'
+    whiteboardColor: null,        // null = our own color from the palette
+    whiteboardDraft: null,        // Item under the pointer right now
+    whiteboardBase: null,         // Offscreen canvas with every finished item - the draft goes on top
+
+    // Screen share annotations
+    annotations: { enabled: true, items: [] }, // For the current share, kept by the server
+    annotationPending: [],        // Our items the server hasn't echoed back yet
+    annotationTool: null,         // null (just watching) | 'pointer' | 'pen' | 'line' | 'rect' | 'ellipse'
+    annotationDraft: null,
+    annotationPointers: new Map(), // participantId -> { x, y, timer } - laser pointers, ours included
+    lastPointerSentAt: 0,
+    pointerSendTimer: null,       // Sends our pointer's last position when a move was throttled
+
     // Screen Share State
     screenSharerId: null,
 
     // Recording Layout & Filtering
     pinnedParticipantId: null,
     hideInactive: false,
-    audioAnalyzers: new Map(), // participantId -> { analyser, dataArray }
+    audioAnalyzers: new Map(), // participantId -> { source, analyser, dataArray, trackId }
     speakingParticipants: new Set(), // participants currently talking
+    analysisContext: null,     // AudioContext of the analysers - separate from the recording mix
+
+    // Live layout
+    liveLayout: 'gallery',     // 'gallery' | 'speaker' - our own choice
+    galleryPage: 0,
+    spotlightId: null,         // Set by a moderator: main tile for everyone, overrides liveLayout
+    activeSpeakerId: null,     // Loudest remote voice, followed by speaker view
+    activeSpeakerSpokeAt: 0,
+    speakerTimer: null,
+
+    // Adaptive bitrate
+    adaptiveTimer: null,
+    adaptiveSenders: new Map(), // RTCRtpSender -> { level, appliedLevel, goodIntervals, minRtt }
+
+    // Connection stats
+    statsTimer: null,
+    peerStats: new Map(),   // participantId -> { summary, counters, isOverlayOpen }
+    diagnostics: { startedAt: null, samples: [], events: [] }, // For the "download diagnostics" export
+
+    // Chat
+    chatMessages: [], // messages received from the server (public + direct)
+    isChatOpen: false,
+    unreadChatCount: 0,
+
+    // Waiting room
+    isWaiting: false,       // We are a joiner waiting for the host to admit us
+    waitingList: [],        // Host only: [{ id, name }] waiting for admission
 
     // Reconnection
     isReconnecting: false,
@@ -113,17 +345,38 @@ const elements = {
     meeting: document.getElementById('meeting'),
 
     // Lobby
+    lobbyNotice: document.getElementById('lobbyNotice'),
     nameInput: document.getElementById('nameInput'),
+    passcodeInput: document.getElementById('passcodeInput'),
     roomInput: document.getElementById('roomInput'),
     createBtn: document.getElementById('createBtn'),
     joinBtn: document.getElementById('joinBtn'),
+    waitingRoomToggle: document.getElementById('waitingRoomToggle'),
+    topologySelect: document.getElementById('topologySelect'),
+    waitingView: document.getElementById('waitingView'),
+    cancelWaitingBtn: document.getElementById('cancelWaitingBtn'),
 
     // Meeting header
     roomIdDisplay: document.getElementById('roomIdDisplay'),
+    roomLockIcon: document.getElementById('roomLockIcon'),
     copyRoomBtn: document.getElementById('copyRoomBtn'),
+    diagnosticsBtn: document.getElementById('diagnosticsBtn'),
+    deviceSettingsBtn: document.getElementById('deviceSettingsBtn'),
+    localBandwidthNotice: document.getElementById('localBandwidthNotice'),
     recordingIndicator: document.getElementById('recordingIndicator'),
     recordingTime: document.getElementById('recordingTime'),
+    recordingBy: document.getElementById('recordingBy'),
     participantCount: document.getElementById('participantCount'),
+    layoutBtn: document.getElementById('layoutBtn'),
+    galleryPager: document.getElementById('galleryPager'),
+    galleryPrevBtn: document.getElementById('galleryPrevBtn'),
+    galleryNextBtn: document.getElementById('galleryNextBtn'),
+    galleryPageLabel: document.getElementById('galleryPageLabel'),
+    participantsBtn: document.getElementById('participantsBtn'),
+    participantsPanel: document.getElementById('participantsPanel'),
+    participantsPanelCount: document.getElementById('participantsPanelCount'),
+    participantList: document.getElementById('participantList'),
+    closeParticipantsBtn: document.getElementById('closeParticipantsBtn'),
 
     // Video
     videoGrid: document.getElementById('videoGrid'),
@@ -137,16 +390,101 @@ const elements = {
     screenShareMain: document.getElementById('screenShareMain'),
     screenShareSidebar: document.getElementById('screenShareSidebar'),
     pipVideo: document.getElementById('pipVideo'),
+    screenShareLabel: document.getElementById('screenShareLabel'),
+    annotationCanvas: document.getElementById('annotationCanvas'),
+    annotationToolbar: document.getElementById('annotationToolbar'),
+    annotationTools: document.getElementById('annotationTools'),
+    annotateBtn: document.getElementById('annotateBtn'),
+    annotationUndoBtn: document.getElementById('annotationUndoBtn'),
+    annotationClearBtn: document.getElementById('annotationClearBtn'),
+    annotationPermissionBtn: document.getElementById('annotationPermissionBtn'),
+
+    // Whiteboard
+    whiteboardBtn: document.getElementById('whiteboardBtn'),
+    whiteboard: document.getElementById('whiteboard'),
+    whiteboardCanvas: document.getElementById('whiteboardCanvas'),
+    whiteboardColors: document.getElementById('whiteboardColors'),
+    whiteboardTextInput: document.getElementById('whiteboardTextInput'),
+    whiteboardUndoBtn: document.getElementById('whiteboardUndoBtn'),
+    whiteboardClearBtn: document.getElementById('whiteboardClearBtn'),
+    whiteboardPngBtn: document.getElementById('whiteboardPngBtn'),
+    whiteboardSvgBtn: document.getElementById('whiteboardSvgBtn'),
 
     // Controls
     micBtn: document.getElementById('micBtn'),
     cameraBtn: document.getElementById('cameraBtn'),
+    flipCameraBtn: document.getElementById('flipCameraBtn'),
+    backgroundBtn: document.getElementById('backgroundBtn'),
+    backgroundMenu: document.getElementById('backgroundMenu'),
+    backgroundImageInput: document.getElementById('backgroundImageInput'),
+    backgroundNote: document.getElementById('backgroundNote'),
+    chooseBackgroundImageBtn: document.getElementById('chooseBackgroundImageBtn'),
     screenBtn: document.getElementById('screenBtn'),
     recordBtn: document.getElementById('recordBtn'),
+    recordSettingsBtn: document.getElementById('recordSettingsBtn'),
+    recordingPanel: document.getElementById('recordingPanel'),
+    closeRecordingPanelBtn: document.getElementById('closeRecordingPanelBtn'),
+    recordingSettingsForm: document.getElementById('recordingSettingsForm'),
+    recordingSettingsNote: document.getElementById('recordingSettingsNote'),
+    removeWatermarkBtn: document.getElementById('removeWatermarkBtn'),
+    recordingConsentFieldset: document.getElementById('recordingConsentFieldset'),
     hideInactiveBtn: document.getElementById('hideInactiveBtn'),
     pauseRecordBtn: document.getElementById('pauseRecordBtn'),
+    bookmarkBtn: document.getElementById('bookmarkBtn'),
+    bookmarkForm: document.getElementById('bookmarkForm'),
+    bookmarkInput: document.getElementById('bookmarkInput'),
     stopRecordBtn: document.getElementById('stopRecordBtn'),
     leaveBtn: document.getElementById('leaveBtn'),
+    raiseHandBtn: document.getElementById('raiseHandBtn'),
+    reactionBtn: document.getElementById('reactionBtn'),
+    reactionMenu: document.getElementById('reactionMenu'),
+    chatBtn: document.getElementById('chatBtn'),
+    chatUnreadBadge: document.getElementById('chatUnreadBadge'),
+
+    // Chat panel
+    chatPanel: document.getElementById('chatPanel'),
+    closeChatBtn: document.getElementById('closeChatBtn'),
+    chatMessages: document.getElementById('chatMessages'),
+    chatForm: document.getElementById('chatForm'),
+    chatTarget: document.getElementById('chatTarget'),
+    chatInput: document.getElementById('chatInput'),
+    attachFileBtn: document.getElementById('attachFileBtn'),
+    fileInput: document.getElementById('fileInput'),
+
+    // File transfers
+    fileTransfers: document.getElementById('fileTransfers'),
+
+    // Waiting room (host)
+    waitingRoomPanel: document.getElementById('waitingRoomPanel'),
+    waitingCount: document.getElementById('waitingCount'),
+    waitingList: document.getElementById('waitingList'),
+    admitAllBtn: document.getElementById('admitAllBtn'),
+
+    // Raised hands - everyone sees the queue, moderators can lower hands
+    handQueuePanel: document.getElementById('handQueuePanel'),
+    handQueueCount: document.getElementById('handQueueCount'),
+    handQueueList: document.getElementById('handQueueList'),
+    clearHandsBtn: document.getElementById('clearHandsBtn'),
+
+    // Recording requests (host) and consent
+    recordingRequestsPanel: document.getElementById('recordingRequestsPanel'),
+    recordingRequestCount: document.getElementById('recordingRequestCount'),
+    recordingRequestList: document.getElementById('recordingRequestList'),
+    recordingConsentModal: document.getElementById('recordingConsentModal'),
+    acceptRecordingConsentBtn: document.getElementById('acceptRecordingConsentBtn'),
+    declineRecordingConsentBtn: document.getElementById('declineRecordingConsentBtn'),
+
+    // Device settings (lobby and meeting)
+    lobbyDeviceSettingsBtn: document.getElementById('lobbyDeviceSettingsBtn'),
+    deviceSettingsModal: document.getElementById('deviceSettingsModal'),
+    devicePreview: document.getElementById('devicePreview'),
+    cameraSelect: document.getElementById('cameraSelect'),
+    micSelect: document.getElementById('micSelect'),
+    micLevelBar: document.getElementById('micLevelBar'),
+    speakerField: document.getElementById('speakerField'),
+    speakerSelect: document.getElementById('speakerSelect'),
+    deviceSettingsNote: document.getElementById('deviceSettingsNote'),
+    closeDeviceSettingsBtn: document.getElementById('closeDeviceSettingsBtn'),
 
     // Toast
     toastContainer: document.getElementById('toastContainer')
@@ -156,14 +494,16 @@ const elements = {
 // Utility Functions
 // ============================================
 
-function showToast(message, type = 'info') {
+// A duration of 0 keeps the toast until it is clicked away
+function showToast(message, type = 'info', duration = 3000) {
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
 
     const icons = {
         success: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 11-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>',
         error: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>',
-        info: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>'
+        info: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>',
+        warning: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'
     };
 
     toast.innerHTML = `
@@ -173,43 +513,98 @@ function showToast(message, type = 'info') {
 
     elements.toastContainer.appendChild(toast);
 
-    setTimeout(() => {
+    const dismiss = () => {
         toast.style.animation = 'slideIn 0.3s ease reverse';
         setTimeout(() => toast.remove(), 300);
-    }, 3000);
+    };
+
+    if (duration > 0) {
+        setTimeout(dismiss, duration);
+    } else {
+        toast.classList.add('persistent');
+        toast.title = 'Click to dismiss';
+        toast.addEventListener('click', dismiss, { once: true });
+    }
 }
 
 function updateParticipantCount() {
     elements.participantCount.textContent = state.peers.size + 1;
+    renderParticipantList();
 }
 
+/**
+ * Lay out the live tiles: a main tile with a strip under it (spotlight or speaker
+ * view), or one page of the gallery. Tiles that aren't shown stop receiving video.
+ */
 function updateVideoGridLayout() {
-    const count = state.peers.size + 1;
-    elements.videoGrid.setAttribute('data-count', Math.min(count, 4));
+    const tiles = getLiveTiles();
+    const mainId = getMainTileId();
+    const main = tiles.find(tile => tile.id === mainId);
+    const isMobile = window.matchMedia('(max-width: 768px)').matches;
+    const layout = CONFIG.liveLayout;
+
+    let visible;
+    let pageCount = 1;
+    if (main) {
+        const strip = tiles.filter(tile => tile !== main).slice(0, isMobile ? layout.mobileStripSize : layout.stripSize);
+        visible = [main, ...strip];
+        elements.videoGrid.setAttribute('data-strip', strip.length);
+    } else {
+        const pageSize = isMobile ? layout.mobilePageSize : layout.pageSize;
+        pageCount = Math.ceil(tiles.length / pageSize);
+        state.galleryPage = Math.min(state.galleryPage, pageCount - 1);
+        visible = tiles.slice(state.galleryPage * pageSize, (state.galleryPage + 1) * pageSize);
+    }
+
+    // 1-4 tiles keep their own layouts, then 3 columns
+    const count = visible.length;
+    elements.videoGrid.setAttribute('data-count', count <= 4 ? count : count <= 6 ? 6 : 9);
+    elements.videoGrid.classList.toggle('speaker-view', !!main);
+
+    tiles.forEach(tile => {
+        const index = visible.indexOf(tile);
+        tile.container.classList.toggle('off-page', index === -1);
+        tile.container.classList.toggle('main-tile', tile === main);
+        tile.container.classList.toggle('first-tile', index === 0);
+        tile.container.style.order = Math.max(index, 0);
+        if (tile.id !== 'local') setPeerVideoVisible(tile.id, index !== -1);
+    });
+
+    elements.galleryPager.classList.toggle('hidden', pageCount <= 1);
+    elements.galleryPageLabel.textContent = `${state.galleryPage + 1} / ${pageCount}`;
+    elements.galleryPrevBtn.disabled = state.galleryPage === 0;
+    elements.galleryNextBtn.disabled = state.galleryPage >= pageCount - 1;
+
+    updateSfuLayers();
 }
 
 function getInitials(name) {
     return name.split(' ').map(n => n[0]).join('').toUpperCase().slice(0, 2);
 }
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 function formatTime(seconds) {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Milliseconds recorded so far - elapsed time minus pauses, including a pause still running
+function getRecordingTime() {
+    if (!state.recordingStartTime) return 0;
+    const pausedTime = state.totalPausedTime + (state.lastPauseStartTime ? Date.now() - state.lastPauseStartTime : 0);
+    return Math.max(0, Date.now() - state.recordingStartTime - pausedTime);
+}
+
 function updateRecordingTime() {
     if (state.isRecording && !state.isRecordingPaused && state.recordingStartTime) {
-        // Calculate elapsed time minus paused duration
-        const now = Date.now();
-        const totalElapsed = now - state.recordingStartTime;
-        const netElapsed = totalElapsed - state.totalPausedTime;
-
-        // Prevent negative time
-        const elapsedSeconds = Math.max(0, netElapsed / 1000);
-
         if (elements.recordingTime) {
-            elements.recordingTime.textContent = formatTime(elapsedSeconds);
+            elements.recordingTime.textContent = formatTime(getRecordingTime() / 1000);
         }
     }
 }
@@ -229,13 +624,15 @@ function connectWebSocket() {
 
     state.ws.onopen = () => {
         console.log('WebSocket connected');
+        logDiagnosticEvent('websocket', 'open');
         if (state.isReconnecting) {
             // Re-join the room
             sendSignaling({
                 type: 'join-room',
                 roomId: state.roomId,
                 name: state.name,
-                rejoinId: state.participantId
+                rejoinId: state.participantId,
+                reconnectToken: state.reconnectToken
             });
         }
 
@@ -254,7 +651,12 @@ function connectWebSocket() {
 
     state.ws.onclose = () => {
         console.log('WebSocket disconnected');
+        logDiagnosticEvent('websocket', 'close');
         if (state.pingInterval) clearInterval(state.pingInterval);
+        if (state.isWaiting) {
+            abortJoin('Connection to the server was lost while waiting');
+            return;
+        }
         if (state.roomId) {
             state.isReconnecting = true;
             showToast('Connection lost. Reconnecting...', 'error');
@@ -280,6 +682,7 @@ function connectWebSocket() {
 function sendSignaling(data) {
     if (state.ws && state.ws.readyState === WebSocket.OPEN) {
         state.ws.send(JSON.stringify(data));
+        logDiagnosticEvent('signal-out', data.type, summarizeSignal(data));
     }
 }
 
@@ -288,30 +691,73 @@ function sendSignaling(data) {
 // ============================================
 
 async function handleSignalingMessage(data) {
+    logDiagnosticEvent('signal-in', data.type, summarizeSignal(data));
+
     switch (data.type) {
         case 'room-created':
             state.roomId = data.roomId;
             state.participantId = data.participantId;
+            state.reconnectToken = data.reconnectToken;
             state.isHost = true;
+            state.recordingConsentRequired = !!data.recordingConsentRequired;
+            rememberRecordingAccess(data.roomId, data.recordingKey);
             enterMeeting();
+            setTopology(data.topology);
+            elements.roomLockIcon.classList.toggle('hidden', !data.hasPasscode);
             showToast(`Meeting created: ${data.roomId}`, 'success');
             break;
 
+        case 'waiting':
+            state.isWaiting = true;
+            showWaitingView();
+            break;
+
+        case 'admission-denied':
+            abortJoin(data.reason);
+            break;
+
+        case 'join-rejected':
+            abortJoin(data.reason);
+            elements.passcodeInput.focus();
+            break;
+
+        case 'waiting-list':
+            updateWaitingList(data.participants);
+            break;
+
         case 'room-joined':
+            state.isWaiting = false;
             state.roomId = data.roomId;
             state.participantId = data.participantId;
+            state.reconnectToken = data.reconnectToken;
             state.isHost = false;
+            state.isCoHost = false;
+            state.recordingConsentRequired = !!data.recordingConsentRequired;
+            rememberRecordingAccess(data.roomId, data.recordingKey);
             enterMeeting();
+            // Before any peer connection exists, so nothing goes out unaccepted
+            if (state.recordingConsentRequired) holdMediaForConsent();
+            setTopology(data.topology);
+            elements.roomLockIcon.classList.toggle('hidden', !data.hasPasscode);
+            loadChatHistory(data.chatHistory);
+            state.spotlightId = data.spotlightId || null; // Takes effect as the tiles arrive
 
             // Connect to existing participants
             for (const participant of data.participants) {
                 await createPeerConnection(participant.id, participant.name, participant.isHost, true);
+                setPeerRole(participant.id, participant.isHost, participant.isCoHost);
+                if (participant.isMicOn === false) updateRemoteMediaState(participant.id, 'audio', false);
+                if (participant.isCameraOn === false) updateRemoteMediaState(participant.id, 'video', false);
+                if (participant.reconnecting) setPeerReconnecting(participant.id, true);
             }
             showToast(`Joined meeting: ${data.roomId}`, 'success');
             break;
 
         case 'participant-joined':
             await createPeerConnection(data.participant.id, data.participant.name, data.participant.isHost, false);
+            setPeerRole(data.participant.id, data.participant.isHost, data.participant.isCoHost);
+            logRecordingEvent('joined', data.participant.id);
+            addRecordingNotice(`${data.participant.name} joined`);
             showToast(`${data.participant.name} joined`, 'info');
             break;
 
@@ -335,29 +781,98 @@ async function handleSignalingMessage(data) {
             updateRemoteMediaState(data.participantId, data.mediaType, data.enabled);
             break;
 
+        case 'video-paused':
+            setPeerVideoPaused(data.participantId, data.paused);
+            break;
+
         case 'start-screen-share':
             state.screenSharerId = data.participantId;
             // Store the stream ID for track identification (Efficiency/Correctness)
             const peer = state.peers.get(data.participantId);
             if (peer) peer.screenStreamId = data.streamId;
+            resetAnnotations();
             updateScreenShareLayout();
             showToast(`${peer ? peer.name : data.participantId} started screen sharing`, 'info');
+            if (peer) addRecordingNotice(`${peer.name} is sharing their screen`);
             break;
 
-        case 'stop-screen-share':
+        case 'stop-screen-share': {
+            const sharer = state.peers.get(state.screenSharerId);
+            if (sharer) addRecordingNotice(`${sharer.name} stopped sharing`);
             state.screenSharerId = null;
+            resetAnnotations();
             updateScreenShareLayout();
             showToast('Screen sharing stopped', 'info');
             break;
+        }
+
+        case 'recording-status':
+            updateRecordingStatus(data.recorders, data.permitted);
+            break;
+
+        case 'hand-queue':
+            updateHandQueue(data.queue);
+            break;
+
+        case 'spotlight':
+            handleSpotlight(data.participantId);
+            break;
+
+        case 'reaction':
+            showReaction(data.participantId, data.emoji);
+            break;
+
+        case 'whiteboard':
+            handleWhiteboardState(data);
+            break;
+
+        case 'whiteboard-item':
+            addWhiteboardItem(data.item);
+            break;
+
+        case 'whiteboard-remove':
+            removeWhiteboardItem(data.id);
+            break;
+
+        case 'whiteboard-reject':
+            rejectWhiteboardItem(data.id, data.message);
+            break;
+
+        case 'annotations':
+            handleAnnotationState(data);
+            break;
+
+        case 'annotation-item':
+            addAnnotationItem(data.item);
+            break;
+
+        case 'annotation-remove':
+            removeAnnotationItem(data.id);
+            break;
+
+        case 'annotation-reject':
+            rejectAnnotationItem(data.id, data.message);
+            break;
+
+        case 'annotation-pointer':
+            setAnnotationPointer(data.participantId, data.x, data.y);
+            break;
+
+        case 'recording-requests':
+            updateRecordingRequests(data.participants);
+            break;
+
+        case 'recording-permission':
+            handleRecordingPermission(data.allowed);
+            break;
 
-        case 'recording-started':
-            showToast('Host started recording', 'info');
-            elements.recordingIndicator.classList.remove('hidden');
+        case 'recording-consent':
+            state.recordingConsentRequired = !!data.required;
+            updateRecordingSettingsForm();
             break;
 
-        case 'recording-stopped':
-            showToast('Host stopped recording', 'info');
-            elements.recordingIndicator.classList.add('hidden');
+        case 'recording-upload':
+            handleRecordingUpload(data);
             break;
 
         case 'room-closed':
@@ -368,10 +883,28 @@ async function handleSignalingMessage(data) {
         case 'reconnected':
             state.isReconnecting = false;
             state.reconnectAttempts = 0;
+            state.isHost = !!data.isHost;
+            state.isCoHost = !!data.isCoHost;
+            state.recordingConsentRequired = !!data.recordingConsentRequired;
+            rememberRecordingAccess(data.roomId, data.recordingKey);
+            updateLocalRoleUI();
+            setTopology(data.topology); // May have switched while we were away
+            loadChatHistory(data.chatHistory);
+            handleSpotlight(data.spotlightId);
+            resendWhiteboardItems();
+            resendAnnotationItems();
             showToast('Reconnected to meeting!', 'success');
             break;
 
+        case 'participant-disconnected': {
+            const dropped = state.peers.get(data.participantId);
+            setPeerReconnecting(data.participantId, true);
+            if (dropped) showToast(`${escapeHtml(dropped.name)} lost connection - waiting for them to reconnect`, 'info');
+            break;
+        }
+
         case 'participant-reconnected':
+            setPeerReconnecting(data.participantId, false);
             showToast(`${state.peers.get(data.participantId)?.name || 'Participant'} back online`, 'info');
             // Re-negotiate if connection is failed
             const pData = state.peers.get(data.participantId);
@@ -381,9 +914,57 @@ async function handleSignalingMessage(data) {
             }
             break;
 
+        case 'topology-changed':
+            setTopology(data.topology);
+            showToast(data.topology === 'sfu'
+                ? 'Switched to SFU mode - media is relayed by the server'
+                : 'Switched to mesh mode - direct connections', 'info');
+            break;
+
+        case 'sfu-publish-answer':
+            await handleSfuPublishAnswer(data);
+            break;
+
+        case 'sfu-subscribe-offer':
+            await handleSfuSubscribeOffer(data);
+            break;
+
+        case 'chat-message':
+            receiveChatMessage(data.message);
+            break;
+
+        case 'role-changed':
+            handleRoleChanged(data);
+            break;
+
+        case 'host-mute':
+            if (state.isMicOn) toggleMic();
+            showToast('The host muted your microphone', 'info');
+            break;
+
+        case 'host-disable-camera':
+            if (state.isCameraOn) toggleCamera();
+            showToast('The host turned off your camera', 'info');
+            break;
+
+        case 'host-stop-share':
+            if (state.isScreenSharing) stopScreenShare();
+            showToast('The host stopped your screen share', 'info');
+            break;
+
+        case 'removed-from-room':
+            leaveMeeting();
+            showLobbyNotice(data.reason);
+            showToast(data.reason, 'error');
+            break;
+
         case 'error':
             showToast(data.message, 'error');
             if (data.message === 'Room not found') leaveMeeting();
+            if (data.message === 'Reconnect rejected') {
+                leaveMeeting();
+                showLobbyNotice('Could not rejoin the meeting. Please join again.');
+            }
             break;
     }
 }
@@ -399,24 +980,40 @@ async function createPeerConnection(peerId, peerName, isHost, initiator) {
 
     const peerData = {
         pc,
-        stream: new MediaStream(),
+        stream: null,        // Active camera/mic stream: meshStream or sfuStream (see applyPeerStreams)
+        meshStream: new MediaStream(),
+        sfuStream: new MediaStream(),
         name: peerName,
         isHost,
+        isCoHost: false,
         videoElement: null,
         isMicOn: true,
         isCameraOn: true,
-        screenStream: null,
+        isReconnecting: false, // Dropped - the server keeps their seat for the grace period
+        volume: 1,             // Local playback volume, set from the participants panel
+        screenStream: null,  // Active screen share stream, same rules as stream
+        meshScreenStream: null,
+        sfuScreenStream: null,
         screenSender: null,
-        cameraSenders: []
+        cameraSenders: [],
+        fileChannel: null,
+        fileSendQueue: Promise.resolve(), // Outgoing files are streamed one at a time
+        incomingTransferId: null          // Transfer that incoming binary chunks belong to
     };
 
+    peerData.stream = state.topology === 'sfu' ? peerData.sfuStream : peerData.meshStream;
     state.peers.set(peerId, peerData);
 
+    // Dedicated channel for file transfer
+    peerData.fileChannel = createFileChannel(pc, peerId);
+
     // Add local tracks to connection
     if (state.localStream) {
         state.localStream.getTracks().forEach(track => {
             const sender = pc.addTrack(track, state.localStream);
             peerData.cameraSenders.push(sender);
+            // In SFU mode the mesh only carries data channels - media goes through the server
+            if (state.topology === 'sfu') sender.replaceTrack(null);
         });
     }
 
@@ -428,29 +1025,19 @@ async function createPeerConnection(peerId, peerName, isHost, initiator) {
         // This is more robust than counting tracks
         const stream = event.streams[0];
         const isScreenShare = stream && state.peers.get(peerId)?.screenStreamId === stream.id ||
-            (stream && stream.getVideoTracks().length > 0 && peerData.stream.getVideoTracks().length > 0 && event.track.kind === 'video');
+            (stream && stream.getVideoTracks().length > 0 && peerData.meshStream.getVideoTracks().length > 0 && event.track.kind === 'video');
 
         if (event.track.kind === 'video' && isScreenShare) {
             console.log(`Received screen share track from ${peerId}`);
-            if (!peerData.screenStream) {
-                peerData.screenStream = stream;
-            }
-            // If this peer is the current screen sharer, update the main view immediately
-            if (state.screenSharerId === peerId) {
-                elements.screenShareMain.srcObject = peerData.screenStream;
+            if (!peerData.meshScreenStream) {
+                peerData.meshScreenStream = stream;
             }
+            // If this peer is the current screen sharer, this updates the main view immediately
+            applyPeerStreams(peerId);
         } else {
             // It's a camera track or audio
-            peerData.stream.addTrack(event.track);
-
-            if (!peerData.videoElement) {
-                createRemoteVideoElement(peerId, peerData);
-            }
-
-            // Initialize audio analysis if already recording
-            if (state.isRecording && event.track.kind === 'audio') {
-                initAudioAnalysis(peerId, peerData.stream);
-            }
+            peerData.meshStream.addTrack(event.track);
+            applyPeerStreams(peerId);
         }
     };
 
@@ -493,6 +1080,7 @@ async function createPeerConnection(peerId, peerName, isHost, initiator) {
     // Monitor ICE connection state
     pc.oniceconnectionstatechange = () => {
         console.log(`ICE Connection state with ${peerId}: ${pc.iceConnectionState}`);
+        logDiagnosticEvent('ice', pc.iceConnectionState, { peerId });
 
         if (pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed') {
             updateBandwidthConstraints(pc);
@@ -522,6 +1110,7 @@ async function createPeerConnection(peerId, peerName, isHost, initiator) {
 
     updateParticipantCount();
     updateVideoGridLayout();
+    updateChatTargets();
 }
 
 async function handleOffer(data) {
@@ -578,11 +1167,17 @@ async function updateBandwidthConstraints(pc) {
         for (const sender of senders) {
             if (!sender.track) continue;
 
+            // Camera senders are tuned continuously by the adaptive bitrate controller
+            if (state.adaptiveSenders.has(sender)) continue;
+
             const parameters = sender.getParameters();
             if (!parameters.encodings || parameters.encodings.length === 0) {
                 parameters.encodings = [{}];
             }
 
+            // Simulcast layers carry their own bitrates (CONFIG.simulcastLayers)
+            if (parameters.encodings.length > 1) continue;
+
             if (sender.track.kind === 'video') {
                 // Check if this is the screen share track or camera track
                 const isScreen = state.screenStream && state.screenStream.getTracks().includes(sender.track);
@@ -606,432 +1201,4084 @@ function removePeer(peerId) {
     if (peerData) {
         showToast(`${peerData.name} left`, 'info');
 
+        failPeerFileTransfers(peerId, `${peerData.name} left`);
+        logRecordingEvent('left', peerId);
+        addRecordingNotice(`${peerData.name} left`);
         peerData.pc.close();
+        state.peerStats.delete(peerId);
+        stopAudioAnalysis(peerId);
+        if (state.activeSpeakerId === peerId) state.activeSpeakerId = null;
 
         if (peerData.videoElement) {
             peerData.videoElement.parentElement.remove();
         }
 
         state.peers.delete(peerId);
+        setAnnotationPointer(peerId, null);
+        // Their share (and what was drawn on it) ends with them
+        if (state.screenSharerId === peerId) {
+            state.screenSharerId = null;
+            resetAnnotations();
+            updateScreenShareLayout();
+        }
+        syncTrackRecorders();
         updateParticipantCount();
         updateVideoGridLayout();
+        updateChatTargets();
     }
 }
 
 // ============================================
-// Remote Video Elements
+// SFU (Selective Forwarding Unit)
 // ============================================
+// In SFU mode every client sends its media once to the server (publishPc) and
+// receives everyone else's over a single connection (subscribePc). The mesh
+// connections stay up for data channels (file transfer) but stop carrying media.
 
-function createRemoteVideoElement(peerId, peerData) {
-    const container = document.createElement('div');
-    container.className = 'video-container';
-    container.id = `video-${peerId}`;
+function setTopology(topology) {
+    if (!topology || topology === state.topology) return;
 
-    const video = document.createElement('video');
-    video.autoplay = true;
-    video.playsInline = true;
-    video.srcObject = peerData.stream;
+    console.log(`Switching media topology to ${topology}`);
+    state.topology = topology;
 
-    const label = document.createElement('div');
-    label.className = 'video-label';
-    label.innerHTML = `
-    <span>${peerData.name}</span>
-    ${peerData.isHost ? '<span class="host-badge">HOST</span>' : ''}
-  `;
+    if (topology === 'sfu') {
+        setMeshMediaEnabled(false);
+        startSfu();
+    } else {
+        stopSfu();
+        setMeshMediaEnabled(true);
+    }
 
-    const status = document.createElement('div');
-    status.className = 'video-status';
-    status.innerHTML = `
-    <span id="mic-status-${peerId}" class="status-icon mic-on">
-      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M12 1a3 3 0 00-3 3v8a3 3 0 006 0V4a3 3 0 00-3-3z"></path>
-        <path d="M19 10v2a7 7 0 01-14 0v-2M12 19v4M8 23h8"></path>
-      </svg>
-    </span>
-    <button id="pin-${peerId}" class="pin-btn" title="Pin Participant" onclick="togglePin('${peerId}')">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0118 0z"></path>
-            <circle cx="12" cy="10" r="3"></circle>
-        </svg>
-    </button>
-  `;
+    state.peers.forEach((peerData, peerId) => {
+        applyPeerStreams(peerId);
+        // Bandwidth pauses belonged to the old connections
+        setPeerVideoPaused(peerId, false);
+    });
+}
 
-    container.appendChild(video);
-    container.appendChild(label);
-    container.appendChild(status);
+/**
+ * Pause or resume sending our camera/mic (and screen share) over the mesh
+ */
+function setMeshMediaEnabled(enabled) {
+    const screenTrack = state.screenStream ? state.screenStream.getVideoTracks()[0] : null;
 
-    elements.videoGrid.appendChild(container);
-    peerData.videoElement = video;
+    state.peers.forEach((peerData) => {
+        peerData.cameraSenders.forEach(sender => {
+            // The sender has no track while paused - the transceiver still knows its kind
+            const transceiver = peerData.pc.getTransceivers().find(t => t.sender === sender);
+            const kind = transceiver ? transceiver.receiver.track.kind : null;
+            const track = enabled && state.localStream
+                ? state.localStream.getTracks().find(t => t.kind === kind)
+                : null;
+            sender.replaceTrack(track || null).catch(e => console.error('Error switching mesh track:', e));
+        });
+
+        if (peerData.screenSender) {
+            peerData.screenSender.replaceTrack(enabled ? screenTrack : null)
+                .catch(e => console.error('Error switching mesh screen track:', e));
+        } else if (enabled && screenTrack) {
+            peerData.screenSender = peerData.pc.addTrack(screenTrack, state.screenStream);
+        }
+    });
 }
 
-function updateRemoteMediaState(peerId, mediaType, enabled) {
-    const peerData = state.peers.get(peerId);
-    if (!peerData) return;
+function startSfu() {
+    const publishPc = new RTCPeerConnection({ iceServers: CONFIG.iceServers });
+    state.sfu = {
+        publishPc,
+        subscribePc: null,
+        screenSender: null,
+        tracks: new Map(),
+        layerCap: CONFIG.simulcastLayers.length - 1, // Highest layer our connection currently handles
+        activeSpeakerId: null,
+        stats: { packetsLost: 0, packetsReceived: 0, minRtt: Infinity, goodIntervals: 0 },
+        statsTimer: setInterval(monitorSfuConnection, CONFIG.layerSelection.statsInterval)
+    };
 
-    if (mediaType === 'audio') {
-        peerData.isMicOn = enabled;
-        const micStatus = document.getElementById(`mic-status-${peerId}`);
-        if (micStatus) {
-            micStatus.className = `status-icon ${enabled ? 'mic-on' : 'mic-off'}`;
+    publishPc.onnegotiationneeded = () => publishToSfu();
+
+    publishPc.onicecandidate = (event) => {
+        if (event.candidate) {
+            sendSignaling({ type: 'sfu-ice', target: 'publish', candidate: event.candidate });
         }
-    } else if (mediaType === 'video') {
-        peerData.isCameraOn = enabled;
-    }
-}
+    };
 
-/**
- * Audio Analysis for active speaker detection
- */
-function initAudioAnalysis(participantId, stream) {
-    if (!stream || stream.getAudioTracks().length === 0) return;
+    publishPc.oniceconnectionstatechange = () => {
+        console.log(`SFU publish ICE state: ${publishPc.iceConnectionState}`);
+        logDiagnosticEvent('ice', publishPc.iceConnectionState, { peerId: 'sfu-publish' });
 
-    if (!state.audioContext) {
-        state.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    }
+        if (publishPc.iceConnectionState === 'connected' || publishPc.iceConnectionState === 'completed') {
+            updateBandwidthConstraints(publishPc);
+        }
 
-    const source = state.audioContext.createMediaStreamSource(stream);
-    const analyser = state.audioContext.createAnalyser();
-    analyser.fftSize = 256;
-    source.connect(analyser);
+        if (publishPc.iceConnectionState === 'failed') {
+            showToast('Connection to the media server failed', 'error');
+        }
+    };
 
-    state.audioAnalyzers.set(participantId, {
-        analyser,
-        dataArray: new Uint8Array(analyser.frequencyBinCount)
-    });
+    // Must reach the server before our first publish offer
+    sendSignaling({ type: 'sfu-join' });
+
+    if (state.localStream) {
+        state.localStream.getTracks().forEach(track => {
+            const init = { direction: 'sendonly', streams: [state.localStream] };
+            // The camera goes out in several resolutions so each viewer can pick one
+            if (track.kind === 'video') {
+                init.sendEncodings = CONFIG.simulcastLayers.map(layer => ({ ...layer }));
+            }
+            publishPc.addTransceiver(track, init);
+        });
+    }
+
+    if (state.isScreenSharing) {
+        publishScreenToSfu();
+    }
 }
 
-function updateActiveSpeakers() {
-    state.audioAnalyzers.forEach((data, id) => {
-        data.analyser.getByteFrequencyData(data.dataArray);
-        const sum = data.dataArray.reduce((a, b) => a + b, 0);
-        const average = sum / data.dataArray.length;
+function stopSfu() {
+    if (!state.sfu) return;
 
-        if (average > 30) { // Volume threshold
-            state.speakingParticipants.add(id);
-        } else {
-            state.speakingParticipants.delete(id);
-        }
+    clearInterval(state.sfu.statsTimer);
+    state.sfu.publishPc.close();
+    if (state.sfu.subscribePc) state.sfu.subscribePc.close();
+    state.sfu = null;
+
+    state.peers.forEach((peerData) => {
+        syncStreamTracks(peerData.sfuStream, []);
+        peerData.sfuScreenStream = null;
+        peerData.sfuLayer = null;
     });
+}
 
-    // Update UI if needed (active speaker border etc.)
-    document.querySelectorAll('.video-container').forEach(container => {
-        const id = container.id === 'localVideoContainer' ? 'local' : container.id.replace('remote-', '');
-        container.classList.toggle('speaking', state.speakingParticipants.has(id));
+function publishScreenToSfu() {
+    const screenTrack = state.screenStream.getVideoTracks()[0];
+    const transceiver = state.sfu.publishPc.addTransceiver(screenTrack, {
+        direction: 'sendonly',
+        streams: [state.screenStream]
     });
+    state.sfu.screenSender = transceiver.sender;
 }
 
-// ============================================
-// Recording Layout Controls
-// ============================================
+async function publishToSfu() {
+    const sfu = state.sfu;
+    if (!sfu) return;
 
-function togglePin(participantId) {
-    if (state.pinnedParticipantId === participantId) {
-        state.pinnedParticipantId = null;
-        showToast('Unpinned participant', 'info');
-    } else {
-        state.pinnedParticipantId = participantId;
-        showToast('Pinned participant', 'success');
-    }
+    try {
+        await sfu.publishPc.setLocalDescription(await sfu.publishPc.createOffer());
+
+        // Tell the server which mid carries the camera/mic and which the screen share.
+        // Removed senders have no track, so the server unpublishes them.
+        const sources = {};
+        sfu.publishPc.getTransceivers().forEach(transceiver => {
+            const track = transceiver.sender.track;
+            if (!track || !transceiver.mid) return;
+            const isScreen = state.screenStream && state.screenStream.getTracks().includes(track);
+            sources[transceiver.mid] = isScreen ? 'screen' : 'camera';
+        });
 
-    // Update UI buttons
-    document.querySelectorAll('.pin-btn').forEach(btn => {
-        const id = btn.id.replace('pin-', '');
-        btn.classList.toggle('active', state.pinnedParticipantId === id);
-    });
+        sendSignaling({
+            type: 'sfu-publish-offer',
+            sdp: sfu.publishPc.localDescription.sdp,
+            sources
+        });
+    } catch (e) {
+        console.error('Error publishing to SFU:', e);
+    }
 }
 
-function toggleHideInactive() {
-    state.hideInactive = !state.hideInactive;
-    elements.hideInactiveBtn.classList.toggle('active', state.hideInactive);
+async function handleSfuPublishAnswer(data) {
+    if (!state.sfu) return;
 
-    const label = elements.hideInactiveBtn.querySelector('span:last-child');
-    if (label) {
-        label.textContent = state.hideInactive ? 'Show All' : 'Hide Inactive';
+    try {
+        await state.sfu.publishPc.setRemoteDescription({ type: 'answer', sdp: data.sdp });
+    } catch (e) {
+        console.error('Error applying SFU publish answer:', e);
     }
-
-    showToast(state.hideInactive ? 'Hiding inactive participants from recording' : 'Showing all participants', 'info');
 }
 
-// ============================================
-// Media Controls
-// ============================================
+async function handleSfuSubscribeOffer(data) {
+    const sfu = state.sfu;
+    if (!sfu) return;
 
-async function initLocalMedia() {
-    try {
-        state.localStream = await navigator.mediaDevices.getUserMedia(CONFIG.mediaConstraints);
-        elements.localVideo.srcObject = state.localStream;
+    if (!sfu.subscribePc) {
+        sfu.subscribePc = new RTCPeerConnection({ iceServers: CONFIG.iceServers });
+        const subscribePc = sfu.subscribePc;
+        subscribePc.oniceconnectionstatechange = () => {
+            logDiagnosticEvent('ice', subscribePc.iceConnectionState, { peerId: 'sfu-subscribe' });
+        };
+        sfu.subscribePc.onicecandidate = (event) => {
+            if (event.candidate) {
+                sendSignaling({ type: 'sfu-ice', target: 'subscribe', candidate: event.candidate });
+            }
+        };
+    }
+
+    const pc = sfu.subscribePc;
+    sfu.tracks = new Map(data.tracks.map(track => [track.mid, track]));
+
+    try {
+        await pc.setRemoteDescription({ type: 'offer', sdp: data.sdp });
+        await pc.setLocalDescription(await pc.createAnswer());
+
+        sendSignaling({ type: 'sfu-subscribe-answer', sdp: pc.localDescription.sdp });
+    } catch (e) {
+        console.error('Error handling SFU subscribe offer:', e);
+        return;
+    }
+
+    syncSfuStreams();
+}
+
+/**
+ * Sort the tracks forwarded by the server into each participant's camera and
+ * screen share streams, using the mid -> participant map from the last offer
+ */
+function syncSfuStreams() {
+    const sfu = state.sfu;
+    const forwarded = new Map(); // participantId -> { camera: [], screen: [] }
+
+    sfu.subscribePc.getTransceivers().forEach(transceiver => {
+        const info = sfu.tracks.get(transceiver.mid);
+        if (!info) return;
+
+        if (!forwarded.has(info.participantId)) {
+            forwarded.set(info.participantId, { camera: [], screen: [] });
+        }
+        forwarded.get(info.participantId)[info.source].push(transceiver.receiver.track);
+    });
+
+    state.peers.forEach((peerData, peerId) => {
+        const tracks = forwarded.get(peerId) || { camera: [], screen: [] };
+
+        syncStreamTracks(peerData.sfuStream, tracks.camera);
+
+        if (tracks.screen.length === 0) {
+            peerData.sfuScreenStream = null;
+        } else {
+            if (!peerData.sfuScreenStream) peerData.sfuScreenStream = new MediaStream();
+            syncStreamTracks(peerData.sfuScreenStream, tracks.screen);
+        }
+
+        if (state.topology === 'sfu') applyPeerStreams(peerId);
+    });
+}
+
+// Keep the same MediaStream (and so the same <video> element) while tracks come and go
+function syncStreamTracks(stream, tracks) {
+    stream.getTracks().forEach(track => {
+        if (!tracks.includes(track)) stream.removeTrack(track);
+    });
+    tracks.forEach(track => {
+        if (!stream.getTracks().includes(track)) stream.addTrack(track);
+    });
+}
+
+/**
+ * Ask the server for the simulcast layer that fits how each participant is shown:
+ * screen share thumbnails get low, the pinned participant and the active speaker
+ * get high, grid tiles depend on their size. Capped by our connection quality.
+ */
+function updateSfuLayers() {
+    const sfu = state.sfu;
+    if (!sfu) return;
+
+    const layers = CONFIG.simulcastLayers.map(layer => layer.rid);
+    const { highTileWidth, midTileWidth } = CONFIG.layerSelection;
+    const isScreenShareLayout = isStageLayout();
+
+    state.peers.forEach((peerData, peerId) => {
+        let layer;
+        if (isScreenShareLayout) {
+            layer = 'low'; // Everyone is a thumbnail in the sidebar
+        } else if (peerId === state.pinnedParticipantId || peerId === sfu.activeSpeakerId || peerId === getMainTileId()) {
+            layer = 'high';
+        } else {
+            const width = peerData.videoElement ? peerData.videoElement.clientWidth : 0;
+            layer = width >= highTileWidth ? 'high' : width >= midTileWidth ? 'mid' : 'low';
+        }
+
+        layer = layers[Math.min(layers.indexOf(layer), sfu.layerCap)];
+        if (peerData.sfuLayer === layer) return;
+
+        peerData.sfuLayer = layer;
+        sendSignaling({ type: 'sfu-set-layer', participantId: peerId, layer });
+    });
+}
+
+/**
+ * Poll the subscriber connection: step the layer cap down on packet loss or rising
+ * RTT, back up after a run of clean checks. Also finds the active speaker.
+ */
+async function monitorSfuConnection() {
+    const sfu = state.sfu;
+    if (!sfu || !sfu.subscribePc) return;
+
+    let report;
+    try {
+        report = await sfu.subscribePc.getStats();
+    } catch (e) {
+        return; // Connection closed in the meantime
+    }
+    if (state.sfu !== sfu) return;
+
+    // Receiver track id -> participant, for the audio levels
+    const trackOwners = new Map();
+    sfu.subscribePc.getTransceivers().forEach(transceiver => {
+        const info = sfu.tracks.get(transceiver.mid);
+        if (info) trackOwners.set(transceiver.receiver.track.id, info.participantId);
+    });
+
+    let packetsLost = 0;
+    let packetsReceived = 0;
+    let rtt = null;
+    let loudestLevel = CONFIG.layerSelection.speakingLevel;
+    let activeSpeakerId = null;
+
+    report.forEach(stat => {
+        if (stat.type === 'inbound-rtp' && stat.kind === 'video') {
+            packetsLost += stat.packetsLost || 0;
+            packetsReceived += stat.packetsReceived || 0;
+        } else if (stat.type === 'inbound-rtp' && stat.kind === 'audio') {
+            if (stat.audioLevel > loudestLevel && trackOwners.has(stat.trackIdentifier)) {
+                loudestLevel = stat.audioLevel;
+                activeSpeakerId = trackOwners.get(stat.trackIdentifier);
+            }
+        } else if (stat.type === 'candidate-pair' && stat.nominated && stat.currentRoundTripTime !== undefined) {
+            rtt = stat.currentRoundTripTime;
+        }
+    });
+
+    const stats = sfu.stats;
+    const lost = Math.max(0, packetsLost - stats.packetsLost);
+    const received = Math.max(0, packetsReceived - stats.packetsReceived);
+    stats.packetsLost = packetsLost;
+    stats.packetsReceived = packetsReceived;
+
+    const lossRate = lost + received > 0 ? lost / (lost + received) : 0;
+    if (rtt !== null) stats.minRtt = Math.min(stats.minRtt, rtt);
+    const rttRising = rtt !== null && rtt - stats.minRtt > CONFIG.layerSelection.maxRttIncrease;
+
+    if (lossRate > CONFIG.layerSelection.maxPacketLoss || rttRising) {
+        stats.goodIntervals = 0;
+        if (sfu.layerCap > 0) {
+            sfu.layerCap--;
+            console.log(`SFU: dropping to layer ${sfu.layerCap} (loss ${(lossRate * 100).toFixed(1)}%, rtt ${rtt})`);
+        }
+    } else if (++stats.goodIntervals >= CONFIG.layerSelection.recoveryIntervals) {
+        stats.goodIntervals = 0;
+        if (sfu.layerCap < CONFIG.simulcastLayers.length - 1) {
+            sfu.layerCap++;
+            console.log(`SFU: raising to layer ${sfu.layerCap}`);
+        }
+    }
+
+    sfu.activeSpeakerId = activeSpeakerId || sfu.activeSpeakerId;
+    updateSfuLayers();
+}
+
+/**
+ * Point a peer's tile (and the screen share view) at the streams of the current topology
+ */
+function applyPeerStreams(peerId) {
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
+
+    const useSfu = state.topology === 'sfu';
+    const stream = useSfu ? peerData.sfuStream : peerData.meshStream;
+
+    peerData.stream = stream;
+    peerData.screenStream = useSfu ? peerData.sfuScreenStream : peerData.meshScreenStream;
+
+    if (!peerData.videoElement) {
+        createRemoteVideoElement(peerId, peerData);
+    } else {
+        attachPeerStream(peerData);
+    }
+
+    // Tracks come and go within the same stream - follow its current audio track
+    ensureAudioAnalysis(peerId, stream);
+    syncTrackRecorders();
+
+    if (state.screenSharerId === peerId) {
+        updateScreenShareLayout();
+    }
+}
+
+// ============================================
+// Live Layout
+// ============================================
+// Gallery pages, speaker view and the moderators' spotlight decide which tiles
+// are on screen (see updateVideoGridLayout). Tiles are only reordered and hidden
+// with CSS - moving a playing <video> around the DOM would interrupt it.
+
+// Pinned first, then us, then everyone in join order
+function getLiveTiles() {
+    const tiles = [{ id: 'local', container: elements.localVideoContainer }];
+    state.peers.forEach((peerData, peerId) => {
+        const container = document.getElementById(`video-${peerId}`);
+        if (container) tiles.push({ id: peerId, container });
+    });
+
+    const pinned = tiles.findIndex(tile => tile.id === state.pinnedParticipantId);
+    if (pinned > 0) tiles.unshift(...tiles.splice(pinned, 1));
+    return tiles;
+}
+
+// The spotlight beats everything; in speaker view our pin, then whoever is talking
+function getMainTileId() {
+    if (state.spotlightId) return state.spotlightId === state.participantId ? 'local' : state.spotlightId;
+    if (state.liveLayout !== 'speaker') return null;
+    if (state.pinnedParticipantId) return state.pinnedParticipantId;
+    if (state.activeSpeakerId && state.peers.has(state.activeSpeakerId)) return state.activeSpeakerId;
+    return state.peers.size > 0 ? state.peers.keys().next().value : 'local';
+}
+
+// Off-page tiles keep playing their audio but drop the video track, so phones
+// don't decode what nobody sees. Not while recording: the compositor draws every tile.
+function setPeerVideoVisible(peerId, visible) {
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
+
+    const hidden = !visible && !state.isRecording;
+    if (peerData.isVideoHidden === hidden) return;
+    peerData.isVideoHidden = hidden;
+    attachPeerStream(peerData);
+}
+
+function attachPeerStream(peerData) {
+    if (!peerData.videoElement) return;
+
+    let stream = peerData.stream;
+    if (peerData.isVideoHidden) {
+        if (!peerData.audioOnlyStream) peerData.audioOnlyStream = new MediaStream();
+        syncStreamTracks(peerData.audioOnlyStream, peerData.stream.getAudioTracks());
+        stream = peerData.audioOnlyStream;
+    }
+    if (peerData.videoElement.srcObject !== stream) peerData.videoElement.srcObject = stream;
+}
+
+function toggleLiveLayout() {
+    state.liveLayout = state.liveLayout === 'speaker' ? 'gallery' : 'speaker';
+    updateLayoutButton();
+    updateVideoGridLayout();
+}
+
+function updateLayoutButton() {
+    const isSpeaker = state.liveLayout === 'speaker';
+    elements.layoutBtn.classList.toggle('active', isSpeaker);
+    elements.layoutBtn.title = isSpeaker ? 'Switch to gallery view' : 'Switch to speaker view';
+}
+
+function changeGalleryPage(step) {
+    state.galleryPage = Math.max(0, state.galleryPage + step);
+    updateVideoGridLayout();
+}
+
+// Moderators only - the server checks it too
+function toggleSpotlight(participantId) {
+    if (!state.isHost && !state.isCoHost) return;
+    sendSignaling({ type: 'set-spotlight', target: state.spotlightId === participantId ? null : participantId });
+}
+
+function handleSpotlight(participantId) {
+    const previous = state.spotlightId;
+    state.spotlightId = participantId || null;
+
+    if (state.spotlightId && state.spotlightId !== previous) {
+        const name = state.spotlightId === state.participantId ? 'You are' : `${state.peers.get(state.spotlightId)?.name || 'A participant'} is`;
+        showToast(`${escapeHtml(name)} spotlighted for everyone`, 'info');
+    } else if (!state.spotlightId && previous) {
+        showToast('Spotlight removed', 'info');
+    }
+
+    document.querySelectorAll('.spotlight-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.participantId === state.spotlightId);
+    });
+    updateVideoGridLayout();
+    renderParticipantList();
+}
+
+// ============================================
+// Remote Video Elements
+// ============================================
+
+function createRemoteVideoElement(peerId, peerData) {
+    const container = document.createElement('div');
+    container.className = 'video-container';
+    container.id = `video-${peerId}`;
+
+    const video = document.createElement('video');
+    video.autoplay = true;
+    video.playsInline = true;
+    video.volume = peerData.volume;
+    applyAudioOutput(video);
+
+    const label = document.createElement('div');
+    label.className = 'video-label';
+    label.innerHTML = `
+    <span>${peerData.name}</span>
+    <span class="host-badge ${peerData.isHost ? '' : 'hidden'}">HOST</span>
+    <span class="host-badge cohost-badge ${peerData.isCoHost ? '' : 'hidden'}">CO-HOST</span>
+    <span id="hand-${peerId}" class="hand-badge hidden"></span>
+  `;
+    container.classList.toggle('peer-host', peerData.isHost);
+
+    const status = document.createElement('div');
+    status.className = 'video-status';
+    status.innerHTML = `
+    <button id="signal-${peerId}" class="signal-btn" title="Connection quality - click for details" onclick="toggleStatsOverlay('${peerId}')">
+      <svg viewBox="0 0 24 24">
+        <rect class="bar bar-1" x="3" y="16" width="3.5" height="5" rx="1"></rect>
+        <rect class="bar bar-2" x="8" y="12" width="3.5" height="9" rx="1"></rect>
+        <rect class="bar bar-3" x="13" y="8" width="3.5" height="13" rx="1"></rect>
+        <rect class="bar bar-4" x="18" y="4" width="3.5" height="17" rx="1"></rect>
+      </svg>
+    </button>
+    <span id="mic-status-${peerId}" class="status-icon mic-on">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M12 1a3 3 0 00-3 3v8a3 3 0 006 0V4a3 3 0 00-3-3z"></path>
+        <path d="M19 10v2a7 7 0 01-14 0v-2M12 19v4M8 23h8"></path>
+      </svg>
+    </span>
+    <button id="pin-${peerId}" class="pin-btn" title="Pin Participant" onclick="togglePin('${peerId}')">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0118 0z"></path>
+            <circle cx="12" cy="10" r="3"></circle>
+        </svg>
+    </button>
+  `;
+
+    // Moderation buttons - only visible to the host and co-hosts (see #meeting.is-moderator)
+    const hostActions = document.createElement('div');
+    hostActions.className = 'host-actions';
+    hostActions.innerHTML = `
+    <button class="host-action-btn" title="Mute" onclick="moderateParticipant('host-mute', '${peerId}')">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <line x1="1" y1="1" x2="23" y2="23"></line>
+        <path d="M9 9v3a3 3 0 005.12 2.12M15 9.34V4a3 3 0 00-5.94-.6"></path>
+        <path d="M17 16.95A7 7 0 015 12v-2m14 0v2c0 .57-.07 1.14-.22 1.68"></path>
+        <path d="M12 19v4M8 23h8"></path>
+      </svg>
+    </button>
+    <button class="host-action-btn" title="Turn Off Camera" onclick="moderateParticipant('host-disable-camera', '${peerId}')">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M16 16v1a2 2 0 01-2 2H3a2 2 0 01-2-2V7a2 2 0 012-2h2m5.66 0H14a2 2 0 012 2v3.34l1 1L23 7v10"></path>
+        <line x1="1" y1="1" x2="23" y2="23"></line>
+      </svg>
+    </button>
+    <button class="host-action-btn" title="Stop Screen Share" onclick="moderateParticipant('host-stop-share', '${peerId}')">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
+        <line x1="8" y1="21" x2="16" y2="21"></line>
+        <line x1="12" y1="17" x2="12" y2="21"></line>
+        <line x1="2" y1="3" x2="22" y2="17"></line>
+      </svg>
+    </button>
+    <button class="host-action-btn host-only" title="Make Co-host" onclick="changeParticipantRole('make-co-host', '${peerId}')">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"></path>
+      </svg>
+    </button>
+    <button class="host-action-btn host-only" title="Make Host" onclick="changeParticipantRole('make-host', '${peerId}')">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M2 20h20M4 20l-2-12 6 4 4-8 4 8 6-4-2 12"></path>
+      </svg>
+    </button>
+    <button class="host-action-btn spotlight-btn ${state.spotlightId === peerId ? 'active' : ''}" data-participant-id="${peerId}" title="Spotlight for Everyone" onclick="toggleSpotlight('${peerId}')">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+      </svg>
+    </button>
+    <button id="record-permission-${peerId}" class="host-action-btn host-only" title="Allow Recording" onclick="toggleRecordingPermission('${peerId}')">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"></circle>
+        <circle cx="12" cy="12" r="4" fill="currentColor"></circle>
+      </svg>
+    </button>
+    <button class="host-action-btn danger" title="Remove from Meeting" onclick="moderateParticipant('host-remove', '${peerId}')">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M16 21v-2a4 4 0 00-4-4H5a4 4 0 00-4 4v2"></path>
+        <circle cx="8.5" cy="7" r="4"></circle>
+        <line x1="18" y1="8" x2="23" y2="13"></line>
+        <line x1="23" y1="8" x2="18" y2="13"></line>
+      </svg>
+    </button>
+  `;
+
+    const bandwidthNotice = document.createElement('div');
+    bandwidthNotice.className = `bandwidth-notice ${peerData.isVideoPaused ? '' : 'hidden'}`;
+    bandwidthNotice.id = `bandwidth-notice-${peerId}`;
+    bandwidthNotice.textContent = 'Video paused due to bandwidth';
+
+    // Detailed connection stats, toggled from the signal icon
+    const statsOverlay = document.createElement('div');
+    statsOverlay.className = 'stats-overlay hidden';
+    statsOverlay.id = `stats-overlay-${peerId}`;
+
+    container.appendChild(video);
+    container.appendChild(label);
+    container.appendChild(status);
+    container.appendChild(hostActions);
+    updateRecordingPermissionButton(peerId);
+    container.appendChild(bandwidthNotice);
+    container.appendChild(statsOverlay);
+
+    elements.videoGrid.appendChild(container);
+    peerData.videoElement = video;
+    attachPeerStream(peerData);
+    updateHandBadges(); // The queue may have arrived before their tile
+    updateVideoGridLayout();
+}
+
+function updateRemoteMediaState(peerId, mediaType, enabled) {
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
+
+    logRecordingEvent(`${mediaType === 'audio' ? 'mic' : 'camera'}-${enabled ? 'on' : 'off'}`, peerId);
+
+    if (mediaType === 'audio') {
+        peerData.isMicOn = enabled;
+        const micStatus = document.getElementById(`mic-status-${peerId}`);
+        if (micStatus) {
+            micStatus.className = `status-icon ${enabled ? 'mic-on' : 'mic-off'}`;
+        }
+    } else if (mediaType === 'video') {
+        peerData.isCameraOn = enabled;
+    }
+    renderParticipantList();
+}
+
+/**
+ * Audio Analysis for active speaker detection
+ */
+function initAudioAnalysis(participantId, stream) {
+    if (!stream || stream.getAudioTracks().length === 0) return;
+
+    // Runs for the whole meeting (speaker view), so it can't share the recording's context
+    if (!state.analysisContext) {
+        state.analysisContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+
+    stopAudioAnalysis(participantId);
+    const source = state.analysisContext.createMediaStreamSource(stream);
+    const analyser = state.analysisContext.createAnalyser();
+    analyser.fftSize = 256;
+    source.connect(analyser);
+
+    state.audioAnalyzers.set(participantId, {
+        source,
+        analyser,
+        dataArray: new Uint8Array(analyser.frequencyBinCount),
+        trackId: stream.getAudioTracks()[0].id
+    });
+}
+
+function ensureAudioAnalysis(participantId, stream) {
+    const track = stream ? stream.getAudioTracks()[0] : null;
+    const current = state.audioAnalyzers.get(participantId);
+    if (track && (!current || current.trackId !== track.id)) initAudioAnalysis(participantId, stream);
+}
+
+function stopAudioAnalysis(participantId) {
+    const current = state.audioAnalyzers.get(participantId);
+    if (current) current.source.disconnect();
+    state.audioAnalyzers.delete(participantId);
+    state.speakingParticipants.delete(participantId);
+}
+
+function startSpeakerDetection() {
+    stopSpeakerDetection();
+    if (state.localStream) initAudioAnalysis('local', state.localStream);
+    state.speakerTimer = setInterval(() => {
+        // The recording loop already reads them every frame
+        if (!state.isRecording) updateActiveSpeakers();
+    }, CONFIG.liveLayout.speakerInterval);
+}
+
+function stopSpeakerDetection() {
+    clearInterval(state.speakerTimer);
+    state.speakerTimer = null;
+    state.audioAnalyzers.forEach((data, id) => stopAudioAnalysis(id));
+    if (state.analysisContext) {
+        state.analysisContext.close();
+        state.analysisContext = null;
+    }
+    state.activeSpeakerId = null;
+}
+
+function updateActiveSpeakers() {
+    let loudestId = null;
+    let loudestLevel = CONFIG.liveLayout.speakingThreshold;
+
+    state.audioAnalyzers.forEach((data, id) => {
+        data.analyser.getByteFrequencyData(data.dataArray);
+        const sum = data.dataArray.reduce((a, b) => a + b, 0);
+        const average = sum / data.dataArray.length;
+
+        if (average > CONFIG.liveLayout.speakingThreshold) {
+            state.speakingParticipants.add(id);
+        } else {
+            state.speakingParticipants.delete(id);
+        }
+        if (id !== 'local' && average > loudestLevel) {
+            loudestLevel = average;
+            loudestId = id;
+        }
+    });
+
+    // Update UI if needed (active speaker border etc.)
+    document.querySelectorAll('.video-container').forEach(container => {
+        const id = container.id === 'localVideoContainer' ? 'local' : container.id.replace('video-', '');
+        container.classList.toggle('speaking', state.speakingParticipants.has(id));
+    });
+
+    followActiveSpeaker(loudestId);
+}
+
+// Speaker view moves to the loudest voice, but only once the current speaker has
+// been quiet for a moment - otherwise every "mm-hmm" would flip the main tile
+function followActiveSpeaker(loudestId) {
+    const now = Date.now();
+    if (state.speakingParticipants.has(state.activeSpeakerId)) state.activeSpeakerSpokeAt = now;
+    if (!loudestId || loudestId === state.activeSpeakerId) return;
+
+    const current = state.activeSpeakerId;
+    if (current && state.peers.has(current) && now - state.activeSpeakerSpokeAt < CONFIG.liveLayout.speakerHold) return;
+
+    state.activeSpeakerId = loudestId;
+    state.activeSpeakerSpokeAt = now;
+    if (state.liveLayout === 'speaker' && !state.spotlightId && !state.pinnedParticipantId) updateVideoGridLayout();
+}
+
+// ============================================
+// Adaptive Bitrate
+// ============================================
+// Every few seconds each outgoing camera sender is moved along
+// CONFIG.adaptiveBitrate.levels based on what the receiver reports (loss, RTT)
+// and the browser's bandwidth estimate. When even the lowest level doesn't fit,
+// video is paused so audio stays intelligible.
+
+function startAdaptiveBitrate() {
+    stopAdaptiveBitrate();
+    state.adaptiveTimer = setInterval(adaptOutgoingVideo, CONFIG.adaptiveBitrate.interval);
+}
+
+function stopAdaptiveBitrate() {
+    clearInterval(state.adaptiveTimer);
+    state.adaptiveTimer = null;
+    state.adaptiveSenders.clear();
+    elements.localBandwidthNotice.classList.add('hidden');
+}
+
+// One sender per peer in mesh mode, a single (simulcast) one in SFU mode
+function getCameraVideoSenders() {
+    const videoTrack = state.localStream ? state.localStream.getVideoTracks()[0] : null;
+    if (!videoTrack) return [];
+
+    if (state.sfu) {
+        return state.sfu.publishPc.getSenders()
+            .filter(sender => sender.track === videoTrack)
+            .map(sender => ({ sender, peerId: null }));
+    }
+
+    const senders = [];
+    state.peers.forEach((peerData, peerId) => {
+        peerData.cameraSenders
+            .filter(sender => sender.track === videoTrack)
+            .forEach(sender => senders.push({ sender, peerId }));
+    });
+    return senders;
+}
+
+async function adaptOutgoingVideo() {
+    const config = CONFIG.adaptiveBitrate;
+    const pausedLevel = config.levels.length;
+    const senders = getCameraVideoSenders();
+
+    // Forget senders that are gone (peer left, topology switched)
+    const current = new Set(senders.map(({ sender }) => sender));
+    state.adaptiveSenders.forEach((entry, sender) => {
+        if (!current.has(sender)) state.adaptiveSenders.delete(sender);
+    });
+
+    // The mesh uploads one copy per peer, so each gets a share of the budget
+    const budgetLevel = Math.min(getLevelForBitrate(config.uploadBudget / Math.max(1, senders.length)), pausedLevel - 1);
+
+    for (const { sender, peerId } of senders) {
+        let entry = state.adaptiveSenders.get(sender);
+        if (!entry) {
+            entry = { level: 0, appliedLevel: null, goodIntervals: 0, minRtt: Infinity };
+            state.adaptiveSenders.set(sender, entry);
+        }
+
+        let report;
+        try {
+            report = await sender.getStats();
+        } catch (e) {
+            continue; // Connection closed in the meantime
+        }
+
+        const network = readOutgoingStats(report);
+        const isPaused = entry.appliedLevel !== null && entry.appliedLevel >= pausedLevel;
+
+        if (network.rtt !== null) entry.minRtt = Math.min(entry.minRtt, network.rtt);
+        const rttRising = network.rtt !== null && network.rtt - entry.minRtt > config.maxRttIncrease;
+
+        if (isPaused) {
+            // Loss reports are stale while no video flows - retry the lowest level after a while
+            if (++entry.goodIntervals >= config.recoveryIntervals) {
+                entry.level = pausedLevel - 1;
+                entry.goodIntervals = 0;
+            } else {
+                entry.level = pausedLevel;
+            }
+        } else if (network.loss > config.maxPacketLoss || rttRising) {
+            entry.level = Math.min(entry.level + 1, pausedLevel);
+            entry.goodIntervals = 0;
+        } else if (++entry.goodIntervals >= config.recoveryIntervals) {
+            entry.level = Math.max(entry.level - 1, 0);
+            entry.goodIntervals = 0;
+        }
+
+        // Never above the participant budget or the browser's bandwidth estimate
+        let level = Math.max(entry.level, budgetLevel);
+        if (!isPaused && network.availableBitrate !== null) {
+            level = Math.max(level, getLevelForBitrate(network.availableBitrate - config.audioReserve));
+        }
+        if (level >= pausedLevel) entry.level = pausedLevel;
+
+        if (level === entry.appliedLevel) continue;
+
+        await applyVideoLevel(sender, level);
+        console.log(`Adaptive bitrate: ${peerId || 'SFU'} -> ${level >= pausedLevel ? 'paused' : `level ${level}`}`);
+
+        const nowPaused = level >= pausedLevel;
+        if (nowPaused !== isPaused) {
+            sendSignaling({ type: 'video-paused', paused: nowPaused, target: peerId || undefined });
+        }
+        entry.appliedLevel = level;
+    }
+
+    const anyPaused = Array.from(state.adaptiveSenders.values())
+        .some(entry => entry.appliedLevel !== null && entry.appliedLevel >= pausedLevel);
+    elements.localBandwidthNotice.classList.toggle('hidden', !anyPaused);
+}
+
+// Best level whose bitrate fits in `kbps`, or the paused level if none does
+function getLevelForBitrate(kbps) {
+    const levels = CONFIG.adaptiveBitrate.levels;
+    const index = levels.findIndex(level => level.maxBitrate <= kbps);
+    return index === -1 ? levels.length : index;
+}
+
+function readOutgoingStats(report) {
+    let loss = 0;
+    let rtt = null;
+    let availableBitrate = null;
+
+    report.forEach(stat => {
+        if (stat.type === 'remote-inbound-rtp') {
+            // Simulcast has one per layer - the worst one counts
+            loss = Math.max(loss, stat.fractionLost || 0);
+            if (stat.roundTripTime !== undefined) rtt = Math.max(rtt || 0, stat.roundTripTime);
+        } else if (stat.type === 'candidate-pair' && stat.nominated && stat.availableOutgoingBitrate !== undefined) {
+            availableBitrate = stat.availableOutgoingBitrate / 1000;
+        }
+    });
+
+    return { loss, rtt, availableBitrate };
+}
+
+async function applyVideoLevel(sender, level) {
+    const levels = CONFIG.adaptiveBitrate.levels;
+    const paused = level >= levels.length;
+    const settings = levels[Math.min(level, levels.length - 1)];
+
+    try {
+        const parameters = sender.getParameters();
+        if (!parameters.encodings || parameters.encodings.length === 0) {
+            parameters.encodings = [{}];
+        }
+
+        if (parameters.encodings.length > 1) {
+            // Simulcast: switch off the layers this level can't afford (the lowest stays on until paused)
+            parameters.encodings.forEach((encoding, index) => {
+                const layer = CONFIG.simulcastLayers.find(l => l.rid === encoding.rid);
+                encoding.active = !paused && (index === 0 || !layer || layer.maxBitrate <= settings.maxBitrate * 1000);
+                encoding.maxFramerate = settings.maxFramerate;
+            });
+        } else {
+            const encoding = parameters.encodings[0];
+            encoding.active = !paused;
+            encoding.maxBitrate = settings.maxBitrate * 1000;
+            encoding.scaleResolutionDownBy = settings.scaleResolutionDownBy;
+            encoding.maxFramerate = settings.maxFramerate;
+        }
+
+        await sender.setParameters(parameters);
+    } catch (e) {
+        console.error('Error applying video level:', e);
+    }
+}
+
+function setPeerVideoPaused(peerId, paused) {
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
+
+    peerData.isVideoPaused = paused;
+    const notice = document.getElementById(`bandwidth-notice-${peerId}`);
+    if (notice) notice.classList.toggle('hidden', !paused);
+}
+
+// ============================================
+// Connection Stats
+// ============================================
+
+function startStatsMonitor() {
+    stopStatsMonitor();
+    state.statsTimer = setInterval(collectConnectionStats, CONFIG.stats.interval);
+}
+
+function stopStatsMonitor() {
+    clearInterval(state.statsTimer);
+    state.statsTimer = null;
+    state.peerStats.clear();
+}
+
+async function collectConnectionStats() {
+    const sample = { time: Date.now(), topology: state.topology, peers: {} };
+
+    for (const [peerId, peerData] of state.peers) {
+        try {
+            const summary = await collectPeerStats(peerId, peerData);
+            sample.peers[peerId] = summary;
+            updateSignalIcon(peerId, summary.quality);
+            renderStatsOverlay(peerId);
+        } catch (e) {
+            console.error(`Error collecting stats for ${peerId}:`, e);
+        }
+    }
+
+    const samples = state.diagnostics.samples;
+    samples.push(sample);
+    if (samples.length > CONFIG.stats.maxSamples) samples.shift();
+}
+
+/**
+ * What we receive from a peer arrives over the mesh connection, or over the SFU
+ * subscriber connection (only the transceivers carrying that peer's tracks)
+ */
+function getPeerStatsSource(peerId, peerData) {
+    if (state.topology === 'sfu' && state.sfu && state.sfu.subscribePc) {
+        const pc = state.sfu.subscribePc;
+        const receivers = pc.getTransceivers()
+            .filter(t => state.sfu.tracks.get(t.mid)?.participantId === peerId)
+            .map(t => t.receiver);
+        return { pc, receivers, senders: [] };
+    }
+
+    return { pc: peerData.pc, receivers: peerData.pc.getReceivers(), senders: peerData.pc.getSenders() };
+}
+
+async function collectPeerStats(peerId, peerData) {
+    const { pc, receivers, senders } = getPeerStatsSource(peerId, peerData);
+
+    let entry = state.peerStats.get(peerId);
+    if (!entry) {
+        entry = { summary: null, counters: new Map(), isOverlayOpen: false };
+        state.peerStats.set(peerId, entry);
+    }
+
+    const summary = {
+        name: peerData.name,
+        iceState: pc.iceConnectionState,
+        rtt: null,
+        video: null,
+        screen: null,
+        audio: null,
+        sendBitrate: null,
+        quality: 0
+    };
+
+    for (const receiver of receivers) {
+        if (!receiver.track) continue;
+        const report = await receiver.getStats();
+
+        report.forEach(stat => {
+            if (stat.type !== 'inbound-rtp') return;
+
+            const media = summarizeInboundStats(entry, stat, report);
+            if (stat.kind === 'audio') {
+                summary.audio = media;
+            } else if (peerData.screenStream && peerData.screenStream.getTracks().includes(receiver.track)) {
+                summary.screen = media;
+            } else {
+                summary.video = media;
+            }
+        });
+
+        if (summary.rtt === null) summary.rtt = getRoundTripTime(report);
+    }
+
+    // Only the mesh has a sender per peer - in SFU mode we upload once for everyone
+    if (senders.length > 0) {
+        let bitrate = 0;
+        for (const sender of senders) {
+            if (!sender.track) continue;
+            const report = await sender.getStats();
+            report.forEach(stat => {
+                if (stat.type === 'outbound-rtp') {
+                    bitrate += getBitrate(entry, stat.id, stat.bytesSent, stat.timestamp);
+                }
+            });
+        }
+        summary.sendBitrate = Math.round(bitrate);
+    }
+
+    summary.quality = getConnectionQuality(summary);
+    entry.summary = summary;
+    return summary;
+}
+
+function summarizeInboundStats(entry, stat, report) {
+    const codec = stat.codecId ? report.get(stat.codecId) : null;
+
+    // Loss over the last interval, not since the call started
+    const previous = entry.counters.get(`${stat.id}:packets`);
+    const lost = previous ? stat.packetsLost - previous.lost : 0;
+    const received = previous ? stat.packetsReceived - previous.received : 0;
+    entry.counters.set(`${stat.id}:packets`, { lost: stat.packetsLost, received: stat.packetsReceived });
+
+    const media = {
+        codec: codec ? codec.mimeType.split('/')[1] : null,
+        bitrate: Math.round(getBitrate(entry, stat.id, stat.bytesReceived, stat.timestamp)),
+        packetLoss: lost + received > 0 ? Math.max(0, lost) / (lost + received) * 100 : 0,
+        jitter: stat.jitter !== undefined ? Math.round(stat.jitter * 1000) : null
+    };
+
+    if (stat.kind === 'video') {
+        media.width = stat.frameWidth || null;
+        media.height = stat.frameHeight || null;
+        media.fps = stat.framesPerSecond !== undefined ? Math.round(stat.framesPerSecond) : null;
+    }
+
+    return media;
+}
+
+// kbps since the previous sample of the same stats object
+function getBitrate(entry, statId, bytes, timestamp) {
+    const previous = entry.counters.get(`${statId}:bytes`);
+    entry.counters.set(`${statId}:bytes`, { bytes, timestamp });
+
+    if (!previous || timestamp <= previous.timestamp) return 0;
+    return (bytes - previous.bytes) * 8 / (timestamp - previous.timestamp); // bits per ms = kbps
+}
+
+function getRoundTripTime(report) {
+    let rtt = null;
+    report.forEach(stat => {
+        if (stat.type === 'candidate-pair' && stat.nominated && stat.currentRoundTripTime !== undefined) {
+            rtt = Math.round(stat.currentRoundTripTime * 1000);
+        }
+    });
+    return rtt;
+}
+
+/**
+ * 0 (no connection) to 4 bars, from the worst of loss, RTT and jitter
+ */
+function getConnectionQuality(summary) {
+    if (['failed', 'disconnected', 'closed'].includes(summary.iceState)) return 0;
+
+    const media = [summary.video, summary.audio, summary.screen].filter(Boolean);
+    const loss = Math.max(0, ...media.map(m => m.packetLoss));
+    const jitter = Math.max(0, ...media.map(m => m.jitter || 0));
+    const rtt = summary.rtt || 0;
+
+    if (loss > 10 || rtt > 500) return 1;
+    if (loss > 5 || rtt > 300 || jitter > 50) return 2;
+    if (loss > 2 || rtt > 150 || jitter > 30) return 3;
+    return 4;
+}
+
+const QUALITY_NAMES = ['none', 'poor', 'weak', 'good', 'excellent'];
+
+function updateSignalIcon(peerId, quality) {
+    const icon = document.getElementById(`signal-${peerId}`);
+    if (icon) {
+        icon.className = `signal-btn quality-${quality}`;
+        icon.title = `Connection quality: ${QUALITY_NAMES[quality]} - click for details`;
+    }
+
+    // Same value in the participants panel, without rebuilding the whole list
+    const rosterQuality = document.getElementById(`roster-quality-${peerId}`);
+    if (rosterQuality) {
+        rosterQuality.className = `roster-quality quality-${quality}`;
+        rosterQuality.textContent = QUALITY_NAMES[quality];
+    }
+}
+
+function toggleStatsOverlay(peerId) {
+    const entry = state.peerStats.get(peerId);
+    const overlay = document.getElementById(`stats-overlay-${peerId}`);
+    if (!entry || !overlay) {
+        showToast('Collecting connection stats...', 'info');
+        return;
+    }
+
+    entry.isOverlayOpen = !entry.isOverlayOpen;
+    overlay.classList.toggle('hidden', !entry.isOverlayOpen);
+    renderStatsOverlay(peerId);
+}
+
+function renderStatsOverlay(peerId) {
+    const entry = state.peerStats.get(peerId);
+    const overlay = document.getElementById(`stats-overlay-${peerId}`);
+    if (!entry || !overlay || !entry.isOverlayOpen || !entry.summary) return;
+
+    const summary = entry.summary;
+    const rows = [
+        ['Connection', `${state.topology === 'sfu' ? 'SFU' : 'Mesh'} - ${summary.iceState}`],
+        ['RTT', summary.rtt !== null ? `${summary.rtt} ms` : '-']
+    ];
+
+    const addMediaRows = (label, media) => {
+        if (!media) return;
+        rows.push([label, media.codec || '-']);
+        if (media.width) {
+            rows.push(['Resolution', `${media.width}x${media.height} @ ${media.fps ?? '-'} fps`]);
+        }
+        rows.push(['Bitrate', `${media.bitrate} kbps`]);
+        rows.push(['Packet loss', `${media.packetLoss.toFixed(1)}%`]);
+        rows.push(['Jitter', media.jitter !== null ? `${media.jitter} ms` : '-']);
+    };
+
+    addMediaRows('Video', summary.video);
+    addMediaRows('Screen', summary.screen);
+    addMediaRows('Audio', summary.audio);
+    if (summary.sendBitrate !== null) rows.push(['Sending', `${summary.sendBitrate} kbps`]);
+
+    overlay.innerHTML = rows.map(([label, value]) =>
+        `<div class="stats-row"><span>${label}</span><span>${escapeHtml(String(value))}</span></div>`
+    ).join('');
+}
+
+// ---- Diagnostics export ----
+
+function resetDiagnostics() {
+    state.diagnostics = { startedAt: Date.now(), samples: [], events: [] };
+}
+
+function logDiagnosticEvent(category, type, detail) {
+    if (type === 'pong') return; // Heartbeat noise
+
+    const events = state.diagnostics.events;
+    events.push({ time: Date.now(), category, type, ...detail });
+    if (events.length > CONFIG.stats.maxEvents) events.shift();
+}
+
+// Who a signaling message is about - never SDP, candidates or chat text
+function summarizeSignal(data) {
+    const detail = {};
+    ['from', 'target', 'participantId', 'topology', 'layer', 'reason'].forEach(key => {
+        if (data[key] !== undefined) detail[key] = data[key];
+    });
+    return detail;
+}
+
+function downloadDiagnostics() {
+    const diagnostics = {
+        exportedAt: new Date().toISOString(),
+        startedAt: state.diagnostics.startedAt ? new Date(state.diagnostics.startedAt).toISOString() : null,
+        roomId: state.roomId,
+        participantId: state.participantId,
+        name: state.name,
+        topology: state.topology,
+        userAgent: navigator.userAgent,
+        peers: Array.from(state.peers, ([id, peerData]) => ({ id, name: peerData.name })),
+        samples: state.diagnostics.samples,
+        events: state.diagnostics.events
+    };
+
+    const blob = new Blob([JSON.stringify(diagnostics, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+    const filename = `diagnostics-${state.roomId}-${timestamp}.json`;
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    showToast(`Diagnostics saved: ${filename}`, 'success');
+}
+
+// ============================================
+// Host Moderation
+// ============================================
+
+/**
+ * Ask the server to apply a moderation action to a participant.
+ * The server checks that we really are the host before forwarding it.
+ */
+function moderateParticipant(action, peerId) {
+    if (!state.isHost && !state.isCoHost) return;
+
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
+
+    if (action === 'host-remove' && !confirm(`Remove ${peerData.name} from the meeting?`)) {
+        return;
+    }
+
+    sendSignaling({ type: action, target: peerId });
+
+    const messages = {
+        'host-mute': `Muted ${peerData.name}`,
+        'host-disable-camera': `Turned off ${peerData.name}'s camera`,
+        'host-stop-share': `Stopped ${peerData.name}'s screen share`,
+        'host-remove': `Removed ${peerData.name}`
+    };
+    showToast(escapeHtml(messages[action]), 'info');
+}
+
+// ============================================
+// Roles (Host / Co-host)
+// ============================================
+
+function changeParticipantRole(action, peerId) {
+    if (!state.isHost) return;
+
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
+
+    if (action === 'make-host') {
+        if (!confirm(`Make ${peerData.name} the host? You will become a regular participant.`)) return;
+        sendSignaling({ type: 'make-host', target: peerId });
+    } else {
+        sendSignaling({ type: 'make-co-host', target: peerId, enabled: !peerData.isCoHost });
+    }
+}
+
+function handleRoleChanged(data) {
+    if (data.participantId === state.participantId) {
+        const wasHost = state.isHost;
+        const wasCoHost = state.isCoHost;
+        state.isHost = !!data.isHost;
+        state.isCoHost = !!data.isCoHost;
+        updateLocalRoleUI();
+
+        if (state.isHost && !wasHost) showToast('You are now the host', 'success');
+        else if (state.isCoHost && !wasCoHost) showToast('You are now a co-host', 'success');
+        else if (!state.isHost && !state.isCoHost && (wasHost || wasCoHost)) showToast('You are no longer a host', 'info');
+        return;
+    }
+
+    const peerData = state.peers.get(data.participantId);
+    if (!peerData) return;
+
+    const wasHost = peerData.isHost;
+    const wasCoHost = peerData.isCoHost;
+    setPeerRole(data.participantId, data.isHost, data.isCoHost);
+
+    if (data.isHost && !wasHost) showToast(`${escapeHtml(peerData.name)} is now the host`, 'info');
+    else if (data.isCoHost && !wasCoHost) showToast(`${escapeHtml(peerData.name)} is now a co-host`, 'info');
+}
+
+function setPeerRole(peerId, isHost, isCoHost) {
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
+
+    peerData.isHost = !!isHost;
+    peerData.isCoHost = !!isCoHost;
+
+    const container = document.getElementById(`video-${peerId}`);
+    if (container) {
+        container.classList.toggle('peer-host', peerData.isHost);
+        container.querySelector('.host-badge:not(.cohost-badge)').classList.toggle('hidden', !peerData.isHost);
+        container.querySelector('.cohost-badge').classList.toggle('hidden', !peerData.isCoHost);
+    }
+
+    if (isStageLayout()) renderScreenShareSidebar();
+    renderParticipantList();
+}
+
+/**
+ * Sync badges, moderation buttons and the record button with our current role
+ */
+function updateLocalRoleUI() {
+    const isModerator = state.isHost || state.isCoHost;
+
+    elements.meeting.classList.toggle('is-host', state.isHost);
+    elements.meeting.classList.toggle('is-moderator', isModerator);
+    elements.localVideoContainer.querySelector('.host-badge:not(.cohost-badge)').classList.toggle('hidden', !state.isHost);
+    elements.localVideoContainer.querySelector('.cohost-badge').classList.toggle('hidden', !state.isCoHost);
+
+    // Record button and settings - the host records, others may have to ask first
+    updateRecordButton();
+    updateRecordingSettingsForm();
+
+    if (!isModerator) updateWaitingList([]);
+    if (!state.isHost) updateRecordingRequests([]);
+    renderHandQueue();
+    renderParticipantList();
+    updateWhiteboardControls();
+    updateAnnotationControls();
+    if (isStageLayout()) renderScreenShareSidebar();
+}
+
+// ============================================
+// Waiting Room
+// ============================================
+
+function showWaitingView() {
+    hideLobbyNotice();
+    elements.lobby.querySelector('.lobby-form:not(.waiting-view)').classList.add('hidden');
+    elements.waitingView.classList.remove('hidden');
+}
+
+function hideWaitingView() {
+    elements.waitingView.classList.add('hidden');
+    elements.lobby.querySelector('.lobby-form:not(.waiting-view)').classList.remove('hidden');
+}
+
+/**
+ * Give up on joining (cancelled, denied, wrong passcode or disconnected) and go back to the form
+ */
+function abortJoin(reason) {
+    state.isWaiting = false;
+
+    if (state.ws) {
+        const ws = state.ws;
+        state.ws = null;
+        ws.close();
+    }
+
+    stopBackgroundProcessor();
+    if (state.localStream) {
+        state.localStream.getTracks().forEach(track => track.stop());
+        state.localStream = null;
+    }
+
+    hideWaitingView();
+    if (reason) showLobbyNotice(reason);
+}
+
+// Host only: render the list of people waiting to be admitted
+function updateWaitingList(participants) {
+    const previousIds = new Set(state.waitingList.map(p => p.id));
+    state.waitingList = participants || [];
+
+    state.waitingList
+        .filter(p => !previousIds.has(p.id))
+        .forEach(p => showToast(`${escapeHtml(p.name)} is waiting to join`, 'info'));
+
+    elements.waitingCount.textContent = state.waitingList.length;
+    elements.waitingRoomPanel.classList.toggle('hidden', state.waitingList.length === 0);
+    elements.waitingList.innerHTML = '';
+
+    state.waitingList.forEach(p => {
+        const item = document.createElement('li');
+
+        const name = document.createElement('span');
+        name.className = 'waiting-name';
+        name.textContent = p.name;
+
+        const admit = document.createElement('button');
+        admit.className = 'waiting-action primary';
+        admit.textContent = 'Admit';
+        admit.addEventListener('click', () => sendSignaling({ type: 'admit-participant', target: p.id }));
+
+        const deny = document.createElement('button');
+        deny.className = 'waiting-action';
+        deny.textContent = 'Deny';
+        deny.addEventListener('click', () => sendSignaling({ type: 'deny-participant', target: p.id }));
+
+        item.appendChild(name);
+        item.appendChild(admit);
+        item.appendChild(deny);
+        elements.waitingList.appendChild(item);
+    });
+}
+
+// ============================================
+// Recording Layout Controls
+// ============================================
+
+function togglePin(participantId) {
+    if (state.pinnedParticipantId === participantId) {
+        state.pinnedParticipantId = null;
+        showToast('Unpinned participant', 'info');
+    } else {
+        state.pinnedParticipantId = participantId;
+        showToast('Pinned participant', 'success');
+    }
+
+    // Update UI buttons
+    document.querySelectorAll('.pin-btn').forEach(btn => {
+        const id = btn.id.replace('pin-', '');
+        btn.classList.toggle('active', state.pinnedParticipantId === id);
+    });
+
+    updateVideoGridLayout();
+    renderParticipantList();
+}
+
+function toggleHideInactive() {
+    state.hideInactive = !state.hideInactive;
+    elements.hideInactiveBtn.classList.toggle('active', state.hideInactive);
+
+    const label = elements.hideInactiveBtn.querySelector('span:last-child');
+    if (label) {
+        label.textContent = state.hideInactive ? 'Show All' : 'Hide Inactive';
+    }
+
+    showToast(state.hideInactive ? 'Hiding inactive participants from recording' : 'Showing all participants', 'info');
+}
+
+// ============================================
+// Media Controls
+// ============================================
+
+async function initLocalMedia() {
+    // The lobby preview would keep a phone's only camera busy
+    if (state.isDeviceSettingsOpen) closeDeviceSettings();
+
+    try {
+        state.localStream = await navigator.mediaDevices.getUserMedia(getMediaConstraints());
+        elements.localVideo.srcObject = state.localStream;
+        updateCameraFacing(state.localStream.getVideoTracks()[0]);
+        // Effect picked in an earlier meeting - in place before any connection sees the camera
+        if (state.backgroundEffect !== 'none') await setBackgroundEffect(state.backgroundEffect);
+        return true;
+    } catch (error) {
+        console.error('Error accessing media devices:', error);
+        showToast('Cannot access camera/microphone', 'error');
+        return false;
+    }
+}
+
+// Put another camera or mic track in place of ours - in the preview, the recordings and
+// every sender (mesh or SFU). replaceTrack needs no renegotiation.
+function replaceLocalTrack(newTrack) {
+    const oldTrack = state.localStream.getTracks().find(track => track.kind === newTrack.kind);
+    if (!oldTrack || oldTrack === newTrack) return;
+
+    newTrack.enabled = oldTrack.enabled;
+    state.localStream.removeTrack(oldTrack);
+    state.localStream.addTrack(newTrack);
+
+    const senders = state.sfu ? state.sfu.publishPc.getSenders() : [];
+    state.peers.forEach(peerData => senders.push(...peerData.cameraSenders));
+    senders
+        .filter(sender => sender.track === oldTrack)
+        .forEach(sender => sender.replaceTrack(newTrack).catch(e => console.error(`Error replacing ${newTrack.kind} track:`, e)));
+
+    syncTrackRecorders();
+}
+
+function toggleMic() {
+    if (state.localStream) {
+        const audioTrack = state.localStream.getAudioTracks()[0];
+        if (audioTrack) {
+            state.isMicOn = !state.isMicOn;
+            audioTrack.enabled = state.isMicOn && !state.awaitingRecordingConsent;
+
+            elements.micBtn.classList.toggle('off', !state.isMicOn);
+            elements.localMicStatus.className = `status-icon ${state.isMicOn ? 'mic-on' : 'mic-off'}`;
+
+            // Update button label
+            const label = elements.micBtn.querySelector('span:last-child');
+            if (label) {
+                label.textContent = state.isMicOn ? 'Mic On' : 'Mic Off';
+            }
+
+            sendSignaling({
+                type: 'toggle-media',
+                mediaType: 'audio',
+                enabled: state.isMicOn
+            });
+            logRecordingEvent(state.isMicOn ? 'mic-on' : 'mic-off', state.participantId);
+            renderParticipantList();
+        }
+    }
+}
+
+function toggleCamera() {
+    if (state.localStream) {
+        const videoTrack = state.localStream.getVideoTracks()[0];
+        if (videoTrack) {
+            state.isCameraOn = !state.isCameraOn;
+            videoTrack.enabled = state.isCameraOn && !state.awaitingRecordingConsent;
+            if (state.backgroundProcessor) syncBackgroundSource(state.backgroundProcessor);
+
+            elements.cameraBtn.classList.toggle('off', !state.isCameraOn);
+
+            // Update button label
+            const label = elements.cameraBtn.querySelector('span:last-child');
+            if (label) {
+                label.textContent = state.isCameraOn ? 'Cam On' : 'Cam Off';
+            }
+
+            sendSignaling({
+                type: 'toggle-media',
+                mediaType: 'video',
+                enabled: state.isCameraOn
+            });
+            logRecordingEvent(state.isCameraOn ? 'camera-on' : 'camera-off', state.participantId);
+            renderParticipantList();
+        }
+    }
+}
+
+async function toggleScreenShare() {
+    if (state.isScreenSharing) {
+        stopScreenShare();
+    } else {
+        await startScreenShare();
+    }
+}
+
+async function startScreenShare() {
+    if (state.awaitingRecordingConsent) {
+        showToast('Accept the recording notice first', 'warning');
+        return;
+    }
+
+    try {
+        state.screenStream = await navigator.mediaDevices.getDisplayMedia(CONFIG.screenConstraints);
+
+        const screenTrack = state.screenStream.getVideoTracks()[0];
+
+        if (state.topology === 'sfu') {
+            // Publish once to the server, which forwards it to everyone
+            publishScreenToSfu();
+        } else {
+            // Add screen track to peer connections
+            state.peers.forEach((peerData) => {
+                // Remove old screen sender if exists (prevent accumulation)
+                if (peerData.screenSender) {
+                    try {
+                        peerData.pc.removeTrack(peerData.screenSender);
+                    } catch (e) { console.error(e); }
+                }
+                peerData.screenSender = peerData.pc.addTrack(screenTrack, state.screenStream);
+            });
+        }
+
+        // Handle screen share stop
+        screenTrack.onended = () => {
+            stopScreenShare();
+        };
+
+        state.isScreenSharing = true;
+        elements.screenBtn.classList.add('active');
+
+        // Update button label
+        const label = elements.screenBtn.querySelector('span:last-child');
+        if (label) {
+            label.textContent = 'Stop Share';
+        }
+
+        // Show screen share layout with PiP
+        resetAnnotations();
+        updateScreenShareLayout();
+        addRecordingNotice(`${state.name || 'Host'} is sharing their screen`);
+
+        sendSignaling({
+            type: 'start-screen-share',
+            streamId: state.screenStream.id
+        });
+        showToast('Screen sharing started', 'success');
+
+    } catch (error) {
+        console.error('Error starting screen share:', error);
+        if (error.name !== 'AbortError') {
+            showToast('Cannot share screen', 'error');
+        }
+    }
+}
+
+/**
+ * Helper to draw image on canvas with aspect ratio preservation (Contain or Cover)
+ */
+function drawImageAspect(ctx, img, x, y, w, h, mode = 'contain') {
+    if (!img || img.readyState < 2) return;
+
+    const rect = getAspectRect(img.videoWidth || img.width, img.videoHeight || img.height, x, y, w, h, mode);
+    ctx.drawImage(img, rect.x, rect.y, rect.w, rect.h);
+}
+
+/**
+ * Where an image of imgW x imgH lands in the box when drawn by drawImageAspect (or
+ * shown with object-fit) - screen share annotations are placed on the same rect
+ */
+function getAspectRect(imgW, imgH, x, y, w, h, mode = 'contain') {
+    const imgRatio = imgW / imgH;
+    const targetRatio = w / h;
+
+    let renderW, renderH, renderX, renderY;
+
+    if (mode === 'contain') {
+        // Fit within the box (letterbox/pillarbox)
+        if (imgRatio > targetRatio) {
+            renderW = w;
+            renderH = w / imgRatio;
+        } else {
+            renderH = h;
+            renderW = h * imgRatio;
+        }
+    } else {
+        // Fill the box (crop sides/top)
+        if (imgRatio > targetRatio) {
+            renderH = h;
+            renderW = h * imgRatio;
+        } else {
+            renderW = w;
+            renderH = w / imgRatio;
+        }
+    }
+
+    renderX = x + (w - renderW) / 2;
+    renderY = y + (h - renderH) / 2;
+
+    return { x: renderX, y: renderY, w: renderW, h: renderH };
+}
+
+// A screen share or the whiteboard takes the middle, the cameras move to the sidebar
+function isStageLayout() {
+    return !!(state.isScreenSharing || state.screenSharerId || state.whiteboard.isOpen);
+}
+
+function updateScreenShareLayout() {
+    // Check if anyone is sharing (local or remote)
+    const isSharing = state.isScreenSharing || state.screenSharerId;
+
+    // Tiles become sidebar thumbnails (or back) - adjust the received quality
+    updateSfuLayers();
+
+    // A share started or ended - separate-track recordings follow it
+    syncTrackRecorders();
+    updateShareChapter();
+    renderParticipantList();
+
+    if (!isStageLayout()) {
+        elements.screenShareLayout.classList.add('hidden');
+        elements.videoGrid.classList.remove('hidden');
+        elements.screenShareMain.srcObject = null;
+        return;
+    }
+
+    elements.screenShareLayout.classList.remove('hidden');
+    elements.videoGrid.classList.add('hidden');
+
+    // A screen share covers the whiteboard, which comes back when the share ends
+    elements.screenShareMain.classList.toggle('hidden', !isSharing);
+    elements.annotationCanvas.classList.toggle('hidden', !isSharing);
+    elements.annotationToolbar.classList.toggle('hidden', !isSharing);
+    elements.whiteboard.classList.toggle('hidden', !!isSharing);
+    elements.screenShareLabel.textContent = isSharing ? '📺 Screen Share' : '🖊️ Whiteboard';
+
+    // Handle Main View (Screen Share)
+    if (!isSharing) {
+        elements.screenShareMain.srcObject = null;
+        renderWhiteboard();
+    } else if (state.isScreenSharing) {
+        // Local user is sharing
+        elements.screenShareMain.srcObject = state.screenStream;
+        elements.screenShareMain.muted = true; // Mute local preview
+    } else {
+        // Remote user is sharing
+        const peerData = state.peers.get(state.screenSharerId);
+        if (peerData && peerData.screenStream) {
+            elements.screenShareMain.srcObject = peerData.screenStream;
+            elements.screenShareMain.muted = false;
+        }
+    }
+
+    if (isSharing) {
+        updateAnnotationControls();
+        renderAnnotations();
+    }
+    renderScreenShareSidebar();
+}
+
+function renderScreenShareSidebar() {
+    const sidebar = elements.screenShareSidebar;
+    sidebar.innerHTML = ''; // Clear existing
+
+    // Add local user camera
+    const localPip = document.createElement('div');
+    localPip.className = 'pip-container';
+
+    // Video
+    const localVideo = document.createElement('video');
+    localVideo.autoplay = true;
+    localVideo.muted = true;
+    localVideo.playsInline = true;
+    localVideo.srcObject = state.localStream;
+    localPip.appendChild(localVideo);
+
+    // Label
+    const localLabel = document.createElement('div');
+    localLabel.className = 'pip-label';
+    localLabel.textContent = 'You' + (state.isHost ? ' (Host)' : '');
+    localPip.appendChild(localLabel);
+
+    sidebar.appendChild(localPip);
+
+    // Add other participants
+    state.peers.forEach((peerData, peerId) => {
+        const pip = document.createElement('div');
+        pip.className = 'pip-container';
+
+        // Video
+        // Muted: the hidden tile keeps playing this person's audio, at the volume set for them
+        const video = document.createElement('video');
+        video.autoplay = true;
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = peerData.stream;
+        video.style.transform = 'scaleX(1)'; // Don't mirror remote video
+        pip.appendChild(video);
+
+        // Label
+        const label = document.createElement('div');
+        label.className = 'pip-label';
+        label.textContent = peerData.name;
+        pip.appendChild(label);
+
+        // Mic status icon
+        if (!peerData.isMicOn) {
+            const micIcon = document.createElement('div');
+            micIcon.className = 'pip-status';
+            micIcon.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="1" y1="1" x2="23" y2="23"></line><path d="M9 9v3a3 3 0 005.12 2.12M15 9.34V4a3 3 0 00-5.94-.6"></path><path d="M17 16.95A7 7 0 015 12v-2m14 0v2c0 .57-.07 1.14-.22 1.68"></path><path d="M12 19v4M8 23h8"></path></svg>`;
+            pip.appendChild(micIcon);
+        }
+
+        sidebar.appendChild(pip);
+    });
+}
+
+function stopScreenShare() {
+    if (state.screenStream) {
+        state.screenStream.getTracks().forEach(track => track.stop());
+
+        // Remove track from all peer connections
+        state.peers.forEach(peerData => {
+            if (peerData.screenSender) {
+                try {
+                    peerData.pc.removeTrack(peerData.screenSender);
+                    peerData.screenSender = null;
+                } catch (e) {
+                    console.error('Error removing screen track:', e);
+                }
+            }
+        });
+
+        if (state.sfu && state.sfu.screenSender) {
+            state.sfu.publishPc.removeTrack(state.sfu.screenSender);
+            state.sfu.screenSender = null;
+        }
+
+        state.screenStream = null;
+    }
+
+    state.isScreenSharing = false;
+    elements.screenBtn.classList.remove('active');
+
+    // Update button label
+    const label = elements.screenBtn.querySelector('span:last-child');
+    if (label) {
+        label.textContent = 'Share';
+    }
+
+    // Hide screen share layout
+    resetAnnotations();
+    updateScreenShareLayout();
+    addRecordingNotice(`${state.name || 'Host'} stopped sharing`);
+
+    sendSignaling({ type: 'stop-screen-share' });
+    showToast('Screen sharing stopped', 'info');
+}
+
+// ============================================
+// Devices
+// ============================================
+// The settings dialog lists cameras, microphones and speakers. In the lobby it
+// opens its own preview; in a meeting a new camera or mic replaces the track
+// in every sender on the spot. Choices are remembered in localStorage.
+
+function loadDevicePrefs() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.devicePrefsKey)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveDevicePrefs(changes) {
+    state.devicePrefs = { ...state.devicePrefs, ...changes };
+    try {
+        localStorage.setItem(CONFIG.devicePrefsKey, JSON.stringify(state.devicePrefs));
+    } catch (e) {
+        // Private mode or storage full - the choice just isn't remembered
+    }
+}
+
+// CONFIG.mediaConstraints with the remembered devices. `ideal` so an unplugged device
+// falls back to another one instead of failing.
+function getMediaConstraints() {
+    const prefs = state.devicePrefs;
+    const video = { ...CONFIG.mediaConstraints.video };
+    const audio = { ...CONFIG.mediaConstraints.audio };
+
+    if (prefs.videoinput) {
+        delete video.facingMode;
+        video.deviceId = { ideal: prefs.videoinput };
+    } else if (prefs.facingMode) {
+        video.facingMode = prefs.facingMode;
+    }
+    if (prefs.audioinput) audio.deviceId = { ideal: prefs.audioinput };
+
+    return { video, audio };
+}
+
+// The real camera/mic track - under a background effect the camera is the processor's source
+function getActiveTrack(kind) {
+    if (kind === 'video' && state.backgroundProcessor) return state.backgroundProcessor.sourceTrack;
+    const stream = state.localStream || state.devicePreviewStream;
+    return stream ? stream.getTracks().find(track => track.kind === kind) : null;
+}
+
+function updateCameraFacing(track) {
+    state.isRearCamera = !!track && track.getSettings().facingMode === 'environment';
+    elements.meeting.classList.toggle('rear-camera', state.isRearCamera);
+}
+
+async function switchCamera(videoConstraints) {
+    const oldTrack = getActiveTrack('video');
+    if (!state.localStream || !oldTrack || state.isSwitchingCamera) return;
+    state.isSwitchingCamera = true;
+
+    // Phones can't open a second camera while one is running
+    const previousId = oldTrack.getSettings().deviceId;
+    oldTrack.stop();
+
+    let track = null;
+    try {
+        track = (await navigator.mediaDevices.getUserMedia({ video: videoConstraints })).getVideoTracks()[0];
+    } catch (e) {
+        console.error('Error switching camera:', e);
+        showToast('Could not switch camera', 'error');
+        try {
+            const video = { ...getMediaConstraints().video, deviceId: { exact: previousId } };
+            track = (await navigator.mediaDevices.getUserMedia({ video })).getVideoTracks()[0];
+        } catch (e2) {
+            console.error('Could not reopen the previous camera:', e2);
+        }
+    }
+
+    if (track && state.localStream) {
+        if (state.backgroundProcessor) {
+            setBackgroundSource(state.backgroundProcessor, track);
+        } else {
+            replaceLocalTrack(track);
+        }
+        updateCameraFacing(track);
+        const settings = track.getSettings();
+        saveDevicePrefs({ videoinput: settings.deviceId, facingMode: settings.facingMode });
+    } else if (track) {
+        track.stop(); // Left the meeting meanwhile
+    }
+
+    state.isSwitchingCamera = false;
+    refreshDeviceSettings();
+}
+
+// Front <-> back on phones; elsewhere the next camera in the list
+async function flipCamera() {
+    const current = getActiveTrack('video');
+    if (!current) return;
+
+    const settings = current.getSettings();
+    const video = { ...CONFIG.mediaConstraints.video };
+    if (settings.facingMode) {
+        video.facingMode = { exact: settings.facingMode === 'environment' ? 'user' : 'environment' };
+    } else {
+        const cameras = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'videoinput');
+        if (cameras.length < 2) return;
+        const index = cameras.findIndex(d => d.deviceId === settings.deviceId);
+        delete video.facingMode;
+        video.deviceId = { exact: cameras[(index + 1) % cameras.length].deviceId };
+    }
+
+    await switchCamera(video);
+}
+
+async function switchMicrophone(deviceId) {
+    if (!state.localStream) return;
+
+    let track;
+    try {
+        const audio = { ...CONFIG.mediaConstraints.audio, deviceId: { exact: deviceId } };
+        track = (await navigator.mediaDevices.getUserMedia({ audio })).getAudioTracks()[0];
+    } catch (e) {
+        console.error('Error switching microphone:', e);
+        showToast('Could not switch microphone', 'error');
+        return;
+    }
+
+    const oldTrack = state.localStream.getAudioTracks()[0];
+    replaceLocalTrack(track);
+    if (oldTrack) oldTrack.stop();
+
+    // The speaking indicator and a running mixed recording still listen to the old mic
+    if (state.audioAnalyzers.has('local')) initAudioAnalysis('local', state.localStream);
+    if (state.recordingAudioDestination) {
+        state.audioContext.createMediaStreamSource(new MediaStream([track])).connect(state.recordingAudioDestination);
+    }
+
+    saveDevicePrefs({ audioinput: track.getSettings().deviceId });
+    refreshDeviceSettings();
+}
+
+// Speakers can only be picked where the browser supports setSinkId (not Safari/iOS)
+function applyAudioOutput(element) {
+    if (typeof element.setSinkId !== 'function') return;
+    element.setSinkId(state.devicePrefs.audiooutput || '')
+        .catch(e => console.warn('Could not route audio to the chosen speaker:', e));
+}
+
+function setAudioOutput(deviceId) {
+    saveDevicePrefs({ audiooutput: deviceId });
+    document.querySelectorAll('video, audio').forEach(applyAudioOutput);
+}
+
+async function openDeviceSettings() {
+    state.isDeviceSettingsOpen = true;
+    elements.deviceSettingsModal.classList.remove('hidden');
+    elements.deviceSettingsNote.textContent = '';
+
+    if (!state.localStream) await startDevicePreview();
+    refreshDeviceSettings();
+}
+
+function closeDeviceSettings() {
+    state.isDeviceSettingsOpen = false;
+    elements.deviceSettingsModal.classList.add('hidden');
+    elements.devicePreview.srcObject = null;
+    stopMicLevelMeter();
+    stopDevicePreview();
+}
+
+// Lobby: open the remembered camera and mic just for the dialog
+async function startDevicePreview() {
+    stopDevicePreview();
+    try {
+        state.devicePreviewStream = await navigator.mediaDevices.getUserMedia(getMediaConstraints());
+    } catch (e) {
+        console.error('Error opening preview:', e);
+        elements.deviceSettingsNote.textContent = 'Kamera/mikrofon tidak bisa dibuka. Periksa izin browser.';
+    }
+}
+
+function stopDevicePreview() {
+    if (!state.devicePreviewStream) return;
+    state.devicePreviewStream.getTracks().forEach(track => track.stop());
+    state.devicePreviewStream = null;
+}
+
+// Re-read the device lists and restart the preview and level meter on the current tracks
+async function refreshDeviceSettings() {
+    updateFlipCameraButton();
+    if (!state.isDeviceSettingsOpen) return;
+
+    const stream = state.localStream || state.devicePreviewStream;
+    elements.devicePreview.srcObject = stream;
+    const camera = getActiveTrack('video');
+    elements.devicePreview.classList.toggle('rear-camera', !!camera && camera.getSettings().facingMode === 'environment');
+    startMicLevelMeter(stream);
+
+    // Labels are only filled in once the page has camera/mic permission
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const mic = getActiveTrack('audio');
+    fillDeviceSelect(elements.cameraSelect, devices, 'videoinput', camera ? camera.getSettings().deviceId : null);
+    fillDeviceSelect(elements.micSelect, devices, 'audioinput', mic ? mic.getSettings().deviceId : null);
+    fillDeviceSelect(elements.speakerSelect, devices, 'audiooutput', state.devicePrefs.audiooutput || 'default');
+    elements.speakerField.classList.toggle('hidden', typeof HTMLMediaElement.prototype.setSinkId !== 'function');
+}
+
+function fillDeviceSelect(select, devices, kind, selectedId) {
+    const names = { videoinput: 'Camera', audioinput: 'Microphone', audiooutput: 'Speaker' };
+    select.innerHTML = '';
+    devices.filter(device => device.kind === kind).forEach((device, index) => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label || `${names[kind]} ${index + 1}`;
+        select.appendChild(option);
+    });
+    if (selectedId) select.value = selectedId;
+}
+
+async function changeDevice(kind, deviceId) {
+    if (kind === 'audiooutput') {
+        setAudioOutput(deviceId);
+        return;
+    }
+
+    if (state.localStream) {
+        if (kind === 'videoinput') {
+            await switchCamera({ ...getMediaConstraints().video, deviceId: { exact: deviceId } });
+        } else {
+            await switchMicrophone(deviceId);
+        }
+        return;
+    }
+
+    // Lobby: remember it and reopen the preview with it
+    saveDevicePrefs(kind === 'videoinput' ? { videoinput: deviceId, facingMode: undefined } : { audioinput: deviceId });
+    await startDevicePreview();
+    refreshDeviceSettings();
+}
+
+function startMicLevelMeter(stream) {
+    stopMicLevelMeter();
+    if (!stream || stream.getAudioTracks().length === 0) return;
+
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+    context.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Uint8Array(analyser.fftSize);
+
+    const meter = { context, frame: null };
+    const draw = () => {
+        analyser.getByteTimeDomainData(samples);
+        let peak = 0;
+        for (const sample of samples) peak = Math.max(peak, Math.abs(sample - 128));
+        elements.micLevelBar.style.width = `${Math.min(100, (peak / 128) * 150)}%`;
+        meter.frame = requestAnimationFrame(draw);
+    };
+    draw();
+    state.micLevelMeter = meter;
+}
+
+function stopMicLevelMeter() {
+    const meter = state.micLevelMeter;
+    if (!meter) return;
+
+    cancelAnimationFrame(meter.frame);
+    meter.context.close();
+    state.micLevelMeter = null;
+    elements.micLevelBar.style.width = '0%';
+}
+
+// Only worth a button when there is another camera to flip to
+async function updateFlipCameraButton() {
+    if (!state.localStream) return;
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const cameras = devices.filter(device => device.kind === 'videoinput');
+    elements.flipCameraBtn.classList.toggle('hidden', cameras.length < 2);
+}
+
+// ============================================
+// Background Effects
+// ============================================
+// Blur or replace what is behind us. A segmentation model (MediaPipe selfie
+// segmenter on the CPU, served by our own server) finds the person in a small
+// copy of each camera frame; the frame is then composed on a canvas whose
+// captured track replaces the camera everywhere it is sent. Slow devices run
+// the model on fewer frames, and if even that can't keep up the effect is
+// turned off.
+
+// Loaded on first use and shared; a failed load may be retried later
+function loadBackgroundSegmenter() {
+    if (!state.backgroundSegmenter) {
+        const config = CONFIG.backgroundEffects;
+        state.backgroundSegmenter = (async () => {
+            const { FilesetResolver, ImageSegmenter } = await import(config.visionBundle);
+            const fileset = await FilesetResolver.forVisionTasks(config.wasmPath);
+            return ImageSegmenter.createFromOptions(fileset, {
+                baseOptions: { modelAssetPath: config.modelPath, delegate: 'CPU' },
+                runningMode: 'VIDEO',
+                outputCategoryMask: false,
+                outputConfidenceMasks: true
+            });
+        })();
+        state.backgroundSegmenter.catch(() => { state.backgroundSegmenter = null; });
+    }
+    return state.backgroundSegmenter;
+}
+
+async function setBackgroundEffect(effect) {
+    if (effect === 'image' && !state.backgroundImage) {
+        elements.backgroundImageInput.click();
+        return;
+    }
+
+    state.backgroundEffect = effect;
+    updateBackgroundMenu();
+
+    if (effect === 'none') {
+        stopBackgroundProcessor();
+        return;
+    }
+    // A running processor reads the effect on every frame
+    if (state.backgroundProcessor || state.isBackgroundLoading) return;
+
+    const cameraTrack = state.localStream ? state.localStream.getVideoTracks()[0] : null;
+    if (!cameraTrack) return;
+
+    state.isBackgroundLoading = true;
+    updateBackgroundMenu();
+
+    let processor = null;
+    try {
+        processor = await startBackgroundProcessor(cameraTrack);
+    } catch (e) {
+        console.error('Background effects unavailable:', e);
+        state.backgroundEffect = 'none';
+        showToast('Background effects are not available', 'error');
+    }
+    state.isBackgroundLoading = false;
+
+    // Switched off, or the meeting ended, while the model was loading
+    const cameraInUse = state.localStream && state.localStream.getVideoTracks()[0] === cameraTrack;
+    if (processor && (state.backgroundEffect === 'none' || !cameraInUse)) {
+        disposeBackgroundProcessor(processor);
+        // The camera was switched meanwhile - start over with the new one
+        if (state.backgroundEffect !== 'none' && state.localStream) setBackgroundEffect(state.backgroundEffect);
+    } else if (processor) {
+        state.backgroundProcessor = processor;
+        replaceLocalTrack(processor.track);
+        syncBackgroundSource(processor);
+    }
+    updateBackgroundMenu();
+}
+
+async function startBackgroundProcessor(sourceTrack) {
+    const config = CONFIG.backgroundEffects;
+    const segmenter = await loadBackgroundSegmenter();
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([sourceTrack]);
+    await video.play();
+
+    const createCanvas = () => {
+        const canvas = document.createElement('canvas');
+        return { canvas, ctx: canvas.getContext('2d') };
+    };
+
+    const processor = {
+        sourceTrack,
+        video,
+        segmenter,
+        output: createCanvas(),     // What we send
+        input: createCanvas(),      // Small copy of the frame the model looks at
+        mask: createCanvas(),       // Opaque where the person is
+        person: createCanvas(),     // The frame cut out by the mask
+        background: createCanvas(), // Shrunk frame, stretched back up as the blur
+        maskData: null,
+        hasMask: false,
+        track: null,                // Captured from the output canvas, replaces the camera
+        timer: null,
+        stopped: false,
+        frame: 0,
+        frameSkip: navigator.hardwareConcurrency <= 4 ? 2 : 1, // Start gently on phones
+        modelTime: 0,               // Moving average of one model run, ms
+        lastAdjust: performance.now()
+    };
+
+    renderBackgroundFrame(processor);
+    processor.track = processor.output.canvas.captureStream(config.frameRate).getVideoTracks()[0];
+    scheduleBackgroundFrame(processor);
+    return processor;
+}
+
+function scheduleBackgroundFrame(processor) {
+    const interval = 1000 / CONFIG.backgroundEffects.frameRate;
+    const started = performance.now();
+    processor.timer = setTimeout(() => {
+        if (processor.stopped) return;
+        renderBackgroundFrame(processor);
+        scheduleBackgroundFrame(processor);
+    }, Math.max(0, interval - (performance.now() - started)));
+}
+
+// Canvases follow the camera's size, which changes when a phone is rotated
+function resizeBackgroundProcessor(processor, width, height) {
+    const maskWidth = CONFIG.backgroundEffects.maskWidth;
+    const maskHeight = Math.round(maskWidth * height / width);
+
+    [processor.output, processor.person].forEach(({ canvas }) => {
+        canvas.width = width;
+        canvas.height = height;
+    });
+    [processor.input, processor.mask].forEach(({ canvas }) => {
+        canvas.width = maskWidth;
+        canvas.height = maskHeight;
+    });
+    processor.maskData = new ImageData(maskWidth, maskHeight);
+    processor.hasMask = false;
+}
+
+function renderBackgroundFrame(processor) {
+    const { video, output, person } = processor;
+    // Nothing goes out while the camera is off
+    if (processor.track && !processor.track.enabled) return;
+    if (video.readyState < 2 || !video.videoWidth) return;
+
+    const width = video.videoWidth;
+    const height = video.videoHeight;
+    if (output.canvas.width !== width || output.canvas.height !== height || !processor.maskData) {
+        resizeBackgroundProcessor(processor, width, height);
+    }
+
+    if (processor.frame++ % processor.frameSkip === 0) runBackgroundSegmentation(processor);
+
+    // Upscaling the small mask gives the cut-out soft edges
+    person.ctx.globalCompositeOperation = 'copy';
+    person.ctx.drawImage(video, 0, 0, width, height);
+    person.ctx.globalCompositeOperation = 'destination-in';
+    person.ctx.drawImage(processor.mask.canvas, 0, 0, width, height);
+
+    drawBackgroundEffect(processor, width, height);
+    output.ctx.drawImage(person.canvas, 0, 0);
+}
+
+function drawBackgroundEffect(processor, width, height) {
+    const ctx = processor.output.ctx;
+
+    if (state.backgroundEffect === 'image' && state.backgroundImage) {
+        drawImageAspect(ctx, state.backgroundImage, 0, 0, width, height, 'cover');
+        return;
+    }
+
+    // ctx.filter blur is missing in Safari and slow without a GPU - shrink and stretch instead
+    const scale = CONFIG.backgroundEffects.blurScale[state.backgroundEffect] || CONFIG.backgroundEffects.blurScale.blur;
+    const { canvas, ctx: smallCtx } = processor.background;
+    const w = Math.max(1, Math.round(width / scale));
+    const h = Math.max(1, Math.round(height / scale));
+    if (canvas.width !== w || canvas.height !== h) {
+        canvas.width = w;
+        canvas.height = h;
+    }
+    smallCtx.drawImage(processor.video, 0, 0, w, h);
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(canvas, 0, 0, width, height);
+}
+
+function runBackgroundSegmentation(processor) {
+    const { input, mask, maskData } = processor;
+    input.ctx.drawImage(processor.video, 0, 0, input.canvas.width, input.canvas.height);
+
+    const started = performance.now();
+    processor.segmenter.segmentForVideo(input.canvas, started, (result) => {
+        // The selfie model has one mask (the person); multi-class models list the person last
+        const masks = result.confidenceMasks;
+        const confidence = masks[masks.length - 1].getAsFloat32Array();
+        const pixels = maskData.data;
+        const count = Math.min(confidence.length, pixels.length / 4);
+        for (let i = 0; i < count; i++) {
+            // Averaged with the previous mask so the edge doesn't flicker
+            const alpha = confidence[i] * 255;
+            pixels[i * 4 + 3] = processor.hasMask ? (pixels[i * 4 + 3] + alpha) / 2 : alpha;
+        }
+        processor.hasMask = true;
+    });
+    mask.ctx.putImageData(maskData, 0, 0);
+
+    const elapsed = performance.now() - started;
+    processor.modelTime = processor.modelTime ? processor.modelTime * 0.8 + elapsed * 0.2 : elapsed;
+    adaptBackgroundProcessor(processor);
+}
+
+// Run the model on fewer frames when it can't keep up, give up when even that is too slow
+function adaptBackgroundProcessor(processor) {
+    const config = CONFIG.backgroundEffects;
+    const now = performance.now();
+    if (now - processor.lastAdjust < config.adjustInterval) return;
+    processor.lastAdjust = now;
+
+    const budget = (1000 / config.frameRate) * config.frameBudget;
+    if (processor.modelTime / processor.frameSkip > budget) {
+        if (processor.frameSkip >= config.maxFrameSkip) {
+            setBackgroundEffect('none');
+            showToast('Background effect turned off - this device is too slow for it', 'warning');
+            return;
+        }
+        processor.frameSkip++;
+    } else if (processor.frameSkip > 1 && processor.modelTime / (processor.frameSkip - 1) < budget / 2) {
+        processor.frameSkip--;
+    }
+}
+
+// A new camera under a running effect - the output track, and so every sender, stays the same
+function setBackgroundSource(processor, track) {
+    processor.sourceTrack.stop();
+    processor.sourceTrack = track;
+    processor.video.srcObject = new MediaStream([track]);
+    syncBackgroundSource(processor);
+}
+
+// "Camera off" disables the output track; the camera behind it follows so the device
+// is released (and its light goes out), and the paused video leaves the model idle
+function syncBackgroundSource(processor) {
+    const enabled = processor.track.enabled;
+    processor.sourceTrack.enabled = enabled;
+    if (enabled) {
+        processor.video.play().catch(() => { });
+    } else {
+        processor.video.pause();
+    }
+}
+
+function stopBackgroundProcessor() {
+    const processor = state.backgroundProcessor;
+    if (!processor) return;
+    state.backgroundProcessor = null;
+
+    if (state.localStream) replaceLocalTrack(processor.sourceTrack);
+    disposeBackgroundProcessor(processor);
+}
+
+function disposeBackgroundProcessor(processor) {
+    processor.stopped = true;
+    clearTimeout(processor.timer);
+    processor.track.stop();
+    processor.video.srcObject = null;
+}
+
+function loadBackgroundImage(file) {
+    if (!file) return;
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        state.backgroundImage = image;
+        URL.revokeObjectURL(url);
+        setBackgroundEffect('image');
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        showToast('Could not load that image', 'error');
+    };
+    image.src = url;
+    elements.backgroundImageInput.value = '';
+}
+
+function toggleBackgroundMenu() {
+    state.isBackgroundMenuOpen = !state.isBackgroundMenuOpen;
+    elements.backgroundMenu.classList.toggle('hidden', !state.isBackgroundMenuOpen);
+    updateBackgroundMenu();
+}
+
+function updateBackgroundMenu() {
+    elements.backgroundMenu.querySelectorAll('.background-option').forEach(button => {
+        button.classList.toggle('active', button.dataset.effect === state.backgroundEffect);
+    });
+    elements.backgroundBtn.classList.toggle('active', state.backgroundEffect !== 'none');
+    elements.chooseBackgroundImageBtn.classList.toggle('hidden', !state.backgroundImage);
+    elements.backgroundNote.textContent = state.isBackgroundLoading
+        ? 'Memuat model...'
+        : 'Diproses di perangkat ini. Jika HP terlalu lambat, efek dimatikan otomatis.';
+}
+
+// ============================================
+// Participants Panel
+// ============================================
+// A live roster of everyone in the meeting. It is rebuilt from state whenever
+// something it shows changes; connection quality is patched in place by
+// updateSignalIcon so the list isn't redrawn on every stats tick.
+
+function toggleParticipantsPanel() {
+    state.isParticipantsPanelOpen = !state.isParticipantsPanelOpen;
+    elements.participantsPanel.classList.toggle('hidden', !state.isParticipantsPanelOpen);
+    elements.participantsBtn.classList.toggle('active', state.isParticipantsPanelOpen);
+
+    // All side panels sit in the same spot
+    if (state.isParticipantsPanelOpen && state.isChatOpen) toggleChat();
+    if (state.isParticipantsPanelOpen && state.isRecordingPanelOpen) toggleRecordingPanel();
+
+    renderParticipantList();
+}
+
+// Us first, then hosts and co-hosts, then everyone else in join order
+function getRoster() {
+    const hands = new Map(state.raisedHands.map((p, index) => [p.id, index + 1]));
+    const roster = [];
+
+    state.peers.forEach((peerData, peerId) => roster.push({
+        id: peerId,
+        pinId: peerId,
+        name: peerData.name,
+        isLocal: false,
+        isHost: peerData.isHost,
+        isCoHost: peerData.isCoHost,
+        isMicOn: peerData.isMicOn,
+        isCameraOn: peerData.isCameraOn,
+        isSharing: state.screenSharerId === peerId,
+        isReconnecting: peerData.isReconnecting,
+        hand: hands.get(peerId),
+        quality: state.peerStats.get(peerId)?.summary?.quality
+    }));
+    roster.sort((a, b) => (b.isHost - a.isHost) || (b.isCoHost - a.isCoHost));
+
+    roster.unshift({
+        id: state.participantId,
+        pinId: 'local',
+        name: state.name || 'You',
+        isLocal: true,
+        isHost: state.isHost,
+        isCoHost: state.isCoHost,
+        isMicOn: state.isMicOn,
+        isCameraOn: state.isCameraOn,
+        isSharing: state.isScreenSharing,
+        isReconnecting: false,
+        hand: hands.get(state.participantId)
+    });
+
+    return roster;
+}
+
+function renderParticipantList() {
+    elements.participantsPanelCount.textContent = state.peers.size + 1;
+    if (!state.isParticipantsPanelOpen) return;
+
+    elements.participantList.innerHTML = '';
+    getRoster().forEach(p => elements.participantList.appendChild(createParticipantRow(p)));
+}
+
+function createParticipantRow(p) {
+    const row = document.createElement('li');
+    row.className = `participant-row ${p.isReconnecting ? 'reconnecting' : ''}`;
+
+    const status = p.isReconnecting ? 'Reconnecting...'
+        : p.isSharing ? 'Sharing screen'
+            : state.spotlightId === p.id ? 'Spotlighted' : '';
+    const quality = p.quality !== undefined
+        ? `<span id="roster-quality-${p.id}" class="roster-quality quality-${p.quality}">${QUALITY_NAMES[p.quality]}</span>`
+        : (p.isLocal ? '' : `<span id="roster-quality-${p.id}" class="roster-quality"></span>`);
+    const slash = '<line x1="1" y1="1" x2="23" y2="23"></line>';
+
+    row.innerHTML = `
+        <div class="participant-avatar">${escapeHtml(getInitials(p.name))}</div>
+        <div class="participant-info">
+            <div class="participant-name">
+                <span class="participant-name-text">${escapeHtml(p.name)}${p.isLocal ? ' (You)' : ''}</span>
+                ${p.isHost ? '<span class="host-badge">HOST</span>' : ''}
+                ${p.isCoHost ? '<span class="host-badge cohost-badge">CO-HOST</span>' : ''}
+                ${p.hand ? `<span class="hand-badge">✋ ${p.hand}</span>` : ''}
+            </div>
+            <div class="participant-status">${status ? `<span>${status}</span>` : ''}${p.isReconnecting ? '' : quality}</div>
+        </div>
+        <div class="participant-media">
+            <span class="roster-media ${p.isMicOn ? '' : 'off'}" title="${p.isMicOn ? 'Mic on' : 'Mic off'}">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M12 1a3 3 0 00-3 3v8a3 3 0 006 0V4a3 3 0 00-3-3z"></path>
+                    <path d="M19 10v2a7 7 0 01-14 0v-2M12 19v4M8 23h8"></path>
+                    ${p.isMicOn ? '' : slash}
+                </svg>
+            </span>
+            <span class="roster-media ${p.isCameraOn ? '' : 'off'}" title="${p.isCameraOn ? 'Camera on' : 'Camera off'}">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M23 7l-7 5 7 5V7z"></path>
+                    <rect x="1" y="5" width="15" height="14" rx="2" ry="2"></rect>
+                    ${p.isCameraOn ? '' : slash}
+                </svg>
+            </span>
+        </div>
+        <div class="participant-actions"></div>
+    `;
+
+    const actions = row.querySelector('.participant-actions');
+    const addAction = (label, onClick, className = '') => {
+        const button = document.createElement('button');
+        button.className = `waiting-action ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        actions.appendChild(button);
+    };
+
+    const isPinned = state.pinnedParticipantId === p.pinId;
+    addAction(isPinned ? 'Unpin' : 'Pin', () => togglePin(p.pinId), isPinned ? 'primary' : '');
+
+    // Anyone can be spotlighted, the host included (e.g. while presenting)
+    if (state.isHost || state.isCoHost) {
+        const isSpotlit = state.spotlightId === p.id;
+        addAction(isSpotlit ? 'Remove spotlight' : 'Spotlight', () => toggleSpotlight(p.id), isSpotlit ? 'primary' : '');
+    }
+
+    if (!p.isLocal) {
+        actions.appendChild(createVolumeControl(p.id));
+
+        // Same rules as the tile buttons: moderators act on anyone but the host
+        if ((state.isHost || state.isCoHost) && !p.isHost) {
+            if (p.isMicOn) addAction('Mute', () => moderateParticipant('host-mute', p.id));
+            if (p.isCameraOn) addAction('Stop video', () => moderateParticipant('host-disable-camera', p.id));
+            if (p.isSharing) addAction('Stop share', () => moderateParticipant('host-stop-share', p.id));
+            if (state.isHost) {
+                addAction(p.isCoHost ? 'Remove co-host' : 'Make co-host', () => changeParticipantRole('make-co-host', p.id));
+                addAction('Make host', () => changeParticipantRole('make-host', p.id));
+                addAction(state.recordingPermitted.has(p.id) ? 'Revoke recording' : 'Allow recording', () => toggleRecordingPermission(p.id));
+            }
+            addAction('Remove', () => moderateParticipant('host-remove', p.id), 'danger');
+        }
+    }
+
+    return row;
+}
+
+// Only changes what we hear - nobody else is affected
+function createVolumeControl(peerId) {
+    const peerData = state.peers.get(peerId);
+
+    const label = document.createElement('label');
+    label.className = 'roster-volume';
+    label.title = 'Volume (only for you)';
+    label.innerHTML = `
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M11 5L6 9H2v6h4l5 4V5z"></path>
+            <path d="M15.54 8.46a5 5 0 010 7.07"></path>
+        </svg>
+    `;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = '1';
+    slider.step = '0.05';
+    slider.value = peerData ? peerData.volume : 1;
+    slider.addEventListener('input', () => setPeerVolume(peerId, parseFloat(slider.value)));
+
+    label.appendChild(slider);
+    return label;
+}
+
+function setPeerVolume(peerId, volume) {
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
+
+    peerData.volume = volume;
+    if (peerData.videoElement) peerData.videoElement.volume = volume;
+}
+
+function setPeerReconnecting(peerId, reconnecting) {
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
+
+    peerData.isReconnecting = reconnecting;
+    const container = document.getElementById(`video-${peerId}`);
+    if (container) container.classList.toggle('peer-reconnecting', reconnecting);
+    renderParticipantList();
+}
+
+// ============================================
+// Raise Hand & Reactions
+// ============================================
+// The server keeps the queue of raised hands on the room and sends it to everyone
+// whenever it changes, so late joiners and reconnects get the same order.
+
+function isHandRaised() {
+    return state.raisedHands.some(p => p.id === state.participantId);
+}
+
+function toggleRaiseHand() {
+    sendSignaling({ type: 'raise-hand', raised: !isHandRaised() });
+}
+
+function lowerHand(participantId) {
+    if (participantId === state.participantId) {
+        sendSignaling({ type: 'raise-hand', raised: false });
+    } else {
+        sendSignaling({ type: 'lower-hand', target: participantId });
+    }
+}
+
+function updateHandQueue(queue) {
+    const previousIds = new Set(state.raisedHands.map(p => p.id));
+    state.raisedHands = queue || [];
+
+    state.raisedHands
+        .filter(p => !previousIds.has(p.id))
+        .forEach(p => {
+            logRecordingEvent('hand-raised', p.id);
+            addRecordingNotice(`${p.name} raised their hand`);
+        });
+
+    renderHandQueue();
+}
+
+function renderHandQueue() {
+    const isModerator = state.isHost || state.isCoHost;
+    const raised = isHandRaised();
+
+    elements.raiseHandBtn.classList.toggle('active', raised);
+    elements.raiseHandBtn.querySelector('span:last-child').textContent = raised ? 'Lower Hand' : 'Raise Hand';
+
+    elements.handQueueCount.textContent = state.raisedHands.length;
+    elements.handQueuePanel.classList.toggle('hidden', state.raisedHands.length === 0);
+    elements.clearHandsBtn.classList.toggle('hidden', !isModerator);
+    elements.handQueueList.innerHTML = '';
+
+    state.raisedHands.forEach((p, index) => {
+        const item = document.createElement('li');
+
+        const position = document.createElement('span');
+        position.className = 'hand-position';
+        position.textContent = index + 1;
+
+        const name = document.createElement('span');
+        name.className = 'waiting-name';
+        name.textContent = p.id === state.participantId ? `${p.name} (You)` : p.name;
+
+        item.append(position, name);
+
+        // Everyone can lower their own hand, moderators anyone's
+        if (isModerator || p.id === state.participantId) {
+            const lower = document.createElement('button');
+            lower.className = 'waiting-action';
+            lower.textContent = 'Lower';
+            lower.addEventListener('click', () => lowerHand(p.id));
+            item.appendChild(lower);
+        }
+
+        elements.handQueueList.appendChild(item);
+    });
+
+    updateHandBadges();
+    renderParticipantList();
+}
+
+// ✋ and the queue position on each tile
+function updateHandBadges() {
+    const positions = new Map(state.raisedHands.map((p, index) => [p.id, index + 1]));
+    const setBadge = (badge, position) => {
+        if (!badge) return;
+        badge.textContent = position ? `✋ ${position}` : '';
+        badge.classList.toggle('hidden', !position);
+    };
+
+    setBadge(document.getElementById('hand-local'), positions.get(state.participantId));
+    state.peers.forEach((peerData, peerId) => setBadge(document.getElementById(`hand-${peerId}`), positions.get(peerId)));
+}
+
+function toggleReactionMenu() {
+    state.isReactionMenuOpen = !state.isReactionMenuOpen;
+    elements.reactionMenu.classList.toggle('hidden', !state.isReactionMenuOpen);
+    elements.reactionBtn.classList.toggle('active', state.isReactionMenuOpen);
+}
+
+function sendReaction(emoji) {
+    const now = Date.now();
+    if (now - state.lastReactionAt < CONFIG.reactionInterval) return;
+    state.lastReactionAt = now;
+
+    sendSignaling({ type: 'reaction', emoji });
+    showReaction(state.participantId, emoji);
+}
+
+// Floats up over the sender's tile and removes itself
+function showReaction(participantId, emoji) {
+    const container = participantId === state.participantId
+        ? elements.localVideoContainer
+        : document.getElementById(`video-${participantId}`);
+    if (!container) return;
+
+    const bubble = document.createElement('span');
+    bubble.className = 'reaction-float';
+    bubble.textContent = emoji;
+    bubble.style.left = `${15 + Math.random() * 70}%`;
+    bubble.addEventListener('animationend', () => bubble.remove());
+    container.appendChild(bubble);
+}
+
+// ============================================
+// Whiteboard
+// ============================================
+// The server keeps the board on the room: every finished item goes to it and is
+// echoed to everyone, ourselves included, so all boards stack the items in the
+// same order. Our own items are drawn right away and swapped for the server's
+// copy when it comes back. Late joiners and reconnects get the whole board.
+
+function mayManageWhiteboard() {
+    return state.whiteboard.ownerId === state.participantId || state.isHost || state.isCoHost;
+}
+
+function toggleWhiteboard() {
+    if (!state.whiteboard.isOpen) {
+        if (state.isScreenSharing || state.screenSharerId) {
+            showToast('Stop the screen share to open the whiteboard', 'warning');
+            return;
+        }
+        sendSignaling({ type: 'whiteboard-open' });
+    } else if (mayManageWhiteboard()) {
+        sendSignaling({ type: 'whiteboard-close' });
+    } else {
+        showToast('Only the host or whoever opened the whiteboard can close it', 'info');
+    }
+}
+
+function clearWhiteboard() {
+    if (confirm('Clear the whiteboard for everyone?')) sendSignaling({ type: 'whiteboard-clear' });
+}
+
+// The server takes back our latest item - it knows the order, even of items still on their way
+function undoWhiteboard() {
+    sendSignaling({ type: 'whiteboard-undo' });
+}
+
+// The whole board: on join and reconnect, when it opens or closes, and when it's cleared
+function handleWhiteboardState(board) {
+    const wasOpen = state.whiteboard.isOpen;
+    state.whiteboard = { isOpen: !!board.open, ownerId: board.ownerId || null, items: board.items || [] };
+
+    // A closed board takes nothing more; an open one already has what it echoed
+    const known = new Set(state.whiteboard.items.map(item => item.id));
+    state.whiteboardPending = state.whiteboard.isOpen ? state.whiteboardPending.filter(item => !known.has(item.id)) : [];
+
+    if (!state.whiteboard.isOpen) {
+        state.whiteboardDraft = null;
+        elements.whiteboardTextInput.classList.add('hidden');
+    }
+
+    if (state.whiteboard.isOpen !== wasOpen) {
+        const ownerName = state.whiteboard.ownerId === state.participantId
+            ? state.name
+            : state.peers.get(state.whiteboard.ownerId)?.name;
+        const text = state.whiteboard.isOpen ? `${ownerName || 'Someone'} opened the whiteboard` : 'Whiteboard closed';
+        addRecordingNotice(text);
+        // A chapter like a screen share's, if the recording shows the board
+        if (state.whiteboard.isOpen && state.recordingSettings.whiteboard) addRecordingMarker(text, 'whiteboard');
+        showToast(escapeHtml(text), 'info');
+    }
+
+    updateWhiteboardControls();
+    updateScreenShareLayout();
+}
+
+function addWhiteboardItem(item) {
+    state.whiteboardPending = state.whiteboardPending.filter(pending => pending.id !== item.id);
+    state.whiteboard.items.push(item);
+    renderWhiteboard();
+}
+
+function removeWhiteboardItem(id) {
+    state.whiteboard.items = state.whiteboard.items.filter(item => item.id !== id);
+    renderWhiteboard();
+}
+
+// The server won't keep one of ours (board full or closed) - stop showing and resending it
+function rejectWhiteboardItem(id, message) {
+    state.whiteboardPending = state.whiteboardPending.filter(pending => pending.id !== id);
+    renderWhiteboard();
+    if (message) showToast(message, 'error');
+}
+
+// Items sent while the connection was down never made it - the server skips any that did
+function resendWhiteboardItems() {
+    state.whiteboardPending.forEach(item => sendSignaling({ type: 'whiteboard-item', item }));
+}
+
+function resetWhiteboard() {
+    state.whiteboard = { isOpen: false, ownerId: null, items: [] };
+    state.whiteboardPending = [];
+    state.whiteboardDraft = null;
+    elements.whiteboardTextInput.classList.add('hidden');
+    updateWhiteboardControls();
+}
+
+function updateWhiteboardControls() {
+    const isOpen = state.whiteboard.isOpen;
+    const mayManage = mayManageWhiteboard();
+
+    elements.whiteboardBtn.classList.toggle('active', isOpen);
+    elements.whiteboardBtn.querySelector('span:last-child').textContent = isOpen && mayManage ? 'Close Board' : 'Whiteboard';
+    elements.whiteboardClearBtn.classList.toggle('hidden', !mayManage);
+
+    elements.whiteboard.querySelectorAll('[data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === state.whiteboardTool);
+    });
+    const color = getDrawingColor();
+    elements.whiteboardColors.querySelectorAll('.whiteboard-color').forEach(swatch => {
+        swatch.classList.toggle('active', swatch.dataset.color === color);
+    });
+}
+
+function setWhiteboardTool(tool) {
+    state.whiteboardTool = tool;
+    updateWhiteboardControls();
+}
+
+function setWhiteboardColor(color) {
+    state.whiteboardColor = color;
+    if (state.whiteboardTool === 'eraser') state.whiteboardTool = 'pen';
+    updateWhiteboardControls();
+}
+
+// Everyone starts with their own color from the palette, picked by participant ID.
+// Used for the whiteboard and for screen share annotations.
+function getDrawingColor() {
+    if (state.whiteboardColor) return state.whiteboardColor;
+
+    const colors = CONFIG.whiteboard.colors;
+    let hash = 0;
+    for (const char of state.participantId || '') hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return colors[hash % colors.length];
+}
+
+function generateDrawingId() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Moves a draft to the pointer: a shape's second corner follows it, a stroke grows.
+// False when the pointer hasn't gone far enough from the last point to count.
+function extendDraft(draft, x, y, minDistance) {
+    const points = draft.points;
+    if (draft.tool !== 'pen' && draft.tool !== 'eraser') {
+        points[2] = x;
+        points[3] = y;
         return true;
-    } catch (error) {
-        console.error('Error accessing media devices:', error);
-        showToast('Cannot access camera/microphone', 'error');
-        return false;
     }
+
+    const lastX = points[points.length - 2];
+    const lastY = points[points.length - 1];
+    if (Math.hypot(x - lastX, y - lastY) < minDistance) return false;
+    points.push(x, y);
+    return true;
 }
 
-function toggleMic() {
-    if (state.localStream) {
-        const audioTrack = state.localStream.getAudioTracks()[0];
-        if (audioTrack) {
-            state.isMicOn = !state.isMicOn;
-            audioTrack.enabled = state.isMicOn;
+// Pointer released: a tap with the pen leaves a dot, a shape without size was a stray click
+function completeDraft(draft) {
+    const isStroke = draft.tool === 'pen' || draft.tool === 'eraser';
+    if (isStroke && draft.points.length === 2) draft.points.push(draft.points[0], draft.points[1]);
+    return isStroke || draft.points[0] !== draft.points[2] || draft.points[1] !== draft.points[3];
+}
 
-            elements.micBtn.classList.toggle('off', !state.isMicOn);
-            elements.localMicStatus.className = `status-icon ${state.isMicOn ? 'mic-on' : 'mic-off'}`;
+// Where the board sits in the canvas element - object-fit: contain letterboxes it
+function getWhiteboardFit() {
+    const rect = elements.whiteboardCanvas.getBoundingClientRect();
+    const { width, height } = CONFIG.whiteboard;
+    const scale = Math.min(rect.width / width, rect.height / height);
+    return { rect, scale, left: (rect.width - width * scale) / 2, top: (rect.height - height * scale) / 2 };
+}
 
-            // Update button label
-            const label = elements.micBtn.querySelector('span:last-child');
-            if (label) {
-                label.textContent = state.isMicOn ? 'Mic On' : 'Mic Off';
+function getWhiteboardPoint(event) {
+    const { rect, scale, left, top } = getWhiteboardFit();
+    const { width, height } = CONFIG.whiteboard;
+    return {
+        x: Math.round(Math.min(width, Math.max(0, (event.clientX - rect.left - left) / scale))),
+        y: Math.round(Math.min(height, Math.max(0, (event.clientY - rect.top - top) / scale)))
+    };
+}
+
+function createWhiteboardItem(tool, points) {
+    return {
+        id: generateDrawingId(),
+        tool,
+        color: tool === 'eraser' ? CONFIG.whiteboard.background : getDrawingColor(),
+        size: CONFIG.whiteboard.sizes[tool],
+        points
+    };
+}
+
+function startWhiteboardDraft(event) {
+    if (!state.whiteboard.isOpen || event.button > 0) return;
+    const { x, y } = getWhiteboardPoint(event);
+
+    if (state.whiteboardTool === 'text') {
+        showWhiteboardTextInput(x, y);
+        return;
+    }
+
+    event.preventDefault();
+    elements.whiteboardCanvas.setPointerCapture(event.pointerId);
+    // Shapes are two corners, both under the pointer until it moves
+    const isStroke = state.whiteboardTool === 'pen' || state.whiteboardTool === 'eraser';
+    state.whiteboardDraft = createWhiteboardItem(state.whiteboardTool, isStroke ? [x, y] : [x, y, x, y]);
+    composeWhiteboard();
+}
+
+function moveWhiteboardDraft(event) {
+    const draft = state.whiteboardDraft;
+    if (!draft) return;
+    const { x, y } = getWhiteboardPoint(event);
+    if (!extendDraft(draft, x, y, CONFIG.whiteboard.minPointDistance)) return;
+
+    // A very long stroke goes on as a new item from the same spot
+    if (draft.points.length >= CONFIG.whiteboard.maxPoints) {
+        commitWhiteboardItem(draft);
+        state.whiteboardDraft = { ...createWhiteboardItem(draft.tool, [x, y]), color: draft.color };
+    }
+
+    composeWhiteboard();
+}
+
+function finishWhiteboardDraft() {
+    const draft = state.whiteboardDraft;
+    if (!draft) return;
+    state.whiteboardDraft = null;
+
+    if (completeDraft(draft)) {
+        commitWhiteboardItem(draft);
+    } else {
+        composeWhiteboard();
+    }
+}
+
+function commitWhiteboardItem(item) {
+    state.whiteboardPending.push(item);
+    sendSignaling({ type: 'whiteboard-item', item });
+    renderWhiteboard();
+}
+
+// Typed in place, at the size and color it will have on the board
+function showWhiteboardTextInput(x, y) {
+    const input = elements.whiteboardTextInput;
+    const { scale, left, top } = getWhiteboardFit();
+
+    // Clicked somewhere else while typing - that text is done
+    input.blur();
+    commitWhiteboardText();
+
+    input.value = '';
+    input.dataset.x = x;
+    input.dataset.y = y;
+    input.style.left = `${left + x * scale}px`;
+    input.style.top = `${top + y * scale}px`;
+    input.style.fontSize = `${CONFIG.whiteboard.sizes.text * scale}px`;
+    input.style.color = getDrawingColor();
+    input.classList.remove('hidden');
+    // The pointerdown that placed it would blur it again
+    setTimeout(() => input.focus(), 0);
+}
+
+function commitWhiteboardText() {
+    const input = elements.whiteboardTextInput;
+    if (input.classList.contains('hidden')) return;
+    input.classList.add('hidden');
+
+    const text = input.value.trim();
+    if (!text || !state.whiteboard.isOpen) return;
+
+    const item = createWhiteboardItem('text', [Number(input.dataset.x), Number(input.dataset.y)]);
+    item.text = text;
+    commitWhiteboardItem(item);
+}
+
+// Every finished item, in the server's order, then ours still on their way
+function getWhiteboardItems() {
+    return state.whiteboard.items.concat(state.whiteboardPending);
+}
+
+function drawWhiteboardItem(ctx, item) {
+    const p = item.points;
+    ctx.strokeStyle = item.color;
+    ctx.fillStyle = item.color;
+    ctx.lineWidth = item.size;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    switch (item.tool) {
+        case 'text':
+            ctx.font = `${item.size}px Inter, sans-serif`;
+            ctx.textBaseline = 'top';
+            ctx.fillText(item.text, p[0], p[1]);
+            return;
+        case 'rect':
+            ctx.strokeRect(Math.min(p[0], p[2]), Math.min(p[1], p[3]), Math.abs(p[2] - p[0]), Math.abs(p[3] - p[1]));
+            return;
+        case 'ellipse':
+            ctx.beginPath();
+            ctx.ellipse((p[0] + p[2]) / 2, (p[1] + p[3]) / 2, Math.abs(p[2] - p[0]) / 2, Math.abs(p[3] - p[1]) / 2, 0, 0, Math.PI * 2);
+            ctx.stroke();
+            return;
+        default: // pen, eraser and line are all polylines
+            ctx.beginPath();
+            ctx.moveTo(p[0], p[1]);
+            for (let i = 2; i < p.length; i += 2) ctx.lineTo(p[i], p[i + 1]);
+            ctx.stroke();
+    }
+}
+
+// Redraw every finished item - only when the items change, not on every pointer move
+function renderWhiteboard() {
+    const { width, height, background } = CONFIG.whiteboard;
+    if (!state.whiteboardBase) {
+        state.whiteboardBase = document.createElement('canvas');
+        state.whiteboardBase.width = width;
+        state.whiteboardBase.height = height;
+    }
+
+    const ctx = state.whiteboardBase.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    getWhiteboardItems().forEach(item => drawWhiteboardItem(ctx, item));
+
+    composeWhiteboard();
+}
+
+// The visible canvas (and the recording's source): finished items plus our draft
+function composeWhiteboard() {
+    if (!state.whiteboardBase) return;
+    const ctx = elements.whiteboardCanvas.getContext('2d');
+    ctx.drawImage(state.whiteboardBase, 0, 0);
+    if (state.whiteboardDraft) drawWhiteboardItem(ctx, state.whiteboardDraft);
+}
+
+function whiteboardToSvg() {
+    const { width, height, background } = CONFIG.whiteboard;
+    const elementsSvg = getWhiteboardItems().map(item => {
+        const p = item.points;
+        const stroke = `fill="none" stroke="${item.color}" stroke-width="${item.size}" stroke-linecap="round" stroke-linejoin="round"`;
+        switch (item.tool) {
+            case 'text':
+                return `<text x="${p[0]}" y="${p[1]}" fill="${item.color}" font-size="${item.size}" font-family="Inter, sans-serif" dominant-baseline="text-before-edge">${escapeHtml(item.text)}</text>`;
+            case 'rect':
+                return `<rect x="${Math.min(p[0], p[2])}" y="${Math.min(p[1], p[3])}" width="${Math.abs(p[2] - p[0])}" height="${Math.abs(p[3] - p[1])}" ${stroke}/>`;
+            case 'ellipse':
+                return `<ellipse cx="${(p[0] + p[2]) / 2}" cy="${(p[1] + p[3]) / 2}" rx="${Math.abs(p[2] - p[0]) / 2}" ry="${Math.abs(p[3] - p[1]) / 2}" ${stroke}/>`;
+            default: {
+                const points = [];
+                for (let i = 0; i < p.length; i += 2) points.push(`${p[i]},${p[i + 1]}`);
+                return `<polyline points="${points.join(' ')}" ${stroke}/>`;
             }
+        }
+    });
 
-            sendSignaling({
-                type: 'toggle-media',
-                mediaType: 'audio',
-                enabled: state.isMicOn
-            });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + `<rect width="${width}" height="${height}" fill="${background}"/>${elementsSvg.join('')}</svg>`;
+}
+
+function exportWhiteboard(format) {
+    if (format === 'svg') {
+        downloadWhiteboard(new Blob([whiteboardToSvg()], { type: 'image/svg+xml' }), 'svg');
+        return;
+    }
+    renderWhiteboard();
+    state.whiteboardBase.toBlob(blob => downloadWhiteboard(blob, 'png'), 'image/png');
+}
+
+function downloadWhiteboard(blob, extension) {
+    const url = URL.createObjectURL(blob);
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+    const filename = `whiteboard-${state.roomId}-${timestamp}.${extension}`;
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    showToast(`Whiteboard saved: ${filename}`, 'success');
+}
+
+// ============================================
+// Screen Share Annotations
+// ============================================
+// The presenter, and viewers unless the presenter turns it off, draw over the
+// shared screen. Points are fractions of the shared video's own size, so a mark
+// lands on the same spot however each screen (or the recording) letterboxes the
+// video. Items go through the server like the whiteboard's and end with the
+// share; laser pointers are only relayed.
+
+function mayManageAnnotations() {
+    return state.isScreenSharing || state.isHost || state.isCoHost;
+}
+
+function mayAnnotate() {
+    return state.isScreenSharing || state.annotations.enabled;
+}
+
+function toggleAnnotating() {
+    setAnnotationTool(state.annotationTool ? null : 'pen');
+}
+
+function setAnnotationTool(tool) {
+    // Leaving the pointer tool takes our pointer off everyone's screen
+    if (state.annotationTool === 'pointer' && tool !== 'pointer') hideOwnPointer();
+    state.annotationTool = tool;
+    state.annotationDraft = null;
+    updateAnnotationControls();
+    renderAnnotations();
+}
+
+function updateAnnotationControls() {
+    // The presenter turned annotations off while we had a tool
+    if (state.annotationTool && !mayAnnotate()) {
+        if (state.annotationTool === 'pointer') hideOwnPointer();
+        state.annotationTool = null;
+        state.annotationDraft = null;
+    }
+
+    const isAnnotating = !!state.annotationTool;
+    elements.annotateBtn.classList.toggle('hidden', !mayAnnotate());
+    elements.annotateBtn.classList.toggle('active', isAnnotating);
+    elements.annotateBtn.textContent = isAnnotating ? 'Done' : 'Annotate';
+    elements.annotationTools.classList.toggle('hidden', !isAnnotating);
+    elements.annotationTools.querySelectorAll('[data-annotation-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.annotationTool === state.annotationTool);
+    });
+    elements.annotationCanvas.classList.toggle('annotating', isAnnotating);
+
+    const mayManage = mayManageAnnotations();
+    elements.annotationClearBtn.classList.toggle('hidden', !mayManage);
+    elements.annotationPermissionBtn.classList.toggle('hidden', !mayManage);
+    elements.annotationPermissionBtn.classList.toggle('active', state.annotations.enabled);
+    elements.annotationPermissionBtn.textContent = `Viewers: ${state.annotations.enabled ? 'on' : 'off'}`;
+}
+
+function toggleViewerAnnotations() {
+    sendSignaling({ type: 'set-annotations', enabled: !state.annotations.enabled });
+}
+
+function clearAnnotations() {
+    sendSignaling({ type: 'annotation-clear' });
+}
+
+function undoAnnotation() {
+    sendSignaling({ type: 'annotation-undo' });
+}
+
+// Everything drawn on the current share: on join and reconnect, when cleared, or when viewers are let in or out
+function handleAnnotationState(data) {
+    const wasEnabled = state.annotations.enabled;
+    const wasSharerId = state.screenSharerId;
+    state.annotations = { enabled: data.enabled !== false, items: data.items || [] };
+
+    // Also tells a late joiner (or a reconnect that missed start/stop) who is presenting.
+    // Our own share is tracked by isScreenSharing instead.
+    const sharerId = data.sharerId && data.sharerId !== state.participantId ? data.sharerId : null;
+    if (sharerId !== wasSharerId) {
+        state.screenSharerId = sharerId;
+        updateScreenShareLayout();
+    }
+
+    const known = new Set(state.annotations.items.map(item => item.id));
+    state.annotationPending = mayAnnotate() ? state.annotationPending.filter(item => !known.has(item.id)) : [];
+
+    if (state.annotations.enabled !== wasEnabled && sharerId && sharerId === wasSharerId) {
+        showToast(state.annotations.enabled ? 'The presenter lets you annotate the screen' : 'The presenter turned off annotations', 'info');
+    }
+
+    updateAnnotationControls();
+    renderAnnotations();
+}
+
+function addAnnotationItem(item) {
+    state.annotationPending = state.annotationPending.filter(pending => pending.id !== item.id);
+    state.annotations.items.push(item);
+    renderAnnotations();
+}
+
+function removeAnnotationItem(id) {
+    state.annotations.items = state.annotations.items.filter(item => item.id !== id);
+    renderAnnotations();
+}
+
+// Refused by the server (too many, or we may no longer draw) - stop showing and resending it
+function rejectAnnotationItem(id, message) {
+    state.annotationPending = state.annotationPending.filter(pending => pending.id !== id);
+    renderAnnotations();
+    if (message) showToast(message, 'error');
+}
+
+function resendAnnotationItems() {
+    state.annotationPending.forEach(item => sendSignaling({ type: 'annotation-item', item }));
+}
+
+// A share started or ended - nothing drawn on the last one carries over
+function resetAnnotations() {
+    clearTimeout(state.pointerSendTimer);
+    state.annotations = { enabled: true, items: [] };
+    state.annotationPending = [];
+    state.annotationTool = null;
+    state.annotationDraft = null;
+    state.annotationPointers.forEach(pointer => clearTimeout(pointer.timer));
+    state.annotationPointers.clear();
+    updateAnnotationControls();
+    renderAnnotations();
+}
+
+// Laser pointers, ours included. x = null takes one away; a still pointer fades out on its own.
+function setAnnotationPointer(participantId, x, y) {
+    const pointer = state.annotationPointers.get(participantId);
+    if (pointer) clearTimeout(pointer.timer);
+
+    if (x === null || x === undefined) {
+        if (state.annotationPointers.delete(participantId)) renderAnnotations();
+        return;
+    }
+
+    state.annotationPointers.set(participantId, {
+        x,
+        y,
+        timer: setTimeout(() => setAnnotationPointer(participantId, null), CONFIG.annotations.pointerTimeout)
+    });
+    renderAnnotations();
+}
+
+function moveOwnPointer(event) {
+    const point = getAnnotationPoint(event);
+    if (!point) return;
+    setAnnotationPointer(state.participantId, point.x, point.y);
+
+    // Throttled, but the spot where the pointer comes to rest is always sent
+    clearTimeout(state.pointerSendTimer);
+    const wait = CONFIG.annotations.pointerInterval - (Date.now() - state.lastPointerSentAt);
+    if (wait > 0) {
+        state.pointerSendTimer = setTimeout(() => sendOwnPointer(point), wait);
+    } else {
+        sendOwnPointer(point);
+    }
+}
+
+function sendOwnPointer(point) {
+    state.lastPointerSentAt = Date.now();
+    sendSignaling({ type: 'annotation-pointer', x: point.x, y: point.y });
+}
+
+function hideOwnPointer() {
+    clearTimeout(state.pointerSendTimer);
+    setAnnotationPointer(state.participantId, null);
+    sendSignaling({ type: 'annotation-pointer', x: null });
+}
+
+// The shared picture inside screenShareMain (object-fit: contain), in the overlay's CSS pixels
+function getAnnotationFrame() {
+    const video = elements.screenShareMain;
+    const canvas = elements.annotationCanvas;
+    if (!video.videoWidth || !video.videoHeight || !canvas.clientWidth) return null;
+    return getAspectRect(video.videoWidth, video.videoHeight, 0, 0, canvas.clientWidth, canvas.clientHeight, 'contain');
+}
+
+function getAnnotationPoint(event) {
+    const frame = getAnnotationFrame();
+    if (!frame) return null;
+
+    const rect = elements.annotationCanvas.getBoundingClientRect();
+    const scale = CONFIG.annotations.scale;
+    const toScale = fraction => Math.round(Math.min(scale, Math.max(0, fraction * scale)));
+    return {
+        x: toScale((event.clientX - rect.left - frame.x) / frame.w),
+        y: toScale((event.clientY - rect.top - frame.y) / frame.h)
+    };
+}
+
+function createAnnotationItem(tool, points) {
+    return {
+        id: generateDrawingId(),
+        tool,
+        color: getDrawingColor(),
+        size: CONFIG.annotations.sizes[tool],
+        points
+    };
+}
+
+function startAnnotationDraft(event) {
+    const tool = state.annotationTool;
+    if (!tool || tool === 'pointer' || event.button > 0) return;
+    const point = getAnnotationPoint(event);
+    if (!point) return;
+
+    event.preventDefault();
+    elements.annotationCanvas.setPointerCapture(event.pointerId);
+    const { x, y } = point;
+    state.annotationDraft = createAnnotationItem(tool, tool === 'pen' ? [x, y] : [x, y, x, y]);
+    renderAnnotations();
+}
+
+function moveAnnotationDraft(event) {
+    if (state.annotationTool === 'pointer') {
+        moveOwnPointer(event);
+        return;
+    }
+
+    const draft = state.annotationDraft;
+    const point = draft && getAnnotationPoint(event);
+    if (!point || !extendDraft(draft, point.x, point.y, CONFIG.annotations.minPointDistance)) return;
+
+    if (draft.points.length >= CONFIG.annotations.maxPoints) {
+        commitAnnotationItem(draft);
+        state.annotationDraft = { ...createAnnotationItem(draft.tool, [point.x, point.y]), color: draft.color };
+    }
+
+    renderAnnotations();
+}
+
+function finishAnnotationDraft() {
+    const draft = state.annotationDraft;
+    if (!draft) return;
+    state.annotationDraft = null;
+
+    if (completeDraft(draft)) {
+        commitAnnotationItem(draft);
+    } else {
+        renderAnnotations();
+    }
+}
+
+function commitAnnotationItem(item) {
+    state.annotationPending.push(item);
+    sendSignaling({ type: 'annotation-item', item });
+    renderAnnotations();
+}
+
+function renderAnnotations() {
+    const canvas = elements.annotationCanvas;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const frame = getAnnotationFrame();
+    if (!frame) return;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    drawAnnotationLayer(ctx, frame);
+}
+
+// Annotations and pointers over `frame`, the rect the shared picture fills - on screen and in the recording
+function drawAnnotationLayer(ctx, frame) {
+    const items = state.annotations.items.concat(state.annotationPending);
+    if (state.annotationDraft) items.push(state.annotationDraft);
+    if (items.length === 0 && state.annotationPointers.size === 0) return;
+
+    const scale = CONFIG.annotations.scale;
+    const toFrame = (value, index) => index % 2 ? frame.y + value * frame.h / scale : frame.x + value * frame.w / scale;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(frame.x, frame.y, frame.w, frame.h);
+    ctx.clip();
+
+    items.forEach(item => drawWhiteboardItem(ctx, { ...item, size: item.size * frame.w / scale, points: item.points.map(toFrame) }));
+
+    const radius = Math.max(4, frame.w / 150);
+    const fontSize = Math.max(11, Math.round(frame.w / 80));
+    ctx.font = `600 ${fontSize}px Inter, sans-serif`;
+    ctx.textBaseline = 'middle';
+
+    state.annotationPointers.forEach((pointer, participantId) => {
+        const x = toFrame(pointer.x, 0);
+        const y = toFrame(pointer.y, 1);
+
+        ctx.shadowColor = CONFIG.annotations.pointerColor;
+        ctx.shadowBlur = radius * 2;
+        ctx.fillStyle = CONFIG.annotations.pointerColor;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        // Whose pointer it is
+        const name = participantId === state.participantId ? state.name : state.peers.get(participantId)?.name;
+        if (!name) return;
+        const labelX = x + radius * 2;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(labelX - 4, y - fontSize * 0.75, ctx.measureText(name).width + 8, fontSize * 1.5);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(name, labelX, y);
+    });
+
+    ctx.restore();
+}
+
+// ============================================
+// Chat
+// ============================================
+
+function toggleChat() {
+    state.isChatOpen = !state.isChatOpen;
+    elements.chatPanel.classList.toggle('hidden', !state.isChatOpen);
+    elements.chatBtn.classList.toggle('active', state.isChatOpen);
+
+    if (state.isChatOpen && state.isRecordingPanelOpen) toggleRecordingPanel();
+    if (state.isChatOpen && state.isParticipantsPanelOpen) toggleParticipantsPanel();
+
+    if (state.isChatOpen) {
+        state.unreadChatCount = 0;
+        updateChatUnreadBadge();
+        elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+        elements.chatInput.focus();
+    }
+}
+
+function updateChatUnreadBadge() {
+    elements.chatUnreadBadge.textContent = state.unreadChatCount > 99 ? '99+' : state.unreadChatCount;
+    elements.chatUnreadBadge.classList.toggle('hidden', state.unreadChatCount === 0);
+}
+
+function sendChatMessage(e) {
+    e.preventDefault();
+
+    const text = elements.chatInput.value.trim();
+    if (!text) return;
+
+    const message = { type: 'chat-message', text };
+    if (elements.chatTarget.value) {
+        message.target = elements.chatTarget.value;
+    }
+
+    sendSignaling(message);
+    elements.chatInput.value = '';
+}
+
+/**
+ * Replace the rendered history with the server's copy (sent on join and reconnect).
+ * Direct messages are not stored by the server, so keep the ones we already have.
+ */
+function loadChatHistory(history) {
+    const directMessages = state.chatMessages.filter(m => m.targetId);
+    const messages = [...(history || []), ...directMessages].sort((a, b) => a.timestamp - b.timestamp);
+
+    state.chatMessages = [];
+    elements.chatMessages.innerHTML = '';
+    messages.forEach(message => appendChatMessage(message));
+
+    if (state.chatMessages.length === 0) {
+        elements.chatMessages.innerHTML = '<div class="chat-empty">Belum ada pesan</div>';
+    }
+}
+
+function receiveChatMessage(message) {
+    if (!appendChatMessage(message)) return;
+
+    if (!state.isChatOpen && message.senderId !== state.participantId) {
+        state.unreadChatCount++;
+        updateChatUnreadBadge();
+
+        const prefix = message.targetId ? `${message.senderName} (private)` : message.senderName;
+        showToast(`${escapeHtml(prefix)}: ${escapeHtml(message.text.slice(0, 80))}`, 'info');
+    }
+}
+
+// Returns false if the message was already rendered
+function appendChatMessage(message) {
+    if (state.chatMessages.some(m => m.id === message.id)) return false;
+    state.chatMessages.push(message);
+
+    const emptyState = elements.chatMessages.querySelector('.chat-empty');
+    if (emptyState) emptyState.remove();
+
+    const isOwn = message.senderId === state.participantId;
+
+    const item = document.createElement('div');
+    item.className = 'chat-message';
+    item.classList.toggle('own', isOwn);
+    item.classList.toggle('direct', !!message.targetId);
+
+    const meta = document.createElement('div');
+    meta.className = 'chat-meta';
+    meta.textContent = `${isOwn ? 'You' : message.senderName} · ${new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+    if (message.targetId) {
+        const dm = document.createElement('span');
+        dm.className = 'chat-dm';
+        dm.textContent = isOwn ? ` · to ${message.targetName}` : ' · private';
+        meta.appendChild(dm);
+    }
+
+    const text = document.createElement('div');
+    text.className = 'chat-text';
+    appendLinkifiedText(text, message.text);
+
+    item.appendChild(meta);
+    item.appendChild(text);
+
+    // Only auto-scroll if the user is already near the bottom
+    const list = elements.chatMessages;
+    const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+    list.appendChild(item);
+    if (atBottom || isOwn) list.scrollTop = list.scrollHeight;
+
+    return true;
+}
+
+// Render text with clickable links without ever using innerHTML on user content
+function appendLinkifiedText(parent, text) {
+    const urlPattern = /(https?:\/\/[^\s]+)/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = urlPattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+        const link = document.createElement('a');
+        link.href = match[0];
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = match[0];
+        parent.appendChild(link);
+        lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < text.length) {
+        parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+}
+
+function updateChatTargets() {
+    const select = elements.chatTarget;
+    const current = select.value;
+
+    select.innerHTML = '<option value="">Everyone</option>';
+    state.peers.forEach((peerData, peerId) => {
+        const option = document.createElement('option');
+        option.value = peerId;
+        option.textContent = peerData.name;
+        select.appendChild(option);
+    });
+
+    // Fall back to "Everyone" if the selected participant left
+    select.value = state.peers.has(current) ? current : '';
+}
+
+function resetChat() {
+    state.chatMessages = [];
+    state.isChatOpen = false;
+    state.unreadChatCount = 0;
+
+    elements.chatPanel.classList.add('hidden');
+    elements.chatBtn.classList.remove('active');
+    elements.chatMessages.innerHTML = '<div class="chat-empty">Belum ada pesan</div>';
+    elements.chatInput.value = '';
+    updateChatTargets();
+    updateChatUnreadBadge();
+}
+
+// ============================================
+// File Transfer (RTCDataChannel)
+// ============================================
+
+/**
+ * Both sides create the channel with the same negotiated id, so it opens with the
+ * peer connection and does not depend on who sent the offer.
+ */
+function createFileChannel(pc, peerId) {
+    const channel = pc.createDataChannel('file-transfer', {
+        negotiated: true,
+        id: CONFIG.fileTransfer.channelId,
+        ordered: true
+    });
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = CONFIG.fileTransfer.lowBufferedAmount;
+
+    channel.onmessage = (event) => {
+        if (typeof event.data === 'string') {
+            handleFileControlMessage(peerId, JSON.parse(event.data));
+        } else {
+            handleFileChunk(peerId, event.data);
         }
+    };
+
+    channel.onclose = () => {
+        failPeerFileTransfers(peerId, 'Connection closed');
+    };
+
+    return channel;
+}
+
+function sendFileControl(peerId, message) {
+    const peerData = state.peers.get(peerId);
+    if (peerData && peerData.fileChannel && peerData.fileChannel.readyState === 'open') {
+        peerData.fileChannel.send(JSON.stringify(message));
+        return true;
     }
+    return false;
+}
+
+function generateTransferId() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join('');
 }
 
-function toggleCamera() {
-    if (state.localStream) {
-        const videoTrack = state.localStream.getVideoTracks()[0];
-        if (videoTrack) {
-            state.isCameraOn = !state.isCameraOn;
-            videoTrack.enabled = state.isCameraOn;
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
 
-            elements.cameraBtn.classList.toggle('off', !state.isCameraOn);
+/**
+ * SHA-256 fed piece by piece. crypto.subtle only hashes a whole buffer, which
+ * would mean a second full copy of a large file in memory - too much for a phone.
+ */
+function createSha256() {
+    const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const block = new Uint8Array(64); // Bytes waiting for a full 64-byte block
+    let blockLength = 0;
+    let totalLength = 0;
+
+    function compress(bytes, offset) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const x = w[i - 15];
+            const y = w[i - 2];
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
 
-            // Update button label
-            const label = elements.cameraBtn.querySelector('span:last-child');
-            if (label) {
-                label.textContent = state.isCameraOn ? 'Cam On' : 'Cam Off';
-            }
+        let a = hash[0], b = hash[1], c = hash[2], d = hash[3], e = hash[4], f = hash[5], g = hash[6], h = hash[7];
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const t1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        hash[0] += a; hash[1] += b; hash[2] += c; hash[3] += d;
+        hash[4] += e; hash[5] += f; hash[6] += g; hash[7] += h;
+    }
 
-            sendSignaling({
-                type: 'toggle-media',
-                mediaType: 'video',
-                enabled: state.isCameraOn
-            });
+    function update(bytes) {
+        totalLength += bytes.length;
+        let offset = 0;
+
+        if (blockLength > 0) {
+            offset = Math.min(64 - blockLength, bytes.length);
+            block.set(bytes.subarray(0, offset), blockLength);
+            blockLength += offset;
+            if (blockLength < 64) return;
+            compress(block, 0);
+            blockLength = 0;
         }
+
+        for (; offset + 64 <= bytes.length; offset += 64) compress(bytes, offset);
+        block.set(bytes.subarray(offset));
+        blockLength = bytes.length - offset;
     }
+
+    // Hex digest, like the one the sender puts in its offer
+    function digest() {
+        const bitLength = totalLength * 8;
+        const padding = new Uint8Array((blockLength < 56 ? 64 : 128) - blockLength);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(bitLength / 2 ** 32));
+        view.setUint32(padding.length - 4, bitLength >>> 0);
+        update(padding);
+        return Array.from(hash, word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    return { update, digest };
 }
 
-async function toggleScreenShare() {
-    if (state.isScreenSharing) {
-        stopScreenShare();
-    } else {
-        await startScreenShare();
+// Read a slice at a time, so hashing a large file doesn't load all of it
+async function hashBlob(blob) {
+    const sha = createSha256();
+    const sliceSize = CONFIG.fileTransfer.hashSliceSize;
+    for (let offset = 0; offset < blob.size; offset += sliceSize) {
+        sha.update(new Uint8Array(await blob.slice(offset, offset + sliceSize).arrayBuffer()));
     }
+    return sha.digest();
 }
 
-async function startScreenShare() {
-    try {
-        state.screenStream = await navigator.mediaDevices.getDisplayMedia(CONFIG.screenConstraints);
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
 
-        const screenTrack = state.screenStream.getVideoTracks()[0];
+/**
+ * Offer the selected files to the chat target (one participant or everyone)
+ */
+async function sendSelectedFiles() {
+    const files = Array.from(elements.fileInput.files);
+    elements.fileInput.value = '';
+    if (files.length === 0) return;
+
+    const peerIds = elements.chatTarget.value ? [elements.chatTarget.value] : Array.from(state.peers.keys());
+    if (peerIds.length === 0) {
+        showToast('No one to send the file to', 'error');
+        return;
+    }
 
-        // Add screen track to peer connections
-        state.peers.forEach((peerData) => {
-            // Remove old screen sender if exists (prevent accumulation)
-            if (peerData.screenSender) {
-                try {
-                    peerData.pc.removeTrack(peerData.screenSender);
-                } catch (e) { console.error(e); }
-            }
-            peerData.screenSender = peerData.pc.addTrack(screenTrack, state.screenStream);
-        });
+    for (const file of files) {
+        let hash;
+        try {
+            hash = await hashBlob(file);
+        } catch (e) {
+            console.error('Error hashing file:', e);
+            showToast(`Cannot read ${escapeHtml(file.name)}`, 'error');
+            continue;
+        }
 
-        // Handle screen share stop
-        screenTrack.onended = () => {
-            stopScreenShare();
-        };
+        peerIds.forEach(peerId => offerFile(peerId, file, hash));
+    }
+}
 
-        state.isScreenSharing = true;
-        elements.screenBtn.classList.add('active');
+function offerFile(peerId, file, hash) {
+    const peerData = state.peers.get(peerId);
+    if (!peerData) return;
 
-        // Update button label
-        const label = elements.screenBtn.querySelector('span:last-child');
-        if (label) {
-            label.textContent = 'Stop Share';
+    const transfer = {
+        id: generateTransferId(),
+        direction: 'out',
+        peerId,
+        peerName: peerData.name,
+        file,
+        name: file.name,
+        size: file.size,
+        mimeType: file.type,
+        hash,
+        bytes: 0,
+        status: 'offered',
+        element: null
+    };
+
+    const sent = sendFileControl(peerId, {
+        type: 'file-offer',
+        transferId: transfer.id,
+        name: transfer.name,
+        size: transfer.size,
+        mimeType: transfer.mimeType,
+        hash
+    });
+
+    state.fileTransfers.set(transfer.id, transfer);
+    if (!sent) {
+        setTransferStatus(transfer, 'failed', 'Connection not ready');
+        return;
+    }
+    renderFileTransfer(transfer);
+}
+
+function handleFileControlMessage(peerId, message) {
+    const transfer = state.fileTransfers.get(message.transferId);
+
+    switch (message.type) {
+        case 'file-offer': {
+            const peerData = state.peers.get(peerId);
+            const incoming = {
+                id: message.transferId,
+                direction: 'in',
+                peerId,
+                peerName: peerData ? peerData.name : 'Participant',
+                name: String(message.name || 'file'),
+                size: Number(message.size) || 0,
+                mimeType: message.mimeType || 'application/octet-stream',
+                hash: message.hash,
+                hasher: createSha256(), // Fed as chunks arrive, so the finished file isn't read again
+                bytes: 0,
+                chunks: [],
+                status: 'offered',
+                url: null,
+                element: null
+            };
+            state.fileTransfers.set(incoming.id, incoming);
+            renderFileTransfer(incoming);
+            showToast(`${escapeHtml(incoming.peerName)} wants to send ${escapeHtml(incoming.name)}`, 'info');
+            break;
         }
 
-        // Show screen share layout with PiP
-        updateScreenShareLayout();
+        case 'file-accept':
+            if (!transfer || transfer.direction !== 'out' || transfer.status !== 'offered') return;
+            setTransferStatus(transfer, 'queued');
+            queueFileStream(transfer);
+            break;
 
-        sendSignaling({
-            type: 'start-screen-share',
-            streamId: state.screenStream.id
-        });
-        showToast('Screen sharing started', 'success');
+        case 'file-reject':
+            if (!transfer || transfer.status !== 'offered') return;
+            setTransferStatus(transfer, 'rejected');
+            break;
 
-    } catch (error) {
-        console.error('Error starting screen share:', error);
-        if (error.name !== 'AbortError') {
-            showToast('Cannot share screen', 'error');
+        case 'file-start': {
+            if (!transfer || transfer.direction !== 'in') return;
+            const peerData = state.peers.get(peerId);
+            if (peerData) peerData.incomingTransferId = transfer.id;
+            if (transfer.status === 'accepted') setTransferStatus(transfer, 'receiving');
+            break;
         }
+
+        case 'file-complete':
+            if (!transfer || transfer.direction !== 'in' || transfer.status !== 'receiving') return;
+            finishIncomingFile(transfer);
+            break;
+
+        case 'file-cancel':
+            if (!transfer || isTransferFinished(transfer)) return;
+            transfer.chunks = [];
+            setTransferStatus(transfer, 'cancelled', `Cancelled by ${transfer.peerName}`);
+            break;
     }
 }
 
-/**
- * Helper to draw image on canvas with aspect ratio preservation (Contain or Cover)
- */
-function drawImageAspect(ctx, img, x, y, w, h, mode = 'contain') {
-    if (!img || img.readyState < 2) return;
+function handleFileChunk(peerId, chunk) {
+    const peerData = state.peers.get(peerId);
+    if (!peerData || !peerData.incomingTransferId) return;
 
-    const imgW = img.videoWidth || img.width;
-    const imgH = img.videoHeight || img.height;
-    const imgRatio = imgW / imgH;
-    const targetRatio = w / h;
+    const transfer = state.fileTransfers.get(peerData.incomingTransferId);
+    // Chunks of a cancelled transfer may still be in flight - drop them
+    if (!transfer || transfer.status !== 'receiving') return;
 
-    let renderW, renderH, renderX, renderY;
+    transfer.chunks.push(chunk);
+    transfer.bytes += chunk.byteLength;
 
-    if (mode === 'contain') {
-        // Fit within the box (letterbox/pillarbox)
-        if (imgRatio > targetRatio) {
-            renderW = w;
-            renderH = w / imgRatio;
-        } else {
-            renderH = h;
-            renderW = h * imgRatio;
-        }
-    } else {
-        // Fill the box (crop sides/top)
-        if (imgRatio > targetRatio) {
-            renderH = h;
-            renderW = h * imgRatio;
-        } else {
-            renderW = w;
-            renderH = w / imgRatio;
-        }
+    if (transfer.bytes > transfer.size) {
+        transfer.chunks = [];
+        sendFileControl(peerId, { type: 'file-cancel', transferId: transfer.id });
+        setTransferStatus(transfer, 'failed', 'Received more data than announced');
+        return;
     }
 
-    renderX = x + (w - renderW) / 2;
-    renderY = y + (h - renderH) / 2;
-
-    ctx.drawImage(img, renderX, renderY, renderW, renderH);
+    transfer.hasher.update(new Uint8Array(chunk));
+    updateTransferProgress(transfer);
 }
 
-function updateScreenShareLayout() {
-    // Check if anyone is sharing (local or remote)
-    const isSharing = state.isScreenSharing || state.screenSharerId;
+function finishIncomingFile(transfer) {
+    setTransferStatus(transfer, 'verifying');
 
-    if (!isSharing) {
-        elements.screenShareLayout.classList.add('hidden');
-        elements.videoGrid.classList.remove('hidden');
-        elements.screenShareMain.srcObject = null;
+    const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+    transfer.chunks = [];
+
+    if (blob.size !== transfer.size) {
+        setTransferStatus(transfer, 'failed', 'Incomplete file');
         return;
     }
 
-    elements.screenShareLayout.classList.remove('hidden');
-    elements.videoGrid.classList.add('hidden');
+    if (transfer.hasher.digest() !== transfer.hash) {
+        setTransferStatus(transfer, 'failed', 'Integrity check failed');
+        return;
+    }
 
-    // Handle Main View (Screen Share)
-    if (state.isScreenSharing) {
-        // Local user is sharing
-        elements.screenShareMain.srcObject = state.screenStream;
-        elements.screenShareMain.muted = true; // Mute local preview
-    } else {
-        // Remote user is sharing
-        const peerData = state.peers.get(state.screenSharerId);
-        if (peerData && peerData.screenStream) {
-            elements.screenShareMain.srcObject = peerData.screenStream;
-            elements.screenShareMain.muted = false;
+    transfer.url = URL.createObjectURL(blob);
+    setTransferStatus(transfer, 'done');
+    showToast(`${escapeHtml(transfer.name)} received`, 'success');
+}
+
+function queueFileStream(transfer) {
+    const peerData = state.peers.get(transfer.peerId);
+    if (!peerData) return;
+
+    peerData.fileSendQueue = peerData.fileSendQueue
+        .then(() => streamFile(transfer, peerData.fileChannel))
+        .catch(e => {
+            console.error('Error sending file:', e);
+            if (!isTransferFinished(transfer)) setTransferStatus(transfer, 'failed', 'Send failed');
+        });
+}
+
+async function streamFile(transfer, channel) {
+    if (transfer.status !== 'queued') return; // Cancelled while waiting in the queue
+
+    setTransferStatus(transfer, 'sending');
+    channel.send(JSON.stringify({ type: 'file-start', transferId: transfer.id }));
+
+    const { chunkSize, maxBufferedAmount } = CONFIG.fileTransfer;
+    let offset = 0;
+
+    while (offset < transfer.size) {
+        if (transfer.status !== 'sending') return;
+        if (channel.readyState !== 'open') throw new Error('Data channel closed');
+
+        // Backpressure: wait for the SCTP send queue to drain
+        if (channel.bufferedAmount > maxBufferedAmount) {
+            await waitForBufferedAmountLow(channel);
+            continue;
         }
+
+        const chunk = await transfer.file.slice(offset, offset + chunkSize).arrayBuffer();
+        channel.send(chunk);
+        offset += chunk.byteLength;
+
+        transfer.bytes = offset;
+        updateTransferProgress(transfer);
     }
 
-    renderScreenShareSidebar();
+    channel.send(JSON.stringify({ type: 'file-complete', transferId: transfer.id }));
+    setTransferStatus(transfer, 'done');
 }
 
-function renderScreenShareSidebar() {
-    const sidebar = elements.screenShareSidebar;
-    sidebar.innerHTML = ''; // Clear existing
+function waitForBufferedAmountLow(channel) {
+    return new Promise(resolve => {
+        const done = () => {
+            channel.removeEventListener('bufferedamountlow', done);
+            channel.removeEventListener('close', done);
+            resolve();
+        };
+        channel.addEventListener('bufferedamountlow', done);
+        channel.addEventListener('close', done);
+    });
+}
 
-    // Add local user camera
-    const localPip = document.createElement('div');
-    localPip.className = 'pip-container';
+function acceptFileTransfer(transferId) {
+    const transfer = state.fileTransfers.get(transferId);
+    if (!transfer || transfer.status !== 'offered') return;
 
-    // Video
-    const localVideo = document.createElement('video');
-    localVideo.autoplay = true;
-    localVideo.muted = true;
-    localVideo.playsInline = true;
-    localVideo.srcObject = state.localStream;
-    localPip.appendChild(localVideo);
+    if (sendFileControl(transfer.peerId, { type: 'file-accept', transferId })) {
+        setTransferStatus(transfer, 'accepted');
+    } else {
+        setTransferStatus(transfer, 'failed', 'Connection not ready');
+    }
+}
 
-    // Label
-    const localLabel = document.createElement('div');
-    localLabel.className = 'pip-label';
-    localLabel.textContent = 'You' + (state.isHost ? ' (Host)' : '');
-    localPip.appendChild(localLabel);
+function rejectFileTransfer(transferId) {
+    const transfer = state.fileTransfers.get(transferId);
+    if (!transfer || transfer.status !== 'offered') return;
 
-    sidebar.appendChild(localPip);
+    sendFileControl(transfer.peerId, { type: 'file-reject', transferId });
+    setTransferStatus(transfer, 'rejected');
+}
 
-    // Add other participants
-    state.peers.forEach((peerData, peerId) => {
-        const pip = document.createElement('div');
-        pip.className = 'pip-container';
+function cancelFileTransfer(transferId) {
+    const transfer = state.fileTransfers.get(transferId);
+    if (!transfer || isTransferFinished(transfer)) return;
 
-        // Video
-        const video = document.createElement('video');
-        video.autoplay = true;
-        video.playsInline = true;
-        video.srcObject = peerData.stream;
-        video.style.transform = 'scaleX(1)'; // Don't mirror remote video
-        pip.appendChild(video);
+    sendFileControl(transfer.peerId, { type: 'file-cancel', transferId });
+    transfer.chunks = [];
+    setTransferStatus(transfer, 'cancelled');
+}
 
-        // Label
-        const label = document.createElement('div');
-        label.className = 'pip-label';
-        label.textContent = peerData.name;
-        pip.appendChild(label);
+function dismissFileTransfer(transferId) {
+    const transfer = state.fileTransfers.get(transferId);
+    if (!transfer) return;
 
-        // Mic status icon
-        if (!peerData.isMicOn) {
-            const micIcon = document.createElement('div');
-            micIcon.className = 'pip-status';
-            micIcon.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="1" y1="1" x2="23" y2="23"></line><path d="M9 9v3a3 3 0 005.12 2.12M15 9.34V4a3 3 0 00-5.94-.6"></path><path d="M17 16.95A7 7 0 015 12v-2m14 0v2c0 .57-.07 1.14-.22 1.68"></path><path d="M12 19v4M8 23h8"></path></svg>`;
-            pip.appendChild(micIcon);
-        }
+    if (transfer.url) URL.revokeObjectURL(transfer.url);
+    if (transfer.element) transfer.element.remove();
+    state.fileTransfers.delete(transferId);
+}
 
-        sidebar.appendChild(pip);
+function isTransferFinished(transfer) {
+    return ['done', 'failed', 'rejected', 'cancelled'].includes(transfer.status);
+}
+
+function failPeerFileTransfers(peerId, reason) {
+    state.fileTransfers.forEach(transfer => {
+        if (transfer.peerId === peerId && !isTransferFinished(transfer) && transfer.status !== 'verifying') {
+            transfer.chunks = [];
+            setTransferStatus(transfer, 'failed', reason);
+        }
     });
 }
 
-function stopScreenShare() {
-    if (state.screenStream) {
-        state.screenStream.getTracks().forEach(track => track.stop());
+function setTransferStatus(transfer, status, reason) {
+    transfer.status = status;
+    transfer.reason = reason || null;
+    renderFileTransfer(transfer);
+}
 
-        // Remove track from all peer connections
-        state.peers.forEach(peerData => {
-            if (peerData.screenSender) {
-                try {
-                    peerData.pc.removeTrack(peerData.screenSender);
-                    peerData.screenSender = null;
-                } catch (e) {
-                    console.error('Error removing screen track:', e);
-                }
-            }
-        });
+function updateTransferProgress(transfer) {
+    if (!transfer.element) return;
 
-        state.screenStream = null;
+    const percent = transfer.size > 0 ? Math.min(100, (transfer.bytes / transfer.size) * 100) : 100;
+    transfer.element.querySelector('.file-progress-bar').style.width = `${percent}%`;
+    transfer.element.querySelector('.file-transfer-status').textContent =
+        `${transfer.direction === 'out' ? 'Sending' : 'Receiving'} ${formatBytes(transfer.bytes)} / ${formatBytes(transfer.size)}`;
+}
+
+function getTransferStatusText(transfer) {
+    const peer = transfer.peerName;
+    switch (transfer.status) {
+        case 'offered': return transfer.direction === 'out' ? `Waiting for ${peer} to accept` : `From ${peer}`;
+        case 'accepted': return `Waiting for ${peer}...`;
+        case 'queued': return `Queued for ${peer}`;
+        case 'verifying': return 'Verifying...';
+        case 'done': return transfer.direction === 'out' ? `Sent to ${peer}` : 'Verified ✓';
+        case 'rejected': return transfer.direction === 'out' ? `${peer} declined` : 'Declined';
+        case 'cancelled': return transfer.reason || 'Cancelled';
+        case 'failed': return transfer.reason || 'Failed';
+        default: return '';
     }
+}
 
-    state.isScreenSharing = false;
-    elements.screenBtn.classList.remove('active');
+function renderFileTransfer(transfer) {
+    if (!transfer.element) {
+        transfer.element = document.createElement('div');
+        transfer.element.innerHTML = `
+        <div class="file-transfer-name"></div>
+        <div class="file-transfer-status"></div>
+        <div class="file-progress"><div class="file-progress-bar"></div></div>
+        <div class="file-transfer-actions"></div>
+      `;
+        transfer.element.querySelector('.file-transfer-name').textContent =
+            `${transfer.direction === 'out' ? '⬆' : '⬇'} ${transfer.name} (${formatBytes(transfer.size)})`;
+        elements.fileTransfers.appendChild(transfer.element);
+    }
 
-    // Update button label
-    const label = elements.screenBtn.querySelector('span:last-child');
-    if (label) {
-        label.textContent = 'Share';
+    const el = transfer.element;
+    el.className = `file-transfer ${transfer.status}`;
+
+    if (transfer.status === 'sending' || transfer.status === 'receiving') {
+        updateTransferProgress(transfer);
+    } else {
+        el.querySelector('.file-transfer-status').textContent = getTransferStatusText(transfer);
+        if (transfer.status === 'done') el.querySelector('.file-progress-bar').style.width = '100%';
     }
 
-    // Hide screen share layout
-    // Hide screen share layout
-    updateScreenShareLayout();
+    const actions = el.querySelector('.file-transfer-actions');
+    actions.innerHTML = '';
 
-    sendSignaling({ type: 'stop-screen-share' });
-    showToast('Screen sharing stopped', 'info');
+    const addButton = (text, onClick, primary = false) => {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        if (primary) btn.className = 'primary';
+        btn.addEventListener('click', onClick);
+        actions.appendChild(btn);
+    };
+
+    if (transfer.status === 'offered' && transfer.direction === 'in') {
+        addButton('Accept', () => acceptFileTransfer(transfer.id), true);
+        addButton('Reject', () => rejectFileTransfer(transfer.id));
+    } else if (transfer.status === 'done' && transfer.url) {
+        const link = document.createElement('a');
+        link.href = transfer.url;
+        link.download = transfer.name;
+        link.className = 'primary';
+        link.textContent = 'Download';
+        actions.appendChild(link);
+        addButton('Dismiss', () => dismissFileTransfer(transfer.id));
+    } else if (isTransferFinished(transfer)) {
+        addButton('Dismiss', () => dismissFileTransfer(transfer.id));
+    } else if (transfer.status !== 'verifying') {
+        addButton('Cancel', () => cancelFileTransfer(transfer.id));
+    }
+}
+
+function resetFileTransfers() {
+    state.fileTransfers.forEach(transfer => {
+        transfer.status = 'cancelled';
+        if (transfer.url) URL.revokeObjectURL(transfer.url);
+    });
+    state.fileTransfers.clear();
+    elements.fileTransfers.innerHTML = '';
 }
 
 // ============================================
@@ -1063,10 +5310,12 @@ function drawRecordingFrame() {
     // Draw local video if available
     if (elements.localVideo && elements.localVideo.srcObject && elements.localVideo.videoWidth > 0) {
         try {
-            // Draw centered and mirrored
+            // Mirrored like the preview, unless it's a phone's back camera
             ctx.save();
-            ctx.translate(width, 0);
-            ctx.scale(-1, 1);
+            if (!state.isRearCamera) {
+                ctx.translate(width, 0);
+                ctx.scale(-1, 1);
+            }
             ctx.drawImage(elements.localVideo, 0, 0, width, height);
             ctx.restore();
         } catch (e) {
@@ -1083,20 +5332,27 @@ function drawRecordingFrame() {
 }
 
 function startRecording() {
-    if (!state.isHost) return;
+    if (!mayRecord() || state.isRecording) return;
+
+    if (getRecordingMode() === 'isolated') {
+        startIsolatedRecording();
+        return;
+    }
 
     console.log('Starting recording...');
 
+    const settings = state.recordingSettings;
+    const { width, height } = CONFIG.recordingCompositor.resolutions[settings.resolution];
+
     // Create canvas for compositing all video streams
     state.recordingCanvas = document.createElement('canvas');
-    // Reduced from 1080p to 720p for efficiency
-    state.recordingCanvas.width = 1280;
-    state.recordingCanvas.height = 720;
+    state.recordingCanvas.width = width;
+    state.recordingCanvas.height = height;
     state.recordingCtx = state.recordingCanvas.getContext('2d');
 
     // Pre-draw canvas with black background (required before captureStream)
     state.recordingCtx.fillStyle = '#0f0f0f';
-    state.recordingCtx.fillRect(0, 0, 1280, 720);
+    state.recordingCtx.fillRect(0, 0, width, height);
 
     // Draw first frame immediately
     drawRecordingFrame();
@@ -1110,6 +5366,7 @@ function startRecording() {
     });
 
     const destination = state.audioContext.createMediaStreamDestination();
+    state.recordingAudioDestination = destination;
 
     // Mix local audio
     if (state.localStream) {
@@ -1141,8 +5398,7 @@ function startRecording() {
 
     // Wait a bit for canvas to be ready, then start recording
     setTimeout(() => {
-        // Get canvas stream at 24fps (better efficiency than 30fps)
-        const canvasStream = state.recordingCanvas.captureStream(24);
+        const canvasStream = state.recordingCanvas.captureStream(settings.frameRate);
         console.log('Canvas stream tracks:', canvasStream.getTracks().map(t => `${t.kind}:${t.readyState}`));
 
         // Combine video from canvas and mixed audio
@@ -1163,23 +5419,22 @@ function startRecording() {
         try {
             state.mediaRecorder = new MediaRecorder(combinedStream, {
                 mimeType: mimeType,
-                videoBitsPerSecond: 2500000, // Reduced from 4Mbps to 2.5Mbps for better efficiency
+                videoBitsPerSecond: settings.bitrate,
                 audioBitsPerSecond: 128000   // Explicit 128kbps audio
             });
-            console.log('MediaRecorder created with:', mimeType, 'at 2.5Mbps');
+            console.log('MediaRecorder created with:', mimeType, `${width}x${height}@${settings.frameRate}`, settings.bitrate, 'bps');
         } catch (e) {
             console.error('MediaRecorder error:', e);
             showToast('Recording not supported in this browser', 'error');
             return;
         }
 
-        state.recordedChunks = [];
+        // Only the host's recordings go to the server; others keep theirs on their device
+        const upload = createRecordingUpload(state.mediaRecorder.mimeType || mimeType, { local: !state.isHost });
 
         state.mediaRecorder.ondataavailable = (event) => {
             console.log('Data available:', event.data.size, 'bytes');
-            if (event.data && event.data.size > 0) {
-                state.recordedChunks.push(event.data);
-            }
+            queueRecordedChunk(upload, event.data);
         };
 
         state.mediaRecorder.onerror = (event) => {
@@ -1188,448 +5443,1203 @@ function startRecording() {
         };
 
         state.mediaRecorder.onstop = () => {
-            console.log('MediaRecorder stopped, chunks:', state.recordedChunks.length);
-            saveRecording();
+            console.log('MediaRecorder stopped, chunks left to upload:', upload.chunks.length);
+            // Net length for the recordings library (a pause still running counts too)
+            upload.duration = getRecordingTime() / 1000;
+            finishRecordingUpload(upload);
         };
 
         // Start recording with timeslice of 1000ms
         state.mediaRecorder.start(1000);
         console.log('MediaRecorder started, state:', state.mediaRecorder.state);
 
+        markRecordingStarted();
+        upload.chapters = state.recordingMarkers;
+
         // Start rendering to canvas
-        state.recordingStartTime = Date.now();
-        state.totalPausedTime = 0;
-        state.lastPauseStartTime = null;
+        renderRecordingFrame();
+
+        showToast('Recording started', 'success');
+    }, 100); // Small delay to ensure canvas is ready
+}
+
+// Shared by both recording modes once the recorders are running
+function markRecordingStarted() {
+    state.recordingStartTime = Date.now();
+    state.totalPausedTime = 0;
+    state.lastPauseStartTime = null;
+
+    state.isRecording = true;
+    state.isRecordingPaused = false;
+    state.recordingNotices = [];
+    state.recordingMarkers = [];
+    state.chapterSharerId = state.isScreenSharing ? state.participantId : state.screenSharerId;
+    state.speakerChapter = { candidateId: null, since: 0, chapteredId: null };
+    updateVideoGridLayout(); // The compositor draws off-page tiles too
+
+    // Update recording time every second
+    state.recordingTimeInterval = setInterval(() => {
+        updateRecordingTime();
+        updateSpeakerChapter();
+    }, 1000);
+
+    // Update UI
+    elements.recordBtn.classList.add('hidden');
+    elements.pauseRecordBtn.classList.remove('hidden');
+    elements.bookmarkBtn.classList.remove('hidden');
+    elements.stopRecordBtn.classList.remove('hidden');
+    updateRecordingIndicator();
+
+    sendSignaling({ type: 'recording-started' });
+    updateRecordingSettingsForm();
+}
+
+function pauseRecording() {
+    if (!state.isRecording) return;
+
+    if (state.isRecordingPaused) {
+        // RESUME
+        if (state.mediaRecorder) state.mediaRecorder.resume();
+        state.trackRecorders.forEach(entry => {
+            if (entry.recorder && entry.recorder.state === 'paused') entry.recorder.resume();
+        });
+        state.isRecordingPaused = false;
+
+        // Calculate paused duration
+        if (state.lastPauseStartTime) {
+            const pausedDuration = Date.now() - state.lastPauseStartTime;
+            state.totalPausedTime += pausedDuration;
+            state.lastPauseStartTime = null;
+
+            // The timeline skips the pause - note where it was cut
+            logRecordingEvent('paused', null, { pausedFor: pausedDuration });
+        }
+
+        elements.pauseRecordBtn.classList.remove('paused');
+        elements.pauseRecordBtn.querySelector('span:last-child').textContent = 'Pause';
+        elements.recordingIndicator.classList.remove('paused');
+        showToast('Recording resumed', 'info');
+    } else {
+        // PAUSE
+        if (state.mediaRecorder) state.mediaRecorder.pause();
+        state.trackRecorders.forEach(entry => {
+            if (entry.recorder && entry.recorder.state === 'recording') entry.recorder.pause();
+        });
+        state.isRecordingPaused = true;
+
+        // Track pause start time
+        state.lastPauseStartTime = Date.now();
+
+        elements.pauseRecordBtn.classList.add('paused');
+        elements.pauseRecordBtn.querySelector('span:last-child').textContent = 'Resume';
+        elements.recordingIndicator.classList.add('paused');
+        showToast('Recording paused', 'info');
+    }
+}
+
+function stopRecording() {
+    if (!state.isRecording) return;
+
+    console.log('Stopping recording...');
+
+    // Stop the MediaRecorder
+    if (state.mediaRecorder) {
+        if (state.mediaRecorder.state !== 'inactive') state.mediaRecorder.stop();
+        state.mediaRecorder = null;
+    }
+
+    if (state.trackSession) {
+        finishIsolatedRecording(state.trackSession);
+    }
+
+    // Stop rendering
+    if (state.recordingAnimationId) {
+        cancelAnimationFrame(state.recordingAnimationId);
+        state.recordingAnimationId = null;
+    }
+
+    // Clear time interval
+    if (state.recordingTimeInterval) {
+        clearInterval(state.recordingTimeInterval);
+        state.recordingTimeInterval = null;
+    }
+
+    // Close audio context
+    if (state.audioContext) {
+        state.audioContext.close();
+        state.audioContext = null;
+    }
+    state.recordingAudioDestination = null;
+
+    state.isRecording = false;
+    state.isRecordingPaused = false;
+
+    // Update UI
+    elements.pauseRecordBtn.classList.add('hidden');
+    elements.bookmarkBtn.classList.add('hidden');
+    elements.bookmarkForm.classList.add('hidden');
+    elements.stopRecordBtn.classList.add('hidden');
+    updateRecordButton();
+    updateRecordingIndicator();
+    updateRecordingSettingsForm();
+    if (elements.recordingTime) {
+        elements.recordingTime.textContent = '00:00';
+    }
+
+    sendSignaling({ type: 'recording-stopped' });
+    showToast('Recording stopped', 'info');
+    updateVideoGridLayout();
+}
+
+function renderRecordingFrame() {
+    if (!state.isRecording) return;
+    if (state.isRecordingPaused) {
+        state.recordingAnimationId = requestAnimationFrame(renderRecordingFrame);
+        return;
+    }
+
+    const ctx = state.recordingCtx;
+    const canvas = state.recordingCanvas;
+    const width = canvas.width;
+    const height = canvas.height;
+
+    // Clear canvas
+    ctx.fillStyle = '#0f0f0f';
+    ctx.fillRect(0, 0, width, height);
+
+    // Update active speaker detection
+    updateActiveSpeakers();
+
+    // Screen share by anyone - updateScreenShareLayout keeps screenShareMain on the shared stream
+    const isSharing = state.isScreenSharing || state.screenSharerId;
+    const screenVideo = isSharing && elements.screenShareMain.srcObject ? elements.screenShareMain : null;
+    if (screenVideo && screenVideo.paused) screenVideo.play().catch(() => { });
+
+    // Without a share, an open whiteboard takes its place (unless it's left out of the recording)
+    const showWhiteboard = !screenVideo && state.whiteboard.isOpen && state.recordingSettings.whiteboard;
+    const stage = showWhiteboard ? elements.whiteboardCanvas : screenVideo;
+
+    const participants = getRecordingParticipants();
+    const speaker = getRecordingSpeaker(participants);
+    const layout = computeRecordingLayout(state.recordingSettings.layout, width, height, participants, speaker, !!stage);
+
+    if (layout.screen) drawRecordingScreen(ctx, stage, layout.screen);
+    layout.tiles.forEach(tile => {
+        if (tile.more) {
+            drawRecordingMoreTile(ctx, tile.more, tile.rect);
+        } else {
+            drawRecordingTile(ctx, tile.participant, tile.rect);
+        }
+    });
+
+    drawRecordingOverlays(ctx, width, height);
+
+    state.recordingAnimationId = requestAnimationFrame(renderRecordingFrame);
+}
+
+// ============================================
+// Recording Layouts
+// ============================================
+// The mixed recording is laid out in two steps: computeRecordingLayout turns the
+// chosen layout into rectangles (pure geometry), then each rectangle is drawn.
+// A rect is { x, y, w, h } in canvas pixels.
+
+// Who can appear in the recording: pinned first, then us, then everyone else
+function getRecordingParticipants() {
+    let participants = [];
+
+    if (state.localStream) {
+        participants.push({
+            id: 'local',
+            video: elements.localVideo,
+            name: state.name || "You",
+            isLocal: true,
+            isCameraOn: state.isCameraOn,
+            isSpeaking: state.speakingParticipants.has('local')
+        });
+    }
+
+    state.peers.forEach((p, id) => {
+        if (p.videoElement) {
+            participants.push({
+                id: id,
+                video: p.videoElement,
+                name: p.name,
+                isLocal: false,
+                isCameraOn: p.isCameraOn,
+                isSpeaking: state.speakingParticipants.has(id)
+            });
+        }
+    });
+
+    if (state.pinnedParticipantId) {
+        const pinIndex = participants.findIndex(p => p.id === state.pinnedParticipantId);
+        if (pinIndex > -1) {
+            participants.unshift(participants.splice(pinIndex, 1)[0]);
+        }
+    }
+
+    // Smart filtering - drop those with nothing to show
+    if (state.hideInactive) {
+        participants = participants.filter(p => p.isCameraOn || p.isSpeaking || p.id === state.pinnedParticipantId);
+    }
+
+    return participants;
+}
+
+// The pinned participant, else whoever spoke last - so the view doesn't flicker in pauses
+function getRecordingSpeaker(participants) {
+    const pinned = participants.find(p => p.id === state.pinnedParticipantId);
+    if (pinned) return pinned;
+
+    const current = participants.find(p => p.id === state.recordingSpeakerId);
+    if (!current || !current.isSpeaking) {
+        const talking = participants.find(p => p.isSpeaking);
+        if (talking) state.recordingSpeakerId = talking.id;
+    }
+
+    return participants.find(p => p.id === state.recordingSpeakerId) || participants[0] || null;
+}
+
+function computeRecordingLayout(layout, width, height, participants, speaker, hasScreen) {
+    const gap = Math.round(CONFIG.recordingCompositor.gap * height / 720);
+    const full = { x: 0, y: 0, w: width, h: height };
+    const others = participants.filter(p => p !== speaker);
+
+    // The big picture for speaker-centred layouts: the shared screen, else the speaker
+    const main = hasScreen ? null : speaker;
+    const rest = hasScreen ? participants : others;
+
+    switch (layout) {
+        case 'speaker': {
+            if (!hasScreen) {
+                return { screen: null, tiles: speaker ? [{ participant: speaker, rect: fitRect(full, 16 / 9) }] : [] };
+            }
+            const split = splitColumns(full, CONFIG.recordingCompositor.screenShareRatio, gap);
+            return {
+                screen: split[0],
+                tiles: speaker ? [{ participant: speaker, rect: fitRect(insetRect(split[1], gap), 16 / 9) }] : []
+            };
+        }
+
+        case 'filmstrip': {
+            const stripH = Math.round(height * 0.2);
+            const mainRect = { x: 0, y: 0, w: width, h: height - stripH - gap };
+            const stripRect = insetRect({ x: 0, y: height - stripH - gap, w: width, h: stripH + gap }, gap);
+            const tiles = main ? [{ participant: main, rect: fitRect(mainRect, 16 / 9) }] : [];
+            return {
+                screen: hasScreen ? mainRect : null,
+                tiles: tiles.concat(layoutRow(rest, stripRect, gap))
+            };
+        }
+
+        case 'pip': {
+            // Small overlays in the bottom-right corner: the speaker over a screen share,
+            // otherwise the next participant over the speaker
+            const pipW = Math.round(width * 0.22);
+            const pipH = Math.round(pipW * 9 / 16);
+            const overlay = hasScreen ? speaker : others[0];
+            const tiles = main ? [{ participant: main, rect: fitRect(full, 16 / 9) }] : [];
+            if (overlay) {
+                tiles.push({ participant: overlay, rect: { x: width - pipW - gap * 2, y: height - pipH - gap * 2, w: pipW, h: pipH } });
+            }
+            return { screen: hasScreen ? full : null, tiles };
+        }
+
+        case 'side-by-side': {
+            // Screen and speaker, or the two most relevant participants, in equal halves
+            const halves = splitColumns(full, 0.5, gap);
+            if (hasScreen) {
+                return {
+                    screen: halves[0],
+                    tiles: speaker ? [{ participant: speaker, rect: fitRect(halves[1], 16 / 9) }] : []
+                };
+            }
+            const pair = participants.length > 1 ? [speaker, others[0]] : participants;
+            return {
+                screen: null,
+                tiles: pair.map((participant, index) => ({
+                    participant,
+                    rect: fitRect(pair.length > 1 ? halves[index] : full, 16 / 9)
+                }))
+            };
+        }
+
+        case 'grid':
+        default: {
+            if (!hasScreen) {
+                return { screen: null, tiles: layoutGrid(participants, insetRect(full, gap), gap) };
+            }
+            const split = splitColumns(full, CONFIG.recordingCompositor.screenShareRatio, gap);
+            return { screen: split[0], tiles: layoutGrid(participants, insetRect(split[1], gap), gap) };
+        }
+    }
+}
+
+// Left part takes `ratio` of the width
+function splitColumns(rect, ratio, gap) {
+    const leftW = Math.round(rect.w * ratio);
+    return [
+        { x: rect.x, y: rect.y, w: leftW, h: rect.h },
+        { x: rect.x + leftW + gap, y: rect.y, w: rect.w - leftW - gap, h: rect.h }
+    ];
+}
+
+function insetRect(rect, inset) {
+    return { x: rect.x + inset, y: rect.y + inset, w: rect.w - inset * 2, h: rect.h - inset * 2 };
+}
+
+// Largest rect of the given aspect ratio centered in `rect`
+function fitRect(rect, aspect) {
+    let w = rect.w;
+    let h = w / aspect;
+    if (h > rect.h) {
+        h = rect.h;
+        w = h * aspect;
+    }
+    return { x: rect.x + (rect.w - w) / 2, y: rect.y + (rect.h - h) / 2, w, h };
+}
+
+// Too many to show - the last visible tile says how many are missing
+function limitTiles(participants, max) {
+    if (participants.length <= max) return participants.map(participant => ({ participant }));
+    return participants.slice(0, max - 1).map(participant => ({ participant }))
+        .concat([{ more: participants.length - (max - 1) }]);
+}
+
+// 16:9 tiles in whichever column count makes them largest; a short last row is centered
+function layoutGrid(participants, area, gap) {
+    const tiles = limitTiles(participants, CONFIG.recordingCompositor.maxTiles);
+    const count = tiles.length;
+    if (count === 0) return [];
+
+    let best = { cols: 1, tileW: 0, tileH: 0 };
+    for (let cols = 1; cols <= count; cols++) {
+        const rows = Math.ceil(count / cols);
+        const tile = fitRect({ x: 0, y: 0, w: (area.w - gap * (cols - 1)) / cols, h: (area.h - gap * (rows - 1)) / rows }, 16 / 9);
+        if (tile.w >= best.tileW) best = { cols, tileW: tile.w, tileH: tile.h };
+    }
+
+    const { cols, tileW, tileH } = best;
+    const rows = Math.ceil(count / cols);
+    const top = area.y + (area.h - (rows * tileH + (rows - 1) * gap)) / 2;
+
+    return tiles.map((tile, index) => {
+        const row = Math.floor(index / cols);
+        const inRow = Math.min(cols, count - row * cols);
+        const left = area.x + (area.w - (inRow * tileW + (inRow - 1) * gap)) / 2;
+        return {
+            ...tile,
+            rect: { x: left + (index % cols) * (tileW + gap), y: top + row * (tileH + gap), w: tileW, h: tileH }
+        };
+    });
+}
+
+// One centered row of 16:9 tiles filling the strip's height
+function layoutRow(participants, area, gap) {
+    const tileH = area.h;
+    const tileW = tileH * 16 / 9;
+    const fits = Math.max(1, Math.floor((area.w + gap) / (tileW + gap)));
+    const tiles = limitTiles(participants, fits);
+    const left = area.x + (area.w - (tiles.length * tileW + (tiles.length - 1) * gap)) / 2;
+
+    return tiles.map((tile, index) => ({
+        ...tile,
+        rect: { x: left + index * (tileW + gap), y: area.y, w: tileW, h: tileH }
+    }));
+}
+
+// `source` is the screen share video or the whiteboard canvas
+function drawRecordingScreen(ctx, source, rect) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+
+    if (source instanceof HTMLCanvasElement) {
+        drawImageAspect(ctx, source, rect.x, rect.y, rect.w, rect.h, 'contain');
+    } else if (source.readyState >= 2) {
+        // Use 'contain' mode for screen share so nothing is cropped
+        drawImageAspect(ctx, source, rect.x, rect.y, rect.w, rect.h, 'contain');
+        drawAnnotationLayer(ctx, getAspectRect(source.videoWidth, source.videoHeight, rect.x, rect.y, rect.w, rect.h, 'contain'));
+    } else {
+        ctx.fillStyle = '#fff';
+        ctx.font = `${Math.round(rect.h / 30)}px Inter`;
+        ctx.textAlign = 'center';
+        ctx.fillText('Loading screen share...', rect.x + rect.w / 2, rect.y + rect.h / 2);
+        ctx.textAlign = 'left';
+    }
+}
+
+function drawRecordingTile(ctx, p, rect) {
+    const { x, y, w, h } = rect;
+    // Scale labels and borders with the tile so small tiles stay readable
+    const fontSize = Math.max(10, Math.min(20, Math.round(h / 12)));
+    const radius = w >= ctx.canvas.width ? 0 : 8;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h, radius);
+    ctx.clip();
+
+    if (p.isCameraOn && p.video && p.video.readyState >= 2) {
+        if (p.video.paused) p.video.play().catch(() => { });
+        if (p.isLocal && !state.isRearCamera) {
+            // Mirrored, like the local preview
+            ctx.translate(x + w, y);
+            ctx.scale(-1, 1);
+            drawImageAspect(ctx, p.video, 0, 0, w, h, 'cover');
+        } else {
+            drawImageAspect(ctx, p.video, x, y, w, h, 'cover');
+        }
+    } else {
+        // Placeholder - camera off or not ready
+        ctx.fillStyle = p.isSpeaking ? '#1a3a2a' : '#222';
+        ctx.fillRect(x, y, w, h);
+
+        ctx.fillStyle = p.isSpeaking ? '#4ade80' : '#444';
+        ctx.beginPath();
+        ctx.arc(x + w / 2, y + h / 2 - fontSize / 2, Math.min(w, h) / 6, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
+
+    // Name label
+    const labelH = Math.round(fontSize * 1.7);
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h, radius);
+    ctx.clip();
+    ctx.fillStyle = 'rgba(0,0,0,0.55)';
+    ctx.fillRect(x, y + h - labelH, w, labelH);
+    ctx.restore();
+
+    ctx.fillStyle = '#fff';
+    ctx.font = `${fontSize}px Inter`;
+    ctx.fillText(p.name, x + fontSize * 0.6, y + h - labelH / 2 + fontSize * 0.35, w - fontSize * 1.2);
+
+    // Speaking highlight over everything
+    if (p.isSpeaking) {
+        const lineWidth = Math.max(2, Math.round(h / 90));
+        ctx.save();
+        ctx.strokeStyle = '#4ade80';
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+        ctx.roundRect(x + lineWidth / 2, y + lineWidth / 2, w - lineWidth, h - lineWidth, radius);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+function drawRecordingMoreTile(ctx, count, rect) {
+    ctx.fillStyle = '#222';
+    ctx.beginPath();
+    ctx.roundRect(rect.x, rect.y, rect.w, rect.h, 8);
+    ctx.fill();
+
+    ctx.fillStyle = '#a0a0a0';
+    ctx.font = `600 ${Math.max(12, Math.round(rect.h / 5))}px Inter`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`+${count}`, rect.x + rect.w / 2, rect.y + rect.h / 2);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+}
+
+// ============================================
+// Recording Overlays
+// ============================================
+// Drawn over the layout on every frame of a mixed recording. Sizes are given
+// for 720p and scaled, so 480p and 1080p recordings look the same.
+
+// Lower-third for the recording only - participants already get a toast
+function addRecordingNotice(text) {
+    if (!state.isRecording || !state.recordingCanvas || !state.recordingSettings.notices) return;
+
+    state.recordingNotices.push({ text, shownAt: Date.now() });
+    state.recordingNotices = state.recordingNotices.slice(-CONFIG.recordingOverlays.maxNotices);
+}
+
+function drawRecordingOverlays(ctx, width, height) {
+    const settings = state.recordingSettings;
+    const scale = height / 720;
+
+    if (settings.watermark) drawRecordingWatermark(ctx, settings.watermark, width, scale);
+    if (settings.timestamp !== 'none') drawRecordingTimestamp(ctx, settings.timestamp, scale);
+    drawRecordingNotices(ctx, height, scale);
+
+    // Over everything else while it lasts
+    const elapsed = getRecordingTime();
+    if (settings.titleCard && elapsed < CONFIG.recordingOverlays.titleCardDuration) {
+        drawRecordingTitleCard(ctx, width, height, scale, elapsed);
+    }
+}
+
+function drawRecordingTitleCard(ctx, width, height, scale, elapsed) {
+    const title = state.recordingSettings.title.trim() || `Meeting ${state.roomId}`;
+    const startedAt = new Date(state.recordingStartTime);
+    const date = `${startedAt.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })} ${startedAt.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, (CONFIG.recordingOverlays.titleCardDuration - elapsed) / 1000);
+    ctx.fillStyle = '#0f0f0f';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#fff';
+    ctx.font = `700 ${Math.round(44 * scale)}px Inter`;
+    ctx.fillText(title, width / 2, height / 2 - 20 * scale, width * 0.9);
+
+    ctx.fillStyle = '#a0a0a0';
+    ctx.font = `${Math.round(22 * scale)}px Inter`;
+    ctx.fillText(date, width / 2, height / 2 + 24 * scale, width * 0.9);
+    ctx.fillText(`Host: ${state.name}`, width / 2, height / 2 + 58 * scale, width * 0.9);
+    ctx.restore();
+}
+
+function drawRecordingTimestamp(ctx, mode, scale) {
+    const text = mode === 'clock'
+        ? new Date().toLocaleTimeString()
+        : formatTime(getRecordingTime() / 1000);
+
+    ctx.save();
+    ctx.font = `600 ${Math.round(18 * scale)}px Inter`;
+    const padding = 8 * scale;
+    const boxW = ctx.measureText(text).width + padding * 2;
+    const boxH = 30 * scale;
+
+    ctx.fillStyle = 'rgba(0,0,0,0.55)';
+    ctx.beginPath();
+    ctx.roundRect(16 * scale, 16 * scale, boxW, boxH, 6 * scale);
+    ctx.fill();
+
+    ctx.fillStyle = '#fff';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 16 * scale + padding, 16 * scale + boxH / 2);
+    ctx.restore();
+}
+
+function drawRecordingWatermark(ctx, image, width, scale) {
+    const logoW = width * CONFIG.recordingOverlays.watermarkWidth;
+    const logoH = logoW * image.naturalHeight / image.naturalWidth;
+
+    ctx.save();
+    ctx.globalAlpha = 0.7;
+    ctx.drawImage(image, width - logoW - 16 * scale, 16 * scale, logoW, logoH);
+    ctx.restore();
+}
+
+// Newest at the bottom; each slides in, then fades out at the end
+function drawRecordingNotices(ctx, height, scale) {
+    const now = Date.now();
+    const duration = CONFIG.recordingOverlays.noticeDuration;
+    state.recordingNotices = state.recordingNotices.filter(notice => now - notice.shownAt < duration);
+
+    const boxH = 40 * scale;
+    let y = height - 110 * scale;
+
+    ctx.save();
+    ctx.font = `600 ${Math.round(18 * scale)}px Inter`;
+    ctx.textBaseline = 'middle';
+
+    for (let i = state.recordingNotices.length - 1; i >= 0; i--) {
+        const notice = state.recordingNotices[i];
+        const age = now - notice.shownAt;
+        const slide = Math.min(1, age / 300);
+        const boxW = ctx.measureText(notice.text).width + 40 * scale;
+        const x = 24 * scale - (1 - slide) * (boxW + 24 * scale);
+
+        ctx.globalAlpha = Math.min(1, (duration - age) / 500);
+        ctx.fillStyle = 'rgba(15,15,15,0.85)';
+        ctx.fillRect(x, y, boxW, boxH);
+        ctx.fillStyle = '#4ade80';
+        ctx.fillRect(x, y, 5 * scale, boxH);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(notice.text, x + 20 * scale, y + boxH / 2);
+
+        y -= boxH + 8 * scale;
+    }
+    ctx.restore();
+}
+
+function loadRecordingWatermark(file) {
+    if (!file) return;
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        state.recordingSettings.watermark = image;
+        URL.revokeObjectURL(url);
+        updateRecordingSettingsForm();
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        showToast('Could not load that image', 'error');
+    };
+    image.src = url;
+}
+
+function removeRecordingWatermark() {
+    state.recordingSettings.watermark = null;
+    elements.recordingSettingsForm.elements.watermark.value = '';
+    updateRecordingSettingsForm();
+}
+
+// ============================================
+// Recording Chapters
+// ============================================
+// Bookmarks from the host plus automatic chapters on screen share and speaker
+// changes. They are sent with the finish request and saved next to the
+// recording as WebVTT chapters and JSON.
+
+function addRecordingMarker(label, kind, time = getRecordingTime()) {
+    if (!state.isRecording) return null;
+
+    const marker = { time: Math.round(time), label, kind };
+    state.recordingMarkers.push(marker);
+    return marker;
+}
+
+// Marked at the moment of the click; the label can be typed afterwards
+function addBookmark() {
+    const count = state.recordingMarkers.filter(marker => marker.kind === 'bookmark').length;
+    const marker = addRecordingMarker(`Bookmark ${count + 1}`, 'bookmark');
+    if (!marker) return;
+
+    state.editingBookmark = marker;
+    elements.bookmarkInput.value = '';
+    elements.bookmarkInput.placeholder = marker.label;
+    elements.bookmarkForm.classList.remove('hidden');
+    elements.bookmarkInput.focus();
+    showToast(`Bookmark added at ${formatTime(marker.time / 1000)}`, 'success');
+}
+
+function renameBookmark(e) {
+    e.preventDefault();
+
+    const marker = state.editingBookmark;
+    const label = elements.bookmarkInput.value.trim();
+    if (marker && label) marker.label = label;
+    state.editingBookmark = null;
+    elements.bookmarkForm.classList.add('hidden');
+}
+
+function updateShareChapter() {
+    if (!state.isRecording) return;
 
-        state.isRecording = true;
-        state.isRecordingPaused = false;
+    const sharerId = state.isScreenSharing ? state.participantId : state.screenSharerId;
+    if (sharerId === state.chapterSharerId) return;
+    state.chapterSharerId = sharerId;
 
-        // Initialize audio analysis for self and others
-        if (state.localStream) initAudioAnalysis('local', state.localStream);
-        state.peers.forEach((p, id) => {
-            if (p.stream) initAudioAnalysis(id, p.stream);
-        });
+    if (!sharerId) {
+        addRecordingMarker('Screen share ended', 'screen-share');
+        return;
+    }
+    const peerData = state.peers.get(sharerId);
+    const name = sharerId === state.participantId ? state.name : (peerData ? peerData.name : 'Someone');
+    addRecordingMarker(`${name} shares their screen`, 'screen-share');
+}
 
-        renderRecordingFrame();
+// Follows the speaker the mixed layout picked; the chapter starts when they started talking
+function updateSpeakerChapter() {
+    const speakerId = state.recordingSpeakerId;
+    const chapter = state.speakerChapter;
+    if (!state.isRecording || state.isRecordingPaused || !speakerId) return;
 
-        // Update recording time every second
-        state.recordingTimeInterval = setInterval(updateRecordingTime, 1000);
+    if (speakerId !== chapter.candidateId) {
+        chapter.candidateId = speakerId;
+        chapter.since = getRecordingTime();
+        return;
+    }
 
-        // Update UI
-        elements.recordBtn.classList.add('hidden');
-        elements.pauseRecordBtn.classList.remove('hidden');
-        elements.stopRecordBtn.classList.remove('hidden');
-        elements.recordingIndicator.classList.remove('hidden');
+    if (speakerId !== chapter.chapteredId && getRecordingTime() - chapter.since >= CONFIG.recordingChapters.minSpeakerTime) {
+        chapter.chapteredId = speakerId;
+        const peerData = state.peers.get(speakerId);
+        const name = speakerId === 'local' ? state.name : (peerData ? peerData.name : 'Someone');
+        addRecordingMarker(`${name} speaking`, 'speaker', chapter.since);
+    }
+}
 
-        sendSignaling({ type: 'recording-started' });
-        showToast('Recording started', 'success');
-    }, 100); // Small delay to ensure canvas is ready
+// ============================================
+// Recording Settings
+// ============================================
+// Mode and quality are fixed once a recording starts; the layout and overlays
+// of a mixed recording can be switched while it runs.
+
+function toggleRecordingPanel() {
+    state.isRecordingPanelOpen = !state.isRecordingPanelOpen;
+    elements.recordingPanel.classList.toggle('hidden', !state.isRecordingPanelOpen);
+    elements.recordSettingsBtn.classList.toggle('active', state.isRecordingPanelOpen);
+
+    // Both panels sit in the same spot
+    if (state.isRecordingPanelOpen && state.isChatOpen) toggleChat();
+    if (state.isRecordingPanelOpen && state.isParticipantsPanelOpen) toggleParticipantsPanel();
+    if (state.isRecordingPanelOpen) updateRecordingSettingsForm();
 }
 
-function pauseRecording() {
-    if (!state.mediaRecorder || !state.isRecording) return;
+function updateRecordingSettingsForm() {
+    const form = elements.recordingSettingsForm.elements;
+    const settings = state.recordingSettings;
+    const isolated = getRecordingMode() === 'isolated';
+
+    form.mode.value = getRecordingMode();
+    form.layout.value = settings.layout;
+    form.resolution.value = settings.resolution;
+    form.frameRate.value = String(settings.frameRate);
+    form.bitrate.value = String(settings.bitrate);
+    form.titleCard.checked = settings.titleCard;
+    form.title.value = settings.title;
+    form.title.placeholder = `Meeting ${state.roomId || ''}`;
+    form.timestamp.value = settings.timestamp;
+    form.notices.checked = settings.notices;
+    form.whiteboard.checked = settings.whiteboard;
+    elements.removeWatermarkBtn.classList.toggle('hidden', !settings.watermark);
+
+    form.consentRequired.checked = state.recordingConsentRequired;
+    elements.recordingConsentFieldset.classList.toggle('hidden', !state.isHost);
+
+    form.mode.disabled = state.isRecording || !state.isHost;
+    form.layout.disabled = isolated;
+    form.resolution.disabled = state.isRecording || isolated;
+    form.frameRate.disabled = state.isRecording || isolated;
+    form.bitrate.disabled = state.isRecording || isolated;
+    ['whiteboard', 'titleCard', 'title', 'timestamp', 'notices', 'watermark'].forEach(name => {
+        form[name].disabled = isolated;
+    });
 
-    if (state.isRecordingPaused) {
-        // RESUME
-        state.mediaRecorder.resume();
-        state.isRecordingPaused = false;
+    elements.recordingSettingsNote.textContent = isolated
+        ? 'Setiap participant dan screen share direkam ke file sendiri, ditambah manifest timeline. Layout dan kualitas hanya untuk mode Mixed.'
+        : state.isRecording
+            ? 'Layout bisa diganti selama merekam. Resolusi, frame rate dan bitrate berlaku untuk rekaman berikutnya.'
+            : 'Grid menampilkan semua participant. Speaker, Filmstrip, Picture-in-picture dan Side-by-side menonjolkan screen share atau yang sedang bicara.';
+}
 
-        // Calculate paused duration
-        if (state.lastPauseStartTime) {
-            const pausedDuration = Date.now() - state.lastPauseStartTime;
-            state.totalPausedTime += pausedDuration;
-            state.lastPauseStartTime = null;
-        }
+function applyRecordingSettings(event) {
+    const form = elements.recordingSettingsForm.elements;
+    const settings = state.recordingSettings;
 
-        elements.pauseRecordBtn.classList.remove('paused');
-        elements.pauseRecordBtn.querySelector('span:last-child').textContent = 'Pause';
-        elements.recordingIndicator.classList.remove('paused');
-        showToast('Recording resumed', 'info');
-    } else {
-        // PAUSE
-        state.mediaRecorder.pause();
-        state.isRecordingPaused = true;
+    if (event && event.target === form.watermark) {
+        loadRecordingWatermark(form.watermark.files[0]);
+        return;
+    }
 
-        // Track pause start time
-        state.lastPauseStartTime = Date.now();
+    // A room setting: the server tells everyone, including us, once it's changed
+    if (event && event.target === form.consentRequired) {
+        sendSignaling({ type: 'set-recording-consent', required: form.consentRequired.checked });
+        return;
+    }
 
-        elements.pauseRecordBtn.classList.add('paused');
-        elements.pauseRecordBtn.querySelector('span:last-child').textContent = 'Resume';
-        elements.recordingIndicator.classList.add('paused');
-        showToast('Recording paused', 'info');
+    settings.layout = form.layout.value;
+    settings.titleCard = form.titleCard.checked;
+    settings.title = form.title.value;
+    settings.timestamp = form.timestamp.value;
+    settings.notices = form.notices.checked;
+    settings.whiteboard = form.whiteboard.checked;
+    if (!state.isRecording) {
+        if (state.isHost) settings.mode = form.mode.value;
+        settings.resolution = form.resolution.value;
+        settings.frameRate = Number(form.frameRate.value);
+        settings.bitrate = Number(form.bitrate.value);
     }
+
+    updateRecordingSettingsForm();
 }
 
-function stopRecording() {
-    if (!state.mediaRecorder || !state.isRecording) return;
+// ============================================
+// Recording Permission & Consent
+// ============================================
+// The host may always record. Anyone else asks first and, once allowed, records
+// a mixed video on their own device. The server keeps the list of who is
+// recording and sends it to everyone for the REC indicator.
 
-    console.log('Stopping recording...');
+function mayRecord() {
+    return state.isHost || state.canRecord;
+}
 
-    // Stop the MediaRecorder
-    if (state.mediaRecorder.state !== 'inactive') {
-        state.mediaRecorder.stop();
-    }
+// Separate tracks are uploaded to the server, so only the host records them
+function getRecordingMode() {
+    return state.isHost ? state.recordingSettings.mode : 'composite';
+}
 
-    // Stop rendering
-    if (state.recordingAnimationId) {
-        cancelAnimationFrame(state.recordingAnimationId);
-        state.recordingAnimationId = null;
+function updateRecordButton() {
+    const label = elements.recordBtn.querySelector('span');
+    if (mayRecord()) {
+        elements.recordBtn.title = 'Start Recording';
+        label.textContent = 'Record';
+    } else {
+        elements.recordBtn.title = state.recordingRequested ? 'Waiting for the host' : 'Ask the host for permission to record';
+        label.textContent = state.recordingRequested ? 'Requested' : 'Ask to Record';
     }
 
-    // Clear time interval
-    if (state.recordingTimeInterval) {
-        clearInterval(state.recordingTimeInterval);
-        state.recordingTimeInterval = null;
-    }
+    // Never show the record button over a running recording
+    if (!state.isRecording) elements.recordBtn.classList.remove('hidden');
+    elements.recordSettingsBtn.classList.toggle('hidden', !mayRecord());
+    if (!mayRecord() && state.isRecordingPanelOpen) toggleRecordingPanel();
+}
 
-    // Close audio context
-    if (state.audioContext) {
-        state.audioContext.close();
-        state.audioContext = null;
+function requestRecordingPermission() {
+    if (state.recordingRequested) {
+        showToast('Still waiting for the host to answer', 'info');
+        return;
     }
 
-    state.isRecording = false;
-    state.isRecordingPaused = false;
+    state.recordingRequested = true;
+    sendSignaling({ type: 'request-recording' });
+    updateRecordButton();
+    showToast('Asked the host for permission to record', 'info');
+}
 
-    // Update UI
-    elements.recordBtn.classList.remove('hidden');
-    elements.pauseRecordBtn.classList.add('hidden');
-    elements.stopRecordBtn.classList.add('hidden');
-    elements.recordingIndicator.classList.add('hidden');
-    if (elements.recordingTime) {
-        elements.recordingTime.textContent = '00:00';
+// The host answered our request, or changed their mind
+function handleRecordingPermission(allowed) {
+    const wasAllowed = state.canRecord;
+    state.canRecord = !!allowed;
+    state.recordingRequested = false;
+
+    if (allowed) {
+        showToast('The host allowed you to record', 'success');
+    } else if (wasAllowed) {
+        if (state.isRecording && !state.isHost) stopRecording();
+        showToast('The host no longer allows you to record', 'info');
+    } else {
+        showToast('The host declined your request to record', 'info');
     }
+    updateRecordButton();
+}
 
-    sendSignaling({ type: 'recording-stopped' });
-    showToast('Recording stopped', 'info');
+function updateRecordingStatus(recorders, permitted) {
+    const previous = state.recorders;
+    state.recorders = recorders || [];
+    state.recordingPermitted = new Set(permitted || []);
+    if (!state.isHost) state.canRecord = state.recordingPermitted.has(state.participantId);
+
+    // Our own start and stop already have their toasts
+    state.recorders
+        .filter(r => r.id !== state.participantId && !previous.some(p => p.id === r.id))
+        .forEach(r => showToast(`${escapeHtml(r.name)} started recording`, 'info'));
+    previous
+        .filter(p => p.id !== state.participantId && !state.recorders.some(r => r.id === p.id))
+        .forEach(p => showToast(`${escapeHtml(p.name)} stopped recording`, 'info'));
+
+    state.peers.forEach((peerData, peerId) => updateRecordingPermissionButton(peerId));
+    updateRecordButton();
+    updateRecordingIndicator();
+    renderParticipantList();
 }
 
-function renderRecordingFrame() {
-    if (!state.isRecording) return;
-    if (state.isRecordingPaused) {
-        state.recordingAnimationId = requestAnimationFrame(renderRecordingFrame);
-        return;
-    }
+// Shown to everyone while anybody records; the timer only while we do
+function updateRecordingIndicator() {
+    const names = state.recorders.filter(r => r.id !== state.participantId).map(r => r.name);
+    if (state.isRecording) names.unshift('You');
 
-    const ctx = state.recordingCtx;
-    const canvas = state.recordingCanvas;
-    const width = canvas.width;
-    const height = canvas.height;
+    elements.recordingBy.textContent = names.join(', ');
+    elements.recordingIndicator.title = `Recording: ${names.join(', ')}`;
+    elements.recordingIndicator.classList.toggle('hidden', names.length === 0);
+    elements.recordingTime.classList.toggle('hidden', !state.isRecording);
+    if (!state.isRecording) elements.recordingIndicator.classList.remove('paused');
+}
 
-    // Clear canvas
-    ctx.fillStyle = '#0f0f0f';
-    ctx.fillRect(0, 0, width, height);
+// Host only: tile button that allows or revokes recording for one participant
+function updateRecordingPermissionButton(peerId) {
+    const button = document.getElementById(`record-permission-${peerId}`);
+    if (!button) return;
 
-    // Update active speaker detection
-    updateActiveSpeakers();
+    const allowed = state.recordingPermitted.has(peerId);
+    button.classList.toggle('active', allowed);
+    button.title = allowed ? 'Revoke Recording Permission' : 'Allow Recording';
+}
 
-    // 1. CHECK IF SCREEN SHARING (BY ANYONE)
-    const isSharing = state.isScreenSharing || state.screenSharerId;
-    let screenVideoElement = null;
+function toggleRecordingPermission(peerId) {
+    setRecordingPermission(peerId, !state.recordingPermitted.has(peerId));
+}
 
-    if (state.isScreenSharing) {
-        screenVideoElement = elements.screenShareMain; // Local sharing
-    } else if (state.screenSharerId) {
-        // Find existing playback element
-        // Since logic already sets screenShareMain for remote viewers, we can rely on it
-        // BUT for the screen sharer themselves (recording host), they might be viewing someone else?
-        // Actually, if screenSharerId is set, 'updateScreenShareLayout' logic ensures 'screenShareMain' has the stream.
-        screenVideoElement = elements.screenShareMain;
-        if (screenVideoElement && screenVideoElement.paused) screenVideoElement.play().catch(() => { });
-    }
-
-    if (isSharing && screenVideoElement && screenVideoElement.srcObject) {
-        // --- RENDER SCREEN SHARE LAYOUT ---
-
-        // Main Screen (Left side, ~80% width)
-        const mainW = width * 0.8;
-        const mainH = height;
-
-        // Draw main screen if ready
-        if (screenVideoElement.readyState >= 2) {
-            // Use 'contain' mode for screen share so nothing is cropped
-            drawImageAspect(ctx, screenVideoElement, 0, 0, mainW, mainH, 'contain');
-        } else {
-            ctx.fillStyle = '#000';
-            ctx.fillRect(0, 0, mainW, mainH);
-            ctx.fillStyle = '#fff';
-            ctx.textAlign = 'center';
-            ctx.fillText('Loading screen share...', mainW / 2, mainH / 2);
-            ctx.textAlign = 'left';
-        }
+function setRecordingPermission(peerId, allowed) {
+    sendSignaling({ type: 'set-recording-permission', target: peerId, allowed });
+}
 
-        // Sidebar (Right side, 20% width)
-        const sidebarX = mainW;
-        const sidebarW = width - mainW;
+// Host only: render the list of people asking to record
+function updateRecordingRequests(participants) {
+    const previousIds = new Set(state.recordingRequests.map(p => p.id));
+    state.recordingRequests = participants || [];
 
-        // Background for sidebar
-        ctx.fillStyle = '#1a1a1a';
-        ctx.fillRect(sidebarX, 0, sidebarW, height);
+    state.recordingRequests
+        .filter(p => !previousIds.has(p.id))
+        .forEach(p => showToast(`${escapeHtml(p.name)} asks to record the meeting`, 'info'));
 
-        // Gather and Filter participants
-        let participants = [];
+    elements.recordingRequestCount.textContent = state.recordingRequests.length;
+    elements.recordingRequestsPanel.classList.toggle('hidden', state.recordingRequests.length === 0);
+    elements.recordingRequestList.innerHTML = '';
 
-        // Self
-        if (state.localStream) {
-            participants.push({
-                id: 'local',
-                stream: state.localStream,
-                name: state.name || "You",
-                videoEl: elements.localVideo,
-                isLocal: true,
-                isCameraOn: state.isCameraOn,
-                isSpeaking: state.speakingParticipants.has('local')
-            });
-        }
+    state.recordingRequests.forEach(p => {
+        const item = document.createElement('li');
 
-        // Others
-        state.peers.forEach((p, id) => {
-            participants.push({
-                id: id,
-                stream: p.stream,
-                name: p.name,
-                videoEl: p.videoElement,
-                isLocal: false,
-                isCameraOn: p.isCameraOn,
-                isSpeaking: state.speakingParticipants.has(id)
-            });
-        });
+        const name = document.createElement('span');
+        name.className = 'waiting-name';
+        name.textContent = p.name;
 
-        // Smart Filtering for Sidebar
-        if (state.hideInactive) {
-            participants = participants.filter(p => p.isCameraOn || p.isSpeaking || p.id === state.pinnedParticipantId);
-        }
-
-        // Draw them in a vertical column
-        const videoH = sidebarW * (9 / 16); // 16:9 aspect ratio
-        const padding = 10;
-        let currentY = padding;
-
-        participants.forEach(p => {
-            if (currentY + videoH > height) return; // No space
-
-            // Draw video or placeholder
-            if (p.isCameraOn && p.videoEl && p.videoEl.readyState >= 2) {
-                if (p.videoEl.paused) p.videoEl.play().catch(() => { });
-                ctx.save();
-                ctx.translate(sidebarX + padding, currentY);
-
-                // Clip to rounded rect
-                ctx.beginPath();
-                ctx.roundRect(0, 0, sidebarW - (padding * 2), videoH, 8);
-                ctx.clip();
-
-                if (p.isLocal) {
-                    ctx.save();
-                    ctx.translate(sidebarW - (padding * 2), 0);
-                    ctx.scale(-1, 1);
-                    drawImageAspect(ctx, p.videoEl, 0, 0, sidebarW - (padding * 2), videoH, 'cover');
-                    ctx.restore();
-                } else {
-                    drawImageAspect(ctx, p.videoEl, 0, 0, sidebarW - (padding * 2), videoH, 'cover');
-                }
+        const allow = document.createElement('button');
+        allow.className = 'waiting-action primary';
+        allow.textContent = 'Allow';
+        allow.addEventListener('click', () => setRecordingPermission(p.id, true));
 
-                ctx.restore();
-            } else {
-                // Placeholder for no video but speaking or pinned
-                ctx.save();
-                ctx.translate(sidebarX + padding, currentY);
-                ctx.beginPath();
-                ctx.roundRect(0, 0, sidebarW - (padding * 2), videoH, 8);
-                ctx.clip();
-
-                ctx.fillStyle = p.isSpeaking ? '#1a3a2a' : '#222';
-                ctx.fillRect(0, 0, sidebarW - (padding * 2), videoH);
-
-                // Active speaker indicator icon
-                if (p.isSpeaking) {
-                    ctx.fillStyle = '#4ade80';
-                    ctx.beginPath();
-                    ctx.arc((sidebarW - padding * 2) / 2, videoH / 2, 15, 0, Math.PI * 2);
-                    ctx.fill();
-                }
-                ctx.restore();
-            }
+        const deny = document.createElement('button');
+        deny.className = 'waiting-action';
+        deny.textContent = 'Deny';
+        deny.addEventListener('click', () => setRecordingPermission(p.id, false));
 
-            // Name Label (Always show)
-            ctx.fillStyle = 'rgba(0,0,0,0.6)';
-            ctx.fillRect(sidebarX + padding, currentY + videoH - 24, sidebarW - (padding * 2), 24);
-            ctx.fillStyle = '#fff';
-            ctx.font = '14px Inter';
-            ctx.fillText(p.name, sidebarX + padding + 8, currentY + videoH - 8);
-
-            // Highlight if speaking (Rounded border OVER EVERYTHING)
-            if (p.isSpeaking) {
-                ctx.save();
-                ctx.translate(sidebarX + padding, currentY);
-                ctx.strokeStyle = '#4ade80';
-                ctx.lineWidth = 4;
-                ctx.beginPath();
-                ctx.roundRect(0, 0, sidebarW - (padding * 2), videoH, 8);
-                ctx.stroke();
-                ctx.restore();
-            }
+        item.append(name, allow, deny);
+        elements.recordingRequestList.appendChild(item);
+    });
+}
 
-            currentY += videoH + padding;
-        });
+// Consent-required meetings: our camera and mic stay off the wire until we accept
+function holdMediaForConsent() {
+    state.awaitingRecordingConsent = true;
+    applyLocalTrackState();
+    elements.recordingConsentModal.classList.remove('hidden');
+}
 
-    } else {
-        // --- RENDER GRID LAYOUT ---
-        // Gather all visible videos
-        // Gather and Filter participants
-        let participants = [];
+function acceptRecordingConsent() {
+    state.awaitingRecordingConsent = false;
+    applyLocalTrackState();
+    elements.recordingConsentModal.classList.add('hidden');
+}
 
-        // Self
-        if (state.localStream) {
-            participants.push({
-                id: 'local',
-                video: elements.localVideo,
-                name: state.name || "You",
-                isLocal: true,
-                isCameraOn: state.isCameraOn,
-                isSpeaking: state.speakingParticipants.has('local')
-            });
-        }
+function declineRecordingConsent() {
+    leaveMeeting();
+    showLobbyNotice('You left the meeting: it may be recorded and you did not agree to that.');
+}
 
-        // Others
-        state.peers.forEach((p, id) => {
-            if (p.videoElement) {
-                participants.push({
-                    id: id,
-                    video: p.videoElement,
-                    name: p.name,
-                    isLocal: false,
-                    isCameraOn: p.isCameraOn,
-                    isSpeaking: state.speakingParticipants.has(id)
-                });
-            }
-        });
+function applyLocalTrackState() {
+    if (!state.localStream) return;
+    const held = state.awaitingRecordingConsent;
+    state.localStream.getAudioTracks().forEach(track => { track.enabled = state.isMicOn && !held; });
+    state.localStream.getVideoTracks().forEach(track => { track.enabled = state.isCameraOn && !held; });
+    if (state.backgroundProcessor) syncBackgroundSource(state.backgroundProcessor);
+}
 
-        // Pin Logic for Grid: If pin is active, put them first and maybe handle specially
-        if (state.pinnedParticipantId) {
-            const pinIndex = participants.findIndex(p => p.id === state.pinnedParticipantId);
-            if (pinIndex > -1) {
-                const pinned = participants.splice(pinIndex, 1)[0];
-                participants.unshift(pinned);
-            }
-        }
+function resetRecordingPermission() {
+    state.canRecord = false;
+    state.recordingRequested = false;
+    state.recorders = [];
+    state.recordingPermitted = new Set();
+    state.recordingConsentRequired = false;
+    state.awaitingRecordingConsent = false;
+    elements.recordingConsentModal.classList.add('hidden');
+    updateRecordingIndicator();
+}
+
+// ============================================
+// Isolated Track Recording
+// ============================================
+// Instead of one mixed video, every camera (with its microphone) and every
+// screen share gets its own MediaRecorder and its own file on the server, so
+// an editor can fix one person's volume or re-cut the layout afterwards.
+// A JSON manifest saved next to them puts all files on one timeline.
+//
+// Timeline times are milliseconds of recording time: since the recording
+// started, with pauses cut out - the same clock every file was recorded on.
+
+function startIsolatedRecording() {
+    console.log('Starting separate track recording...');
+
+    const session = {
+        id: `${state.roomId}-${Date.now().toString(36)}`,
+        startedAt: Date.now(),
+        tracks: [],   // One entry per file, in the order they started
+        events: [],   // Mic/camera/share/join/leave changes while recording
+        pending: [],  // Resolve once each file is finished
+        manifestUpload: null
+    };
+    state.trackSession = session;
+
+    // Reserve the manifest's file now, while we are surely still connected
+    session.manifestUpload = createRecordingUpload('application/json', {
+        sessionId: session.id,
+        label: 'Timeline manifest',
+        autoDownload: false
+    });
+
+    markRecordingStarted();
+    session.manifestUpload.chapters = state.recordingMarkers;
+    syncTrackRecorders();
+    showToast('Recording started - separate tracks', 'success');
+}
+
+// Live track ids - when they change the recorder has to start a new file
+function getTrackSignature(stream) {
+    return stream.getTracks()
+        .filter(track => track.readyState === 'live')
+        .map(track => track.id)
+        .sort()
+        .join(',');
+}
+
+// Start or stop per-source recorders to match who is in the meeting and who is sharing
+function syncTrackRecorders() {
+    if (!state.isRecording || !state.trackSession) return;
 
-        // Smart Filtering for Grid
-        if (state.hideInactive) {
-            participants = participants.filter(p => p.isCameraOn || p.isSpeaking || p.id === state.pinnedParticipantId);
+    const sources = new Map();
+    const addSource = (participantId, name, kind, stream) => {
+        if (stream && getTrackSignature(stream)) {
+            sources.set(`${participantId}:${kind}`, { participantId, name, kind, stream });
         }
+    };
 
-        const count = participants.length;
-        if (count === 0) {
-            state.recordingAnimationId = requestAnimationFrame(renderRecordingFrame);
-            return;
+    addSource(state.participantId, state.name || 'You', 'camera', state.localStream);
+    if (state.isScreenSharing) addSource(state.participantId, state.name || 'You', 'screen', state.screenStream);
+    state.peers.forEach((peerData, peerId) => {
+        addSource(peerId, peerData.name, 'camera', peerData.stream);
+        // A remote screen stream outlives the share, so go by who is sharing
+        if (state.screenSharerId === peerId) addSource(peerId, peerData.name, 'screen', peerData.screenStream);
+    });
+
+    state.trackRecorders.forEach((entry, key) => {
+        const source = sources.get(key);
+        const changed = !source || source.stream !== entry.stream || getTrackSignature(source.stream) !== entry.signature;
+        if (changed || (entry.recorder && entry.recorder.state === 'inactive')) {
+            stopTrackRecorder(key);
         }
+    });
 
-        // Simple Grid Logic
-        let cols = 1;
-        let rows = 1;
-
-        if (count === 2) { cols = 2; }
-        else if (count > 2) { cols = 2; rows = 2; } // Max 4 for now
-
-        const cellW = width / cols;
-        const cellH = height / rows;
-
-        participants.forEach((p, index) => {
-            if (index >= 4) return; // Limit to 4
-
-            const col = index % cols;
-            const row = Math.floor(index / cols);
-            const x = col * cellW;
-            const y = row * cellH;
-
-            // Aspect fit logic
-            // We want to fill the cell, possibly cropping (object-fit: cover)
-            if (p.video && p.video.readyState >= 2 && p.isCameraOn) {
-                const vRatio = p.video.videoWidth / p.video.videoHeight;
-                const cRatio = cellW / cellH;
-
-                let renderW, renderH, renderX, renderY;
-
-                if (vRatio > cRatio) {
-                    // Video is wider than cell (crop sides)
-                    renderH = cellH;
-                    renderW = cellH * vRatio;
-                    renderX = x - (renderW - cellW) / 2;
-                    renderY = y;
-                } else {
-                    // Video is taller than cell (crop top/bottom)
-                    renderW = cellW;
-                    renderH = cellW / vRatio;
-                    renderX = x;
-                    renderY = y - (renderH - cellH) / 2;
-                }
+    sources.forEach((source, key) => {
+        if (!state.trackRecorders.has(key)) startTrackRecorder(key, source);
+    });
+}
 
-                ctx.save();
-                // Create clipping region for this cell
-                ctx.beginPath();
-                ctx.rect(x, y, cellW, cellH);
-                ctx.clip();
-
-                if (p.isLocal) {
-                    ctx.translate(renderX + renderW, renderY);
-                    ctx.scale(-1, 1);
-                    ctx.drawImage(p.video, 0, 0, renderW, renderH);
-                } else {
-                    ctx.drawImage(p.video, renderX, renderY, renderW, renderH);
-                }
+function startTrackRecorder(key, source) {
+    const session = state.trackSession;
+    const hasVideo = source.stream.getVideoTracks().length > 0;
+    const mimeType = hasVideo ? getSupportedMimeType() : CONFIG.isolatedRecording.audioMimeType;
 
-                ctx.restore();
-            } else {
-                // Placeholder for Grid mode
-                ctx.fillStyle = p.isSpeaking ? '#1a3a2a' : '#222';
-                ctx.fillRect(x, y, cellW, cellH);
-
-                if (p.isSpeaking) {
-                    ctx.fillStyle = '#4ade80';
-                    ctx.beginPath();
-                    ctx.arc(x + cellW / 2, y + cellH / 2 - 10, 30, 0, Math.PI * 2);
-                    ctx.fill();
-                }
-            }
+    const entry = { stream: source.stream, signature: getTrackSignature(source.stream), recorder: null, track: null };
+    state.trackRecorders.set(key, entry);
 
-            // Draw Name Label in Grid
-            ctx.fillStyle = 'rgba(0,0,0,0.5)';
-            ctx.fillRect(x, y + cellH - 30, cellW, 30);
-            ctx.fillStyle = '#fff';
-            ctx.font = 'bold 16px Inter';
-            ctx.textAlign = 'center';
-            ctx.fillText(p.name, x + cellW / 2, y + cellH - 10);
-            ctx.textAlign = 'left'; // Reset
-
-            // DRAW BORDER LAST (OVER EVERYTHING)
-            if (p.isSpeaking) {
-                ctx.save();
-                ctx.strokeStyle = '#4ade80';
-                ctx.lineWidth = 6;
-                // Inset slightly to avoid edge clipping
-                ctx.strokeRect(x + 3, y + 3, cellW - 6, cellH - 6);
-                ctx.restore();
-            }
+    try {
+        entry.recorder = new MediaRecorder(source.stream, {
+            mimeType,
+            videoBitsPerSecond: source.kind === 'screen'
+                ? CONFIG.isolatedRecording.screenBitrate
+                : CONFIG.isolatedRecording.cameraBitrate,
+            audioBitsPerSecond: 128000
         });
+    } catch (e) {
+        // Keep the empty entry so we don't retry until the source changes
+        console.error(`Cannot record ${source.kind} of ${source.name}:`, e);
+        showToast(`Could not record ${escapeHtml(source.name)} separately`, 'error');
+        return;
     }
 
-    state.recordingAnimationId = requestAnimationFrame(renderRecordingFrame);
+    const recorder = entry.recorder;
+    const peerData = state.peers.get(source.participantId);
+    const track = {
+        participantId: source.participantId,
+        name: source.name,
+        kind: source.kind,
+        file: null, // Name in the recordings library, filled in once saved
+        mimeType: recorder.mimeType || mimeType,
+        startOffset: getRecordingTime(),
+        endOffset: null,
+        // State at the start of the file - later changes are in events
+        micOn: peerData ? peerData.isMicOn !== false : state.isMicOn,
+        cameraOn: peerData ? peerData.isCameraOn !== false : state.isCameraOn
+    };
+    entry.track = track;
+    session.tracks.push(track);
+
+    const upload = createRecordingUpload(track.mimeType, {
+        sessionId: session.id,
+        label: `${source.name} (${source.kind === 'screen' ? 'layar' : 'kamera'})`,
+        autoDownload: false
+    });
+
+    recorder.ondataavailable = (event) => queueRecordedChunk(upload, event.data);
+    recorder.onerror = (event) => console.error(`Track recorder error (${key}):`, event.error);
+
+    session.pending.push(new Promise(resolve => {
+        recorder.onstop = async () => {
+            track.endOffset = getRecordingTime();
+            upload.duration = (track.endOffset - track.startOffset) / 1000;
+            track.file = await finishRecordingUpload(upload);
+            resolve();
+        };
+    }));
+
+    recorder.start(1000);
+    if (state.isRecordingPaused) recorder.pause();
+
+    if (source.kind === 'screen') logRecordingEvent('screen-share-started', source.participantId);
+    console.log('Recording track', key, 'as', track.mimeType);
+}
+
+function stopTrackRecorder(key) {
+    const entry = state.trackRecorders.get(key);
+    if (!entry) return;
+    state.trackRecorders.delete(key);
+
+    if (!entry.recorder) return;
+    if (entry.recorder.state !== 'inactive') entry.recorder.stop();
+    if (entry.track.kind === 'screen') logRecordingEvent('screen-share-stopped', entry.track.participantId);
+}
+
+function logRecordingEvent(type, participantId, details = {}) {
+    const session = state.trackSession;
+    if (!session) return;
+
+    const peerData = state.peers.get(participantId);
+    session.events.push({
+        time: getRecordingTime(),
+        type,
+        participantId,
+        name: participantId === state.participantId ? (state.name || 'You') : (peerData ? peerData.name : null),
+        ...details
+    });
 }
 
+// Stop every track, wait until each file is saved, then save the manifest
+async function finishIsolatedRecording(session) {
+    state.trackRecorders.forEach((entry, key) => stopTrackRecorder(key));
+    const duration = getRecordingTime();
+    state.trackSession = null;
+
+    await Promise.all(session.pending);
+
+    const manifest = {
+        version: 1,
+        roomId: session.manifestUpload.roomId,
+        sessionId: session.id,
+        startedAt: new Date(session.startedAt).toISOString(),
+        duration,
+        timeUnit: 'ms', // Recording time: since startedAt with pauses cut out
+        tracks: session.tracks,
+        events: session.events,
+        chapters: [...session.manifestUpload.chapters].sort((a, b) => a.time - b.time)
+    };
 
+    const upload = session.manifestUpload;
+    upload.duration = duration / 1000;
+    queueRecordedChunk(upload, new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }));
 
+    const fileName = await finishRecordingUpload(upload);
+    const missing = session.tracks.filter(track => !track.file).length;
+    if (fileName && missing === 0) {
+        showToast(`Saved ${session.tracks.length} tracks - download them from the recordings library`, 'success');
+    } else if (fileName) {
+        showToast(`${missing} track(s) were saved in the browser only - they are listed without a file in the manifest`, 'warning');
+    }
+}
 
-function saveRecording() {
-    if (state.recordedChunks.length === 0) {
+// Fallback when the server couldn't take the recording - build the file from memory.
+// Unlike server recordings the WebM isn't indexed, so players may not seek in it.
+function saveRecording({ chunks, mimeType, roomId }) {
+    if (chunks.length === 0) {
         console.error('No recorded chunks to save');
         showToast('Recording failed - no data captured', 'error');
         return;
     }
 
-    console.log('Saving recording, chunks:', state.recordedChunks.length);
+    console.log('Saving recording, chunks:', chunks.length);
 
-    const blob = new Blob(state.recordedChunks, { type: 'video/webm' });
+    // Label the file with the container MediaRecorder actually produced
+    const type = mimeType.split(';')[0] || 'video/webm';
+    const blob = new Blob(chunks, { type });
     console.log('Blob size:', blob.size, 'bytes');
 
     if (blob.size === 0) {
@@ -1640,7 +6650,8 @@ function saveRecording() {
     const url = URL.createObjectURL(blob);
 
     const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-    const filename = `meeting-${state.roomId}-${timestamp}.webm`;
+    const extension = type === 'application/json' ? 'json' : type.endsWith('/mp4') ? 'mp4' : 'webm';
+    const filename = `meeting-${roomId}-${timestamp}.${extension}`;
 
     const a = document.createElement('a');
     a.href = url;
@@ -1654,6 +6665,171 @@ function saveRecording() {
     showToast(`Recording saved: ${filename}`, 'success');
 }
 
+// ============================================
+// Recording Upload
+// ============================================
+// Chunks are sent to the server one by one, in order, and only kept in memory
+// until the server has them. If the server never accepts the recording the
+// chunks stay in memory and the file is saved locally like before. If it stops
+// accepting chunks partway through, recording stops with an error that stays up.
+
+// Members keep the room's key as a cookie so /recordings shows them this meeting later
+function rememberRecordingAccess(roomId, recordingKey) {
+    if (!recordingKey) return;
+    document.cookie = `rec_${roomId}=${recordingKey}; path=/recordings; max-age=${CONFIG.recordingAccessMaxAge}; secure; samesite=strict`;
+}
+
+// Ask the server for a file. It answers with recording-upload carrying the same key.
+// A local upload never asks - its chunks stay in memory and are saved on this device.
+function createRecordingUpload(mimeType, { sessionId, label, autoDownload = true, local = false } = {}) {
+    const upload = {
+        key: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        recordingId: null,
+        uploadToken: null,
+        fileName: null,
+        seq: 0,
+        chunks: [],
+        uploading: false,
+        failed: false,
+        duration: null,
+        mimeType,
+        roomId: state.roomId, // Still needed for the file name if we leave before it's saved
+        autoDownload,         // Hand the host a copy once saved
+        local
+    };
+    state.recordingUploads.set(upload.key, upload);
+
+    if (!local) sendSignaling({ type: 'create-recording', key: upload.key, mimeType, sessionId, label });
+    return upload;
+}
+
+function queueRecordedChunk(upload, data) {
+    if (!data || data.size === 0) return;
+    // After a failed upload only a recording kept entirely in memory is worth anything
+    if (upload.failed && upload.seq > 0) return;
+    upload.chunks.push(data);
+    uploadRecordingChunks(upload);
+}
+
+function handleRecordingUpload(data) {
+    const upload = state.recordingUploads.get(data.key);
+    if (!upload || upload.recordingId || upload.failed) return;
+
+    if (data.error) {
+        failRecordingUpload(upload, data.error);
+        return;
+    }
+
+    upload.recordingId = data.recordingId;
+    upload.uploadToken = data.uploadToken;
+    upload.fileName = data.fileName;
+    uploadRecordingChunks(upload);
+}
+
+async function uploadRecordingChunks(upload) {
+    if (!upload.recordingId || upload.uploading || upload.failed) return;
+    upload.uploading = true;
+
+    while (upload.chunks.length > 0 && !upload.failed) {
+        let response;
+        try {
+            response = await fetch(`/api/recordings/${upload.recordingId}/chunks?seq=${upload.seq}`, {
+                method: 'POST',
+                headers: { 'X-Upload-Token': upload.uploadToken },
+                body: upload.chunks[0]
+            });
+        } catch (e) {
+            // Server unreachable (Wi-Fi blip) - the chunk stays queued until it comes back
+            await new Promise(resolve => setTimeout(resolve, CONFIG.recordingUpload.retryDelay));
+            continue;
+        }
+
+        if (!response.ok) {
+            failRecordingUpload(upload, `Chunk ${upload.seq} rejected (${response.status})`);
+            break;
+        }
+
+        upload.chunks.shift();
+        upload.seq++;
+    }
+
+    upload.uploading = false;
+}
+
+function failRecordingUpload(upload, reason) {
+    console.error('Recording upload failed:', reason);
+    upload.failed = true;
+
+    if (upload.seq === 0) {
+        showToast('Could not save the recording on the server - keeping it in the browser', 'warning');
+    } else {
+        // The rest would be unplayable without the beginning, which is on the server
+        // (e.g. it restarted and forgot the upload). Recording on would only record
+        // into nothing, so stop and leave the error up until the host has seen it.
+        upload.chunks = [];
+        const wasRecording = state.isRecording;
+        stopRecording();
+        if (wasRecording) {
+            showToast('Recording stopped - the server stopped accepting it. The part recorded so far is saved on the server; start recording again to continue.', 'error', 0);
+        } else {
+            showToast('Recording upload failed - the part recorded so far is saved on the server', 'error');
+        }
+    }
+}
+
+// Resolves to the file name in the recordings library, or null if it isn't there
+async function finishRecordingUpload(upload) {
+    const deadline = Date.now() + CONFIG.recordingUpload.finishTimeout;
+
+    // Let the queue drain, including the final chunk MediaRecorder emits on stop
+    while (!upload.local && !upload.failed && (!upload.recordingId || upload.uploading || upload.chunks.length > 0) && Date.now() < deadline) {
+        uploadRecordingChunks(upload);
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    state.recordingUploads.delete(upload.key);
+
+    // Nothing ever reached the server - everything is still in memory
+    if (!upload.recordingId || (upload.failed && upload.seq === 0)) {
+        saveRecording(upload);
+        return null;
+    }
+
+    if (upload.failed) return null;
+
+    if (upload.chunks.length > 0) {
+        failRecordingUpload(upload, 'Timed out waiting for the server');
+        return null;
+    }
+
+    try {
+        const response = await fetch(`/api/recordings/${upload.recordingId}/finish`, {
+            method: 'POST',
+            headers: { 'X-Upload-Token': upload.uploadToken, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ duration: upload.duration, chapters: upload.chapters })
+        });
+        if (!response.ok) throw new Error(`Finish rejected (${response.status})`);
+        const result = await response.json();
+
+        if (upload.autoDownload) {
+            // Also hand the host a copy, like a local recording
+            const a = document.createElement('a');
+            a.href = `/recordings/${encodeURIComponent(result.fileName)}?download=1`;
+            a.download = result.fileName;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+
+            showToast(`Recording saved: ${escapeHtml(result.fileName)}`, 'success');
+        }
+        return result.fileName;
+    } catch (e) {
+        console.error('Error finishing recording:', e);
+        showToast('Recording is on the server but could not be finalized', 'error');
+        return null;
+    }
+}
+
 // ============================================
 // Room Management
 // ============================================
@@ -1673,12 +6849,16 @@ async function createRoom() {
     if (!mediaReady) return;
 
     // Connect WebSocket and create room
+    resetDiagnostics();
     connectWebSocket();
 
     state.ws.onopen = () => {
         sendSignaling({
             type: 'create-room',
-            name: state.name
+            name: state.name,
+            passcode: elements.passcodeInput.value.trim(),
+            waitingRoom: elements.waitingRoomToggle.checked,
+            topology: elements.topologySelect.value
         });
     };
 }
@@ -1706,13 +6886,15 @@ async function joinRoom() {
     if (!mediaReady) return;
 
     // Connect WebSocket and join room
+    resetDiagnostics();
     connectWebSocket();
 
     state.ws.onopen = () => {
         sendSignaling({
             type: 'join-room',
             roomId: roomId,
-            name: state.name
+            name: state.name,
+            passcode: elements.passcodeInput.value.trim()
         });
     };
 }
@@ -1724,13 +6906,18 @@ function enterMeeting() {
     elements.roomIdDisplay.textContent = state.roomId;
     elements.localName.textContent = state.name;
 
-    // Show host badge and record button if host
-    if (state.isHost) {
-        elements.localVideoContainer.querySelector('.host-badge').classList.remove('hidden');
-        elements.recordBtn.classList.remove('hidden');
-    }
+    hideLobbyNotice();
+    hideWaitingView();
+
+    // Host badge, moderation and record button
+    updateLocalRoleUI();
 
+    updateLayoutButton();
     updateVideoGridLayout();
+    updateFlipCameraButton();
+    startSpeakerDetection();
+    startStatsMonitor();
+    startAdaptiveBitrate();
 }
 
 function leaveMeeting() {
@@ -1740,6 +6927,11 @@ function leaveMeeting() {
     }
 
     // Stop all media
+    stopBackgroundProcessor();
+    if (state.isBackgroundMenuOpen) toggleBackgroundMenu();
+    if (state.isDeviceSettingsOpen) closeDeviceSettings();
+    if (state.isReactionMenuOpen) toggleReactionMenu();
+    if (state.isParticipantsPanelOpen) toggleParticipantsPanel();
     if (state.localStream) {
         state.localStream.getTracks().forEach(track => track.stop());
         state.localStream = null;
@@ -1751,6 +6943,11 @@ function leaveMeeting() {
     }
 
     // Close all peer connections
+    stopSpeakerDetection();
+    stopStatsMonitor();
+    stopAdaptiveBitrate();
+    stopSfu();
+    state.topology = 'mesh';
     state.peers.forEach((peerData) => {
         peerData.pc.close();
         if (peerData.videoElement) {
@@ -1759,7 +6956,8 @@ function leaveMeeting() {
     });
     state.peers.clear();
 
-    // Close WebSocket
+    // Close WebSocket - tell the server first so our seat is freed right away
+    sendSignaling({ type: 'leave-room' });
     if (state.ws) {
         state.ws.close();
         state.ws = null;
@@ -1768,10 +6966,19 @@ function leaveMeeting() {
     // Reset state
     state.roomId = null;
     state.participantId = null;
+    state.reconnectToken = null;
     state.isHost = false;
+    state.isCoHost = false;
     state.isMicOn = true;
     state.isCameraOn = true;
     state.isScreenSharing = false;
+    state.raisedHands = [];
+    state.spotlightId = null;
+    state.galleryPage = 0;
+    resetWhiteboard();
+    resetAnnotations();
+    resetChat();
+    resetFileTransfers();
 
     // Reset UI
     elements.meeting.classList.remove('active');
@@ -1779,15 +6986,20 @@ function leaveMeeting() {
     elements.micBtn.classList.remove('off');
     elements.cameraBtn.classList.remove('off');
     elements.screenBtn.classList.remove('active');
-    elements.recordBtn.classList.add('hidden');
     elements.pauseRecordBtn.classList.add('hidden');
+    elements.bookmarkBtn.classList.add('hidden');
+    elements.bookmarkForm.classList.add('hidden');
     elements.stopRecordBtn.classList.add('hidden');
-    elements.recordingIndicator.classList.add('hidden');
-    elements.localVideoContainer.querySelector('.host-badge').classList.add('hidden');
+    elements.roomLockIcon.classList.add('hidden');
+    resetRecordingPermission();
+    updateLocalRoleUI();
     elements.localVideo.srcObject = null;
+    elements.flipCameraBtn.classList.add('hidden');
+    updateCameraFacing(null);
 
     // Hide screen share layout
-    hideScreenShareLayout();
+    state.screenSharerId = null;
+    updateScreenShareLayout();
 
     // Reset button labels
     elements.micBtn.querySelector('span:last-child').textContent = 'Mic On';
@@ -1795,6 +7007,16 @@ function leaveMeeting() {
     elements.screenBtn.querySelector('span:last-child').textContent = 'Share';
 }
 
+function showLobbyNotice(message) {
+    elements.lobbyNotice.textContent = message;
+    elements.lobbyNotice.classList.remove('hidden');
+}
+
+function hideLobbyNotice() {
+    elements.lobbyNotice.classList.add('hidden');
+    elements.lobbyNotice.textContent = '';
+}
+
 function copyRoomId() {
     navigator.clipboard.writeText(state.roomId).then(() => {
         showToast('Room ID copied!', 'success');
@@ -1810,20 +7032,126 @@ function copyRoomId() {
 elements.createBtn.addEventListener('click', createRoom);
 elements.joinBtn.addEventListener('click', joinRoom);
 elements.copyRoomBtn.addEventListener('click', copyRoomId);
+elements.diagnosticsBtn.addEventListener('click', downloadDiagnostics);
 elements.micBtn.addEventListener('click', toggleMic);
 elements.cameraBtn.addEventListener('click', toggleCamera);
 elements.screenBtn.addEventListener('click', toggleScreenShare);
-elements.recordBtn.addEventListener('click', startRecording);
+elements.whiteboardBtn.addEventListener('click', toggleWhiteboard);
+elements.whiteboard.querySelectorAll('[data-tool]').forEach(button => {
+    button.addEventListener('click', () => setWhiteboardTool(button.dataset.tool));
+});
+CONFIG.whiteboard.colors.forEach(color => {
+    const swatch = document.createElement('button');
+    swatch.className = 'whiteboard-color';
+    swatch.dataset.color = color;
+    swatch.style.background = color;
+    swatch.title = color;
+    swatch.addEventListener('click', () => setWhiteboardColor(color));
+    elements.whiteboardColors.appendChild(swatch);
+});
+elements.whiteboardCanvas.addEventListener('pointerdown', startWhiteboardDraft);
+elements.whiteboardCanvas.addEventListener('pointermove', moveWhiteboardDraft);
+elements.whiteboardCanvas.addEventListener('pointerup', finishWhiteboardDraft);
+elements.whiteboardCanvas.addEventListener('pointercancel', finishWhiteboardDraft);
+elements.whiteboardTextInput.addEventListener('blur', commitWhiteboardText);
+elements.whiteboardTextInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') elements.whiteboardTextInput.value = '';
+    if (e.key === 'Enter' || e.key === 'Escape') elements.whiteboardTextInput.blur();
+});
+elements.whiteboardUndoBtn.addEventListener('click', undoWhiteboard);
+elements.whiteboardClearBtn.addEventListener('click', clearWhiteboard);
+elements.whiteboardPngBtn.addEventListener('click', () => exportWhiteboard('png'));
+elements.whiteboardSvgBtn.addEventListener('click', () => exportWhiteboard('svg'));
+elements.annotateBtn.addEventListener('click', toggleAnnotating);
+elements.annotationTools.querySelectorAll('[data-annotation-tool]').forEach(button => {
+    button.addEventListener('click', () => setAnnotationTool(button.dataset.annotationTool));
+});
+elements.annotationUndoBtn.addEventListener('click', undoAnnotation);
+elements.annotationClearBtn.addEventListener('click', clearAnnotations);
+elements.annotationPermissionBtn.addEventListener('click', toggleViewerAnnotations);
+elements.annotationCanvas.addEventListener('pointerdown', startAnnotationDraft);
+elements.annotationCanvas.addEventListener('pointermove', moveAnnotationDraft);
+elements.annotationCanvas.addEventListener('pointerup', finishAnnotationDraft);
+elements.annotationCanvas.addEventListener('pointercancel', finishAnnotationDraft);
+elements.annotationCanvas.addEventListener('pointerleave', () => {
+    if (state.annotationTool === 'pointer') hideOwnPointer();
+});
+// The overlay follows the shared picture when the stage or the shared video changes size
+new ResizeObserver(renderAnnotations).observe(elements.annotationCanvas);
+elements.screenShareMain.addEventListener('resize', renderAnnotations);
+document.addEventListener('keydown', (e) => {
+    const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+    const isDrawing = state.whiteboard.isOpen && !elements.whiteboard.classList.contains('hidden');
+    if (!(e.ctrlKey || e.metaKey) || e.key !== 'z' || isTyping) return;
+
+    if (state.annotationTool) {
+        e.preventDefault();
+        undoAnnotation();
+    } else if (isDrawing) {
+        e.preventDefault();
+        undoWhiteboard();
+    }
+});
+elements.flipCameraBtn.addEventListener('click', flipCamera);
+elements.deviceSettingsBtn.addEventListener('click', openDeviceSettings);
+elements.lobbyDeviceSettingsBtn.addEventListener('click', openDeviceSettings);
+elements.closeDeviceSettingsBtn.addEventListener('click', closeDeviceSettings);
+elements.cameraSelect.addEventListener('change', () => changeDevice('videoinput', elements.cameraSelect.value));
+elements.micSelect.addEventListener('change', () => changeDevice('audioinput', elements.micSelect.value));
+elements.speakerSelect.addEventListener('change', () => changeDevice('audiooutput', elements.speakerSelect.value));
+navigator.mediaDevices.addEventListener('devicechange', refreshDeviceSettings);
+elements.backgroundBtn.addEventListener('click', toggleBackgroundMenu);
+elements.backgroundMenu.querySelectorAll('.background-option').forEach(button => {
+    button.addEventListener('click', () => setBackgroundEffect(button.dataset.effect));
+});
+elements.chooseBackgroundImageBtn.addEventListener('click', () => elements.backgroundImageInput.click());
+elements.backgroundImageInput.addEventListener('change', () => loadBackgroundImage(elements.backgroundImageInput.files[0]));
+elements.recordBtn.addEventListener('click', () => mayRecord() ? startRecording() : requestRecordingPermission());
+elements.acceptRecordingConsentBtn.addEventListener('click', acceptRecordingConsent);
+elements.declineRecordingConsentBtn.addEventListener('click', declineRecordingConsent);
+elements.recordSettingsBtn.addEventListener('click', toggleRecordingPanel);
+elements.closeRecordingPanelBtn.addEventListener('click', toggleRecordingPanel);
+elements.recordingSettingsForm.addEventListener('change', applyRecordingSettings);
+elements.recordingSettingsForm.addEventListener('submit', (e) => e.preventDefault());
+elements.removeWatermarkBtn.addEventListener('click', removeRecordingWatermark);
 elements.hideInactiveBtn.addEventListener('click', toggleHideInactive);
 elements.pauseRecordBtn.addEventListener('click', pauseRecording);
 elements.stopRecordBtn.addEventListener('click', stopRecording);
+elements.bookmarkBtn.addEventListener('click', addBookmark);
+elements.bookmarkForm.addEventListener('submit', renameBookmark);
+elements.bookmarkInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') elements.bookmarkForm.classList.add('hidden');
+});
 elements.leaveBtn.addEventListener('click', leaveMeeting);
+elements.cancelWaitingBtn.addEventListener('click', () => abortJoin());
+elements.admitAllBtn.addEventListener('click', () => sendSignaling({ type: 'admit-all' }));
+elements.layoutBtn.addEventListener('click', toggleLiveLayout);
+elements.galleryPrevBtn.addEventListener('click', () => changeGalleryPage(-1));
+elements.galleryNextBtn.addEventListener('click', () => changeGalleryPage(1));
+window.addEventListener('resize', updateVideoGridLayout);
+elements.participantsBtn.addEventListener('click', toggleParticipantsPanel);
+elements.closeParticipantsBtn.addEventListener('click', toggleParticipantsPanel);
+elements.raiseHandBtn.addEventListener('click', toggleRaiseHand);
+elements.reactionBtn.addEventListener('click', toggleReactionMenu);
+elements.reactionMenu.querySelectorAll('.reaction-option').forEach(button => {
+    button.addEventListener('click', () => sendReaction(button.dataset.emoji));
+});
+elements.clearHandsBtn.addEventListener('click', () => sendSignaling({ type: 'clear-hands' }));
+elements.chatBtn.addEventListener('click', toggleChat);
+elements.closeChatBtn.addEventListener('click', toggleChat);
+elements.chatForm.addEventListener('submit', sendChatMessage);
+elements.attachFileBtn.addEventListener('click', () => elements.fileInput.click());
+elements.fileInput.addEventListener('change', sendSelectedFiles);
 
 // Enter key to join
 elements.roomInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') joinRoom();
 });
 
+elements.passcodeInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') elements.roomInput.value ? joinRoom() : createRoom();
+});
+
 elements.nameInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter' && !elements.roomInput.value) createRoom();
 });
@@ -0,0 +1,170 @@
+/**
+ * Zoom Lite Offline - Recordings library
+ * Lists the recordings this browser may open (meetings it took part in, or all
+ * of them on the server laptop), grouped by room, with playback and download.
+ */
+
+const elements = {
+    playerPanel: document.getElementById('playerPanel'),
+    playerTitle: document.getElementById('playerTitle'),
+    player: document.getElementById('player'),
+    playerChapters: document.getElementById('playerChapters'),
+    closePlayerBtn: document.getElementById('closePlayerBtn'),
+    libraryStatus: document.getElementById('libraryStatus'),
+    libraryList: document.getElementById('libraryList')
+};
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function formatDuration(seconds) {
+    if (seconds === null) return '-';
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const mmss = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function recordingUrl(recording) {
+    return `/recordings/${encodeURIComponent(recording.fileName)}`;
+}
+
+async function loadRecordings() {
+    let recordings;
+    try {
+        const response = await fetch('/recordings/list');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        recordings = await response.json();
+    } catch (e) {
+        console.error('Error loading recordings:', e);
+        elements.libraryStatus.textContent = 'Gagal memuat rekaman.';
+        return;
+    }
+
+    if (recordings.length === 0) {
+        elements.libraryStatus.textContent = 'Belum ada rekaman dari meeting yang Anda ikuti.';
+        return;
+    }
+    elements.libraryStatus.classList.add('hidden');
+
+    // Newest first, grouped by room
+    const rooms = new Map();
+    recordings.forEach(recording => {
+        const roomId = recording.roomId || 'Lainnya';
+        if (!rooms.has(roomId)) rooms.set(roomId, []);
+        rooms.get(roomId).push(recording);
+    });
+
+    rooms.forEach((roomRecordings, roomId) => {
+        const section = document.createElement('section');
+        section.className = 'library-room';
+        section.innerHTML = `
+            <h2>Room ${escapeHtml(roomId)}</h2>
+            <table class="library-table">
+                <thead>
+                    <tr><th>Tanggal</th><th>Host</th><th>Durasi</th><th>Ukuran</th><th></th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        `;
+
+        const tbody = section.querySelector('tbody');
+        roomRecordings.forEach(recording => tbody.appendChild(createRecordingRow(recording)));
+        elements.libraryList.appendChild(section);
+    });
+}
+
+function createRecordingRow(recording) {
+    const row = document.createElement('tr');
+    const date = new Date(recording.startedAt).toLocaleString();
+    const recovered = recording.status === 'recovered'
+        ? ' <span class="library-badge" title="Rekaman terputus dan dipulihkan">terputus</span>'
+        : '';
+    // Files of a "separate tracks" recording say whose track they are
+    const label = recording.label ? `<div class="library-label">${escapeHtml(recording.label)}</div>` : '';
+    const playable = !recording.fileName.endsWith('.json');
+
+    row.innerHTML = `
+        <td>${escapeHtml(date)}${recovered}${label}</td>
+        <td>${escapeHtml(recording.hostName || '-')}</td>
+        <td>${formatDuration(recording.duration)}</td>
+        <td>${formatSize(recording.size)}</td>
+        <td class="library-actions">
+            ${playable ? '<button class="btn btn-secondary library-play">Putar</button>' : ''}
+            <a class="btn btn-secondary" href="${recordingUrl(recording)}?download=1" download>Download</a>
+            ${recording.mp4Available ? `<a class="btn btn-secondary" href="${recordingUrl(recording)}?format=mp4&download=1" download title="Untuk aplikasi editing yang tidak mendukung WebM">MP4</a>` : ''}
+            ${recording.chapters ? `<a class="btn btn-secondary" href="${recordingUrl(recording)}?format=vtt&download=1" download title="Chapter WebVTT">VTT</a>` : ''}
+            ${recording.chapters ? `<a class="btn btn-secondary" href="${recordingUrl(recording)}?format=chapters&download=1" download title="Chapter dan bookmark (JSON)">JSON</a>` : ''}
+        </td>
+    `;
+
+    if (playable) row.querySelector('.library-play').addEventListener('click', () => playRecording(recording));
+    return row;
+}
+
+function playRecording(recording) {
+    const label = recording.label ? ` - ${recording.label}` : '';
+    elements.playerTitle.textContent = `Room ${recording.roomId} - ${new Date(recording.startedAt).toLocaleString()}${label}`;
+    elements.player.querySelectorAll('track').forEach(track => track.remove());
+    elements.player.src = recordingUrl(recording);
+    elements.playerPanel.classList.remove('hidden');
+    elements.player.play().catch(() => { });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+
+    showChapters(recording);
+}
+
+// Players don't show WebVTT chapters themselves, so list them under the video
+async function showChapters(recording) {
+    elements.playerChapters.innerHTML = '';
+    elements.playerChapters.classList.add('hidden');
+    if (!recording.chapters) return;
+
+    const track = document.createElement('track');
+    track.kind = 'chapters';
+    track.src = `${recordingUrl(recording)}?format=vtt`;
+    track.default = true;
+    elements.player.appendChild(track);
+
+    let chapters;
+    try {
+        const response = await fetch(`${recordingUrl(recording)}?format=chapters`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        chapters = await response.json();
+    } catch (e) {
+        console.error('Error loading chapters:', e);
+        return;
+    }
+
+    chapters.markers.forEach(marker => {
+        const item = document.createElement('li');
+        item.innerHTML = `<button class="library-chapter"><span>${formatDuration(marker.time / 1000)}</span> ${escapeHtml(marker.label)}</button>`;
+        item.querySelector('button').addEventListener('click', () => {
+            elements.player.currentTime = marker.time / 1000;
+            elements.player.play().catch(() => { });
+        });
+        elements.playerChapters.appendChild(item);
+    });
+    elements.playerChapters.classList.remove('hidden');
+}
+
+elements.closePlayerBtn.addEventListener('click', () => {
+    elements.player.pause();
+    elements.player.removeAttribute('src');
+    elements.player.querySelectorAll('track').forEach(track => track.remove());
+    elements.player.load();
+    elements.playerChapters.classList.add('hidden');
+    elements.playerPanel.classList.add('hidden');
+});
+
+loadRecordings();
@@ -0,0 +1,489 @@
+/**
+ * Zoom Lite Offline - Recording storage
+ * The host's browser uploads MediaRecorder chunks as they are produced and the
+ * server appends them to a file in recordings/, so a crashed or reloaded tab
+ * loses at most the last second instead of the whole meeting.
+ *
+ * While a recording is running it is written to `<id>.<ext>.part` next to a
+ * `<id>.json` metadata file. Finishing renames it to `<id>.<ext>`; parts left
+ * over from a server crash are finalized the same way on the next start.
+ *
+ * Finished WebM files are rewritten with a duration and Cues index so they can be
+ * seeked (see webm.ts), and an MP4 copy is made on request.
+ *
+ * Finished recordings are listed and streamed under /recordings. Each room has
+ * an access key its members keep in a cookie; the server machine sees everything.
+ *
+ * An isolated-tracks recording is several files - one per camera or screen share
+ * plus a JSON timeline manifest - that share a sessionId.
+ *
+ * Chapter markers sent with the finish request are saved next to the recording
+ * as `<id>.chapters.vtt` (WebVTT chapters) and `<id>.chapters.json`.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, statSync, unlinkSync, writeFileSync } from "fs";
+import { appendFile, writeFile } from "fs/promises";
+import { join } from "path";
+import { timingSafeEqual } from "crypto";
+import { file } from "bun";
+import { fixWebm, remuxToMp4 } from "./webm";
+
+export const RECORDINGS_DIR = join(import.meta.dir, "..", "recordings");
+
+type RecordingStatus = "recording" | "complete" | "recovered";
+
+// Stored as <id>.json next to the video
+export interface RecordingMeta {
+  id: string;
+  roomId: string;
+  hostName: string;
+  mimeType: string;
+  fileName: string; // Final name, without the .part suffix
+  sessionId: string | null; // Set on every file of an isolated-tracks recording
+  label: string | null;     // Which track it is, e.g. "Budi (kamera)"
+  accessKey: string; // Room's recording key - members present it as the rec_<roomId> cookie
+  startedAt: number;
+  endedAt: number | null;
+  duration: number | null; // Seconds of actual recording (pauses excluded)
+  size: number;
+  status: RecordingStatus;
+  chapters?: number; // Markers in the .chapters.vtt/.json sidecars
+}
+
+// A bookmark or automatic chapter, `time` in ms of recording time
+export interface ChapterMarker {
+  time: number;
+  label: string;
+  kind: string; // "bookmark" | "screen-share" | "speaker" | "whiteboard"
+}
+
+const MAX_CHAPTERS = 1000;
+
+interface ActiveRecording {
+  meta: RecordingMeta;
+  ownerId: string;     // Participant that started it
+  uploadToken: string; // Secret required for uploads
+  nextSeq: number;     // Chunks must arrive in order
+  writing: Promise<unknown>; // Appends run one after another
+  abandonTimeout: Timer | null;
+  finishing: boolean; // Renamed or about to be - late chunks and a second finish are refused
+}
+
+// Give the final chunk and the finish request time to arrive after the owner left
+const ABANDON_GRACE_MS = 15000;
+
+const activeRecordings = new Map<string, ActiveRecording>();
+const remuxing = new Map<string, Promise<void>>(); // recordingId -> MP4 copy being written
+
+function partPath(meta: RecordingMeta): string {
+  return join(RECORDINGS_DIR, `${meta.fileName}.part`);
+}
+
+function metaPath(id: string): string {
+  return join(RECORDINGS_DIR, `${id}.json`);
+}
+
+function extensionFor(mimeType: string): string {
+  // Not plain .json - that is the metadata file's name
+  if (mimeType.startsWith("application/json")) return "timeline.json";
+  return /^(video|audio)\/mp4/.test(mimeType) ? "mp4" : "webm";
+}
+
+function tokenMatches(token: string | null | undefined, expected: string | undefined): boolean {
+  if (!token || !expected) return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function randomHex(bytes: number): string {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function saveMeta(meta: RecordingMeta) {
+  await writeFile(metaPath(meta.id), JSON.stringify(meta, null, 2));
+}
+
+// Start a new recording for the room and return what the client needs to upload
+export async function createRecording(
+  roomId: string,
+  ownerId: string,
+  hostName: string,
+  mimeType: string,
+  accessKey: string,
+  session: { sessionId?: string; label?: string } = {},
+): Promise<{ recordingId: string; uploadToken: string; fileName: string }> {
+  mkdirSync(RECORDINGS_DIR, { recursive: true });
+
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, "-");
+  const id = `meeting-${roomId}-${timestamp}-${randomHex(3)}`;
+  const meta: RecordingMeta = {
+    id,
+    roomId,
+    hostName,
+    mimeType,
+    fileName: `${id}.${extensionFor(mimeType)}`,
+    sessionId: session.sessionId || null,
+    label: session.label || null,
+    accessKey,
+    startedAt: Date.now(),
+    endedAt: null,
+    duration: null,
+    size: 0,
+    status: "recording",
+  };
+
+  await writeFile(partPath(meta), new Uint8Array(0));
+  await saveMeta(meta);
+
+  const recording: ActiveRecording = {
+    meta,
+    ownerId,
+    uploadToken: randomHex(32),
+    nextSeq: 0,
+    writing: Promise.resolve(),
+    abandonTimeout: null,
+    finishing: false,
+  };
+  activeRecordings.set(id, recording);
+  console.log(`Recording ${id} started`);
+
+  return { recordingId: id, uploadToken: recording.uploadToken, fileName: meta.fileName };
+}
+
+// Append one chunk. Retries of a chunk that already landed are accepted and ignored.
+async function appendChunk(recording: ActiveRecording, seq: number, data: Uint8Array): Promise<Response> {
+  const result = recording.writing.then(async () => {
+    // Appending now would create a new .part next to the finished file
+    if (recording.finishing) return Response.json({ error: "Recording already finished" }, { status: 409 });
+    if (seq < recording.nextSeq) return Response.json({ ok: true, duplicate: true });
+    if (seq > recording.nextSeq) {
+      return Response.json({ error: "Chunk out of order", expected: recording.nextSeq }, { status: 409 });
+    }
+
+    await appendFile(partPath(recording.meta), data);
+    recording.nextSeq++;
+    recording.meta.size += data.byteLength;
+    return Response.json({ ok: true });
+  });
+  recording.writing = result.catch(() => { });
+  return result;
+}
+
+// Index a WebM so players can seek it. If that fails the original stays, playable but unseekable.
+async function makeSeekable(meta: RecordingMeta) {
+  if (!meta.fileName.endsWith(".webm")) return;
+
+  const path = join(RECORDINGS_DIR, meta.fileName);
+  try {
+    await fixWebm(path);
+    meta.size = statSync(path).size;
+  } catch (e) {
+    console.error(`Could not index recording ${meta.fileName}:`, e);
+  }
+}
+
+function formatVttTime(ms: number): string {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  const pad = (n: number, width = 2) => String(n).padStart(width, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(Math.floor(ms % 1000), 3)}`;
+}
+
+// Each chapter runs until the next marker; the part before the first one is "Start"
+function chaptersToVtt(markers: ChapterMarker[], durationMs: number): string {
+  const starts = markers.length > 0 && markers[0].time > 0 ? [{ time: 0, label: "Start", kind: "start" }, ...markers] : markers;
+  const cues: string[] = [];
+
+  starts.forEach((marker, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1].time : Math.max(durationMs, marker.time);
+    if (end <= marker.time) return; // Zero-length - the next marker replaces it
+    cues.push(`${cues.length + 1}\n${formatVttTime(marker.time)} --> ${formatVttTime(end)}\n${marker.label.replace(/-->/g, "->")}`);
+  });
+
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+}
+
+async function saveChapters(meta: RecordingMeta, markers: ChapterMarker[]) {
+  const durationMs = (meta.duration ?? 0) * 1000;
+  const base = join(RECORDINGS_DIR, `${meta.id}.chapters`);
+  await writeFile(`${base}.vtt`, chaptersToVtt(markers, durationMs));
+  await writeFile(`${base}.json`, JSON.stringify({ recording: meta.fileName, duration: meta.duration, markers }, null, 2));
+  meta.chapters = markers.length;
+}
+
+// Keep only well-formed markers, in time order
+function parseChapters(value: unknown): ChapterMarker[] {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((m) => m && Number.isFinite(m.time) && m.time >= 0 && typeof m.label === "string" && m.label.trim())
+    .slice(0, MAX_CHAPTERS)
+    .map((m) => ({
+      time: Math.round(m.time),
+      label: m.label.replace(/\s+/g, " ").trim().slice(0, 100),
+      kind: typeof m.kind === "string" ? m.kind.slice(0, 20) : "bookmark",
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// Without a duration from the client, count chunks - MediaRecorder emits one per second
+// Runs once per recording: the owner's finish request and the abandon timer may race.
+async function finishRecording(recording: ActiveRecording, status: RecordingStatus, duration?: number, chapters: ChapterMarker[] = []) {
+  if (recording.finishing) throw new Error(`Recording ${recording.meta.id} is already finished`);
+  recording.finishing = true;
+  if (recording.abandonTimeout) clearTimeout(recording.abandonTimeout);
+  activeRecordings.delete(recording.meta.id);
+
+  await recording.writing;
+  const meta = recording.meta;
+  renameSync(partPath(meta), join(RECORDINGS_DIR, meta.fileName));
+  await makeSeekable(meta);
+  meta.endedAt = Date.now();
+  meta.duration = duration ?? recording.nextSeq;
+  meta.status = status;
+  if (chapters.length > 0) await saveChapters(meta, chapters);
+  await saveMeta(meta);
+  console.log(`Recording ${meta.id} saved (${status}, ${meta.size} bytes)`);
+}
+
+// The participant left the meeting - close whatever they were still recording
+export function releaseRecordings(participantId: string) {
+  activeRecordings.forEach((recording) => {
+    if (recording.ownerId !== participantId || recording.abandonTimeout) return;
+    recording.abandonTimeout = setTimeout(() => {
+      recording.abandonTimeout = null;
+      finishRecording(recording, "recovered").catch((e) => console.error("Error saving recording:", e));
+    }, ABANDON_GRACE_MS);
+  });
+}
+
+// Finalize parts left behind by a crash. Runs once at startup.
+export function recoverRecordings() {
+  if (!existsSync(RECORDINGS_DIR)) return;
+
+  for (const name of readdirSync(RECORDINGS_DIR)) {
+    // Half-written output of an interrupted fixWebm/remuxToMp4 - the source is still there
+    if (name.endsWith(".tmp")) unlinkSync(join(RECORDINGS_DIR, name));
+    if (!name.endsWith(".part")) continue;
+
+    const fileName = name.slice(0, -".part".length);
+    const id = fileName.slice(0, fileName.indexOf("."));
+
+    // A chunk that landed after the recording was finished - never let it replace the finished file.
+    // Without the file's beginning it can't be played on its own.
+    if (existsSync(join(RECORDINGS_DIR, fileName))) {
+      unlinkSync(join(RECORDINGS_DIR, name));
+      console.log(`Dropped stray ${name} - ${fileName} is already finished`);
+      continue;
+    }
+
+    const stats = statSync(join(RECORDINGS_DIR, name));
+    renameSync(join(RECORDINGS_DIR, name), join(RECORDINGS_DIR, fileName));
+
+    let meta: RecordingMeta;
+    try {
+      meta = JSON.parse(readFileSync(metaPath(id), "utf8"));
+    } catch (e) {
+      meta = {
+        id, roomId: "", hostName: "", mimeType: "", fileName, sessionId: null, label: null, accessKey: "",
+        startedAt: Math.round(stats.birthtimeMs), endedAt: null, duration: null, size: 0, status: "recording",
+      };
+    }
+    meta.endedAt = Math.round(stats.mtimeMs);
+    meta.size = stats.size;
+    meta.status = "recovered";
+    writeFileSync(metaPath(id), JSON.stringify(meta, null, 2));
+    console.log(`Recovered interrupted recording ${fileName}`);
+
+    // Also drops the block the crash cut in half
+    makeSeekable(meta).then(() => saveMeta(meta)).catch((e) => console.error("Error saving recording:", e));
+  }
+}
+
+// /api/recordings/:id/chunks?seq=N   POST, body = chunk
+// /api/recordings/:id/finish         POST, body = { duration, chapters? }
+export async function handleRecordingRequest(req: Request, url: URL): Promise<Response> {
+  const [, , , id, action] = url.pathname.split("/");
+  const recording = activeRecordings.get(id);
+
+  if (!recording || !tokenMatches(req.headers.get("X-Upload-Token"), recording.uploadToken)) {
+    return Response.json({ error: "Unknown recording" }, { status: 404 });
+  }
+
+  if (action === "chunks" && req.method === "POST") {
+    const seq = Number(url.searchParams.get("seq"));
+    if (!Number.isInteger(seq) || seq < 0) {
+      return Response.json({ error: "Invalid seq" }, { status: 400 });
+    }
+    const data = new Uint8Array(await req.arrayBuffer());
+    // The recording may have been finished while the body was arriving
+    if (recording.finishing) return Response.json({ error: "Recording already finished" }, { status: 409 });
+    return appendChunk(recording, seq, data);
+  }
+
+  if (action === "finish" && req.method === "POST") {
+    const body = await req.json().catch(() => ({}));
+    // e.g. the abandon timer closed it after the owner's seat expired
+    if (recording.finishing) return Response.json({ error: "Recording already finished" }, { status: 409 });
+
+    const duration = Number.isFinite(body.duration) && body.duration >= 0 ? Math.round(body.duration) : undefined;
+    try {
+      await finishRecording(recording, "complete", duration, parseChapters(body.chapters));
+    } catch (e) {
+      console.error("Error saving recording:", e);
+      return Response.json({ error: "Could not save recording" }, { status: 500 });
+    }
+    return Response.json({ ok: true, fileName: recording.meta.fileName, size: recording.meta.size });
+  }
+
+  return new Response("Not Found", { status: 404 });
+}
+
+// Library: what the /recordings page lists and plays
+
+function readCookies(req: Request): Map<string, string> {
+  const cookies = new Map<string, string>();
+  for (const part of (req.headers.get("Cookie") || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0) cookies.set(part.slice(0, index).trim(), part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+// Finished recordings the caller may see
+function listAccessible(req: Request, isServerMachine: boolean): RecordingMeta[] {
+  if (!existsSync(RECORDINGS_DIR)) return [];
+
+  const cookies = readCookies(req);
+  const recordings: RecordingMeta[] = [];
+  for (const name of readdirSync(RECORDINGS_DIR)) {
+    if (!name.endsWith(".json")) continue;
+
+    let meta: RecordingMeta;
+    try {
+      meta = JSON.parse(readFileSync(join(RECORDINGS_DIR, name), "utf8"));
+    } catch (e) {
+      continue;
+    }
+    if (name !== `${meta.id}.json`) continue; // A timeline manifest, not metadata
+    if (meta.status === "recording") continue;
+    if (!isServerMachine && !tokenMatches(cookies.get(`rec_${meta.roomId}`), meta.accessKey)) continue;
+    recordings.push(meta);
+  }
+
+  return recordings.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// MP4 copies are made on first request and kept next to the original
+async function ensureMp4(meta: RecordingMeta): Promise<string> {
+  const path = join(RECORDINGS_DIR, `${meta.id}.mp4`);
+  if (existsSync(path)) return path;
+
+  let pending = remuxing.get(meta.id);
+  if (!pending) {
+    pending = remuxToMp4(join(RECORDINGS_DIR, meta.fileName), path).finally(() => remuxing.delete(meta.id));
+    remuxing.set(meta.id, pending);
+  }
+  await pending;
+  return path;
+}
+
+// Play/download with Range support so the browser can seek without fetching everything
+function serveFile(req: Request, path: string, fileName: string, contentType: string, download: boolean): Response {
+  const video = file(path);
+  const size = video.size;
+  const headers: Record<string, string> = {
+    "Content-Type": contentType,
+    "Accept-Ranges": "bytes",
+    "Content-Disposition": `${download ? "attachment" : "inline"}; filename="${fileName}"`,
+  };
+
+  const range = req.headers.get("Range");
+  if (!range) {
+    return new Response(video, { headers: { ...headers, "Content-Length": String(size) } });
+  }
+
+  // Single ranges only: "bytes=start-end", "bytes=start-" or "bytes=-suffix"
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  let start = match && match[1] !== "" ? Number(match[1]) : NaN;
+  let end = match && match[2] !== "" ? Number(match[2]) : size - 1;
+  if (match && match[1] === "" && match[2] !== "") {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  }
+  end = Math.min(end, size - 1);
+
+  if (!Number.isFinite(start) || start > end) {
+    return new Response("Range Not Satisfiable", {
+      status: 416,
+      headers: { "Content-Range": `bytes */${size}` },
+    });
+  }
+
+  return new Response(video.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      ...headers,
+      "Content-Range": `bytes ${start}-${end}/${size}`,
+      "Content-Length": String(end - start + 1),
+    },
+  });
+}
+
+// /recordings/list            GET - JSON list for the library page
+// /recordings/<fileName>      GET - stream the video (?download=1 to save it, ?format=mp4 for the MP4 copy,
+//                                  ?format=vtt or ?format=chapters for the chapter sidecars)
+export async function handleLibraryRequest(req: Request, url: URL, isServerMachine: boolean): Promise<Response> {
+  if (req.method !== "GET" && req.method !== "HEAD") return new Response("Method Not Allowed", { status: 405 });
+
+  let name: string;
+  try {
+    name = decodeURIComponent(url.pathname.slice("/recordings/".length));
+  } catch {
+    return new Response("Bad Request", { status: 400 }); // Malformed escape like %E0
+  }
+  const recordings = listAccessible(req, isServerMachine);
+
+  if (name === "list") {
+    return Response.json(recordings.map((meta) => ({
+      id: meta.id,
+      roomId: meta.roomId,
+      hostName: meta.hostName,
+      fileName: meta.fileName,
+      sessionId: meta.sessionId ?? null,
+      label: meta.label ?? null,
+      startedAt: meta.startedAt,
+      duration: meta.duration ?? (meta.endedAt ? Math.round((meta.endedAt - meta.startedAt) / 1000) : null),
+      size: meta.size,
+      status: meta.status,
+      chapters: meta.chapters ?? 0,
+      mp4Available: meta.fileName.endsWith(".webm"),
+    })));
+  }
+
+  // Only names from the caller's own list - no path tricks, no peeking at other rooms
+  const meta = recordings.find((m) => m.fileName === name);
+  if (!meta) return new Response("Not Found", { status: 404 });
+
+  const download = url.searchParams.has("download");
+
+  if (url.searchParams.get("format") === "mp4" && meta.fileName.endsWith(".webm")) {
+    try {
+      return serveFile(req, await ensureMp4(meta), `${meta.id}.mp4`, "video/mp4", download);
+    } catch (e) {
+      console.error(`Could not remux ${meta.fileName} to MP4:`, e);
+      return new Response("Could not convert this recording to MP4", { status: 500 });
+    }
+  }
+
+  const format = url.searchParams.get("format");
+  if ((format === "vtt" || format === "chapters") && meta.chapters) {
+    const extension = format === "vtt" ? "vtt" : "json";
+    const contentType = format === "vtt" ? "text/vtt" : "application/json";
+    return serveFile(req, join(RECORDINGS_DIR, `${meta.id}.chapters.${extension}`), `${meta.id}.chapters.${extension}`, contentType, download);
+  }
+
+  const contentType = meta.mimeType.split(";")[0] || "video/webm";
+  return serveFile(req, join(RECORDINGS_DIR, meta.fileName), meta.fileName, contentType, download);
+}
@@ -5,6 +5,23 @@
 
 import { serve, file } from "bun";
 import { join } from "path";
+import { timingSafeEqual } from "crypto";
+import {
+  joinSfu,
+  leaveSfu,
+  closeSfuRoom,
+  handlePublishOffer,
+  handleSubscribeAnswer,
+  handleIceCandidate,
+  setPreferredLayer,
+} from "./sfu";
+import {
+  createRecording,
+  releaseRecordings,
+  recoverRecordings,
+  handleRecordingRequest,
+  handleLibraryRequest,
+} from "./recordings";
 
 const PORT = 3000;
 const PUBLIC_DIR = join(import.meta.dir, "..", "public");
@@ -15,25 +32,164 @@ interface Participant {
   name: string;
   ws: WebSocket;
   isHost: boolean;
+  isCoHost: boolean; // May moderate and admit, takes over if the host never comes back
+  reconnectToken: string; // Secret required to take this seat back after a disconnect
+  canRecord: boolean; // The host allowed this participant to record the meeting on their device
+  lastReactionAt: number; // For throttling emoji reactions
+  lastPointerAt: number; // For throttling the laser pointer over a shared screen
+  isMicOn: boolean; // Last media state the client reported, for late joiners' rosters
+  isCameraOn: boolean;
+}
+
+interface ChatMessage {
+  id: string;
+  senderId: string;
+  senderName: string;
+  text: string;
+  timestamp: number;
+  targetId?: string; // Set for direct messages
+  targetName?: string;
+}
+
+// Something drawn on the whiteboard or over a shared screen
+interface DrawingItem {
+  id: string; // Picked by the client, so a resend after a reconnect isn't added twice
+  authorId: string;
+  tool: DrawingTool;
+  color: string;
+  size: number; // Line width, or font size for text
+  points: number[]; // x/y pairs in area coordinates: the stroke, two corners of a shape, or where text starts
+  text?: string;
+}
+
+// The coordinate space of a drawing and the tools allowed on it
+interface DrawingArea {
+  width: number;
+  height: number;
+  tools: DrawingTool[];
+}
+
+interface Whiteboard {
+  open: boolean;
+  ownerId: string | null; // Whoever opened it - may close or clear it, like a moderator
+  items: DrawingItem[]; // In the order the server received them, which every client follows
+}
+
+// Drawn over the current screen share - they belong to that share and end with it
+interface Annotations {
+  enabled: boolean; // Viewers may draw and point; the presenter always may
+  items: DrawingItem[];
 }
 
 interface Room {
   id: string;
+  passcode: string | null;
   host: Participant | null;
   participants: Map<string, Participant>;
+  chatHistory: ChatMessage[]; // Public messages only, replayed to late joiners
+  removedIds: Set<string>; // Participants kicked by the host - their rejoinId is refused
+  waitingRoomEnabled: boolean;
+  waiting: Map<string, Participant>; // Joiners waiting for the host to admit them
+  topologySetting: TopologySetting;
+  topology: Topology; // What clients currently use: peer-to-peer mesh or the server SFU
+  recordingKey: string; // Handed to members so they can open the room's recordings later
+  recorders: Set<string>; // Participants recording right now, shown to everyone
+  recordingRequests: Set<string>; // Participants asking the host for permission to record
+  recordingConsentRequired: boolean; // New joiners must accept being recorded before their media goes out
+  raisedHands: Map<string, number>; // participantId -> when the hand went up, in speaking order
+  spotlightId: string | null; // Shown as the main tile on every client, set by a moderator
+  whiteboard: Whiteboard; // Its drawings stay with the room until cleared, also while it's closed
+  screenSharerId: string | null;
+  annotations: Annotations;
 }
 
+// Wrong passcodes from one client address, across its sockets and rooms
+interface PasscodeFailures {
+  count: number; // Since the last lockout
+  lockouts: number;
+  lockedUntil: number;
+  lastFailureAt: number;
+}
+
+type Topology = "mesh" | "sfu";
+type TopologySetting = Topology | "auto";
+type DrawingTool = "pen" | "eraser" | "line" | "rect" | "ellipse" | "text";
+
 const rooms = new Map<string, Room>();
+const passcodeFailures = new Map<string, PasscodeFailures>(); // Client address -> wrong passcodes
 const disconnectionTimeouts = new Map<string, Timer>(); // participantId -> timeout
 
+const MAX_CHAT_HISTORY = 200;
+const MAX_CHAT_LENGTH = 2000;
+const MAX_PASSCODE_LENGTH = 32;
+const MAX_PASSCODE_FAILURES = 5; // Wrong passcodes from one device before it must wait - the room ID is public
+const PASSCODE_LOCKOUT_MS = 30000; // Doubles with each lockout in a row
+const MAX_PASSCODE_LOCKOUT_MS = 15 * 60 * 1000;
+const PASSCODE_FAILURE_MEMORY_MS = 60 * 60 * 1000; // A device that stops guessing is forgotten after this
+const RECONNECT_GRACE_MS = 30000; // How long a dropped participant (host included) keeps their seat
+const REACTION_INTERVAL_MS = 250; // Faster taps are dropped instead of flooding every tile
+const REACTIONS = ["👍", "👏", "❤️", "😂", "😮", "🎉"];
+
+// Whiteboard items are drawn on a fixed board so every screen size shows the same picture
+const WHITEBOARD_WIDTH = 1600;
+const WHITEBOARD_HEIGHT = 900;
+const WHITEBOARD_AREA: DrawingArea = {
+  width: WHITEBOARD_WIDTH,
+  height: WHITEBOARD_HEIGHT,
+  tools: ["pen", "eraser", "line", "rect", "ellipse", "text"],
+};
+const MAX_WHITEBOARD_ITEMS = 1000;
+const MAX_DRAWING_POINTS = 1000; // Coordinates per item - clients split longer strokes
+const MAX_WHITEBOARD_TEXT = 200;
+
+// Annotations are in fractions of the shared video's own size, so letterboxing
+// on each screen doesn't move them (10000 = the full width or height)
+const ANNOTATION_SCALE = 10000;
+const ANNOTATION_AREA: DrawingArea = {
+  width: ANNOTATION_SCALE,
+  height: ANNOTATION_SCALE,
+  tools: ["pen", "line", "rect", "ellipse"],
+};
+const MAX_ANNOTATION_ITEMS = 500;
+const POINTER_INTERVAL_MS = 30; // Laser pointer moves faster than this are dropped
+
+// "auto" rooms switch to the SFU once the mesh gets too heavy for phones, and back
+// when the room shrinks again (the gap avoids flapping around a single join/leave)
+const SFU_AUTO_ENABLE_AT = 5;
+const SFU_AUTO_DISABLE_AT = 3;
+
+// No 0/O or 1/I so IDs can be read out loud without confusion (32 chars = no modulo bias)
+const ROOM_ID_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function randomHex(bytes: number): string {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), b => b.toString(16).padStart(2, "0")).join("");
+}
+
 // Generate random room ID
 function generateRoomId(): string {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
+  let roomId: string;
+  do {
+    roomId = Array.from(crypto.getRandomValues(new Uint8Array(6)), b => ROOM_ID_ALPHABET[b & 31]).join("");
+  } while (rooms.has(roomId));
+  return roomId;
 }
 
 // Generate participant ID
 function generateParticipantId(): string {
-  return Math.random().toString(36).substring(2, 10);
+  return randomHex(8);
+}
+
+// Generate the secret a participant needs to reconnect to their seat
+function generateReconnectToken(): string {
+  return randomHex(32);
+}
+
+// Constant-time string comparison for secrets
+function safeEqual(a: unknown, b: string): boolean {
+  if (typeof a !== "string") return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
 }
 
 // Get local IP addresses
@@ -51,6 +207,36 @@ function getLocalIPs(): string[] {
   return ips;
 }
 
+// Requests from the laptop running the server (the meeting host's machine) see every recording
+function isServerMachine(address: string | undefined): boolean {
+  if (!address) return false;
+  const ip = address.replace(/^::ffff:/, "");
+  return ip === "127.0.0.1" || ip === "::1" || getLocalIPs().includes(ip);
+}
+
+// Milliseconds this client must still wait before its passcode is checked again
+function passcodeLockedFor(address: string): number {
+  const failures = passcodeFailures.get(address);
+  return failures ? Math.max(0, failures.lockedUntil - Date.now()) : 0;
+}
+
+function recordPasscodeFailure(address: string) {
+  const now = Date.now();
+  for (const [key, entry] of passcodeFailures) {
+    if (now - entry.lastFailureAt > PASSCODE_FAILURE_MEMORY_MS) passcodeFailures.delete(key);
+  }
+
+  const failures = passcodeFailures.get(address) ?? { count: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: 0 };
+  failures.lastFailureAt = now;
+  if (++failures.count >= MAX_PASSCODE_FAILURES) {
+    failures.count = 0;
+    failures.lockedUntil = now + Math.min(PASSCODE_LOCKOUT_MS * 2 ** failures.lockouts, MAX_PASSCODE_LOCKOUT_MS);
+    failures.lockouts++;
+    console.log(`Passcode guesses from ${address} paused after ${MAX_PASSCODE_FAILURES} wrong passcodes`);
+  }
+  passcodeFailures.set(address, failures);
+}
+
 // Broadcast to all participants in a room except sender
 function broadcast(room: Room, message: object, excludeId?: string) {
   const data = JSON.stringify(message);
@@ -69,6 +255,280 @@ function sendTo(room: Room, targetId: string, message: object) {
   }
 }
 
+// Add a participant to the meeting and introduce them to everyone already in it
+function admitParticipant(room: Room, participant: Participant) {
+  room.participants.set(participant.id, participant);
+  // @ts-ignore
+  participant.ws.roomId = room.id;
+
+  // Send room info to new participant
+  const existingParticipants = Array.from(room.participants.values())
+    .filter(p => p.id !== participant.id)
+    .map(p => ({
+      id: p.id,
+      name: p.name,
+      isHost: p.isHost,
+      isCoHost: p.isCoHost,
+      isMicOn: p.isMicOn,
+      isCameraOn: p.isCameraOn,
+      reconnecting: disconnectionTimeouts.has(p.id),
+    }));
+
+  sendTo(room, participant.id, {
+    type: "room-joined",
+    roomId: room.id,
+    participantId: participant.id,
+    reconnectToken: participant.reconnectToken,
+    isHost: false,
+    hasPasscode: !!room.passcode,
+    topology: room.topology,
+    recordingKey: room.recordingKey,
+    recordingConsentRequired: room.recordingConsentRequired,
+    spotlightId: room.spotlightId,
+    participants: existingParticipants,
+    chatHistory: room.chatHistory,
+  });
+  sendTo(room, participant.id, recordingStatus(room));
+  sendTo(room, participant.id, handQueue(room));
+  sendTo(room, participant.id, whiteboardState(room));
+  sendTo(room, participant.id, annotationState(room));
+
+  // Notify others about new participant
+  broadcast(room, {
+    type: "participant-joined",
+    participant: { id: participant.id, name: participant.name, isHost: false, isCoHost: false },
+  }, participant.id);
+
+  console.log(`${participant.name} joined room ${room.id}`);
+  updateTopology(room);
+}
+
+// Switch an "auto" room between mesh and SFU depending on its size
+function updateTopology(room: Room) {
+  let topology: Topology = room.topology;
+  if (room.topologySetting !== "auto") {
+    topology = room.topologySetting;
+  } else if (room.participants.size >= SFU_AUTO_ENABLE_AT) {
+    topology = "sfu";
+  } else if (room.participants.size <= SFU_AUTO_DISABLE_AT) {
+    topology = "mesh";
+  }
+
+  if (topology === room.topology) return;
+
+  room.topology = topology;
+  if (topology === "mesh") closeSfuRoom(room.id);
+
+  broadcast(room, { type: "topology-changed", topology });
+  console.log(`Room ${room.id} switched to ${topology} (${room.participants.size} participants)`);
+}
+
+// Host and co-hosts may moderate and admit people
+function isModerator(room: Room, participantId: string): boolean {
+  const participant = room.participants.get(participantId);
+  return !!participant && (participant.isHost || participant.isCoHost);
+}
+
+// Keep the moderators' pending-admission list in sync
+function sendWaitingList(room: Room) {
+  const message = {
+    type: "waiting-list",
+    participants: Array.from(room.waiting.values()).map(p => ({ id: p.id, name: p.name })),
+  };
+
+  room.participants.forEach((p) => {
+    if (p.isHost || p.isCoHost) sendTo(room, p.id, message);
+  });
+}
+
+// Who is recording and who may - everyone sees this, it drives the REC indicator
+function recordingStatus(room: Room) {
+  const participants = Array.from(room.participants.values());
+  return {
+    type: "recording-status",
+    recorders: participants.filter(p => room.recorders.has(p.id)).map(p => ({ id: p.id, name: p.name })),
+    permitted: participants.filter(p => p.canRecord).map(p => p.id),
+  };
+}
+
+// Keep the host's list of pending recording requests in sync
+function sendRecordingRequests(room: Room) {
+  if (!room.host) return;
+  sendTo(room, room.host.id, {
+    type: "recording-requests",
+    participants: Array.from(room.recordingRequests)
+      .map(id => room.participants.get(id))
+      .filter((p): p is Participant => !!p)
+      .map(p => ({ id: p.id, name: p.name })),
+  });
+}
+
+// Raised hands in the order they went up - everyone sees the speaking queue
+function handQueue(room: Room) {
+  return {
+    type: "hand-queue",
+    queue: Array.from(room.raisedHands)
+      .map(([id, raisedAt]) => ({ participant: room.participants.get(id), raisedAt }))
+      .filter((entry): entry is { participant: Participant; raisedAt: number } => !!entry.participant)
+      .map(({ participant, raisedAt }) => ({ id: participant.id, name: participant.name, raisedAt })),
+  };
+}
+
+function whiteboardState(room: Room) {
+  return {
+    type: "whiteboard",
+    open: room.whiteboard.open,
+    ownerId: room.whiteboard.ownerId,
+    items: room.whiteboard.items,
+  };
+}
+
+function annotationState(room: Room) {
+  return {
+    type: "annotations",
+    sharerId: room.screenSharerId,
+    enabled: room.annotations.enabled,
+    items: room.annotations.items,
+  };
+}
+
+// Sent back for an item the server won't keep, so the sender stops showing and resending it
+function drawingRejection(type: "whiteboard-reject" | "annotation-reject", data: any, message?: string) {
+  return {
+    type,
+    id: typeof data.item?.id === "string" ? data.item.id.slice(0, 64) : null,
+    message,
+  };
+}
+
+// Check an item drawn by a client and keep only what the drawing uses
+function parseDrawingItem(data: any, authorId: string, area: DrawingArea): DrawingItem | null {
+  if (!data || typeof data !== "object" || !area.tools.includes(data.tool)) return null;
+
+  const id = typeof data.id === "string" ? data.id.replace(/[^\w-]/g, "").slice(0, 64) : "";
+  const color = typeof data.color === "string" && /^#[0-9a-f]{6}$/i.test(data.color) ? data.color : "";
+  const size = Number(data.size);
+  const points: unknown[] = Array.isArray(data.points) ? data.points : [];
+  if (!id || !color || !(size >= 1 && size <= 200)) return null;
+
+  // Shapes are two corners, text one position, strokes anything up to the limit
+  const expected = data.tool === "text" ? 2 : ["line", "rect", "ellipse"].includes(data.tool) ? 4 : 0;
+  if (expected ? points.length !== expected : points.length < 2 || points.length % 2 !== 0 || points.length > MAX_DRAWING_POINTS) return null;
+  const inArea = points.every((value, index) =>
+    typeof value === "number" && value >= 0 && value <= (index % 2 ? area.height : area.width));
+  if (!inArea) return null;
+
+  const item: DrawingItem = {
+    id,
+    authorId,
+    tool: data.tool,
+    color,
+    size: Math.round(size),
+    points: (points as number[]).map(Math.round),
+  };
+
+  if (item.tool === "text") {
+    const text = typeof data.text === "string" ? data.text.trim().slice(0, MAX_WHITEBOARD_TEXT) : "";
+    if (!text) return null;
+    item.text = text;
+  }
+
+  return item;
+}
+
+function broadcastRole(room: Room, participant: Participant) {
+  broadcast(room, {
+    type: "role-changed",
+    participantId: participant.id,
+    isHost: participant.isHost,
+    isCoHost: participant.isCoHost,
+  });
+}
+
+// Hand the host role to another participant. The previous host becomes a regular participant.
+function transferHost(room: Room, newHost: Participant) {
+  const previousHost = room.host;
+  if (previousHost && previousHost !== newHost) {
+    previousHost.isHost = false;
+    broadcastRole(room, previousHost);
+  }
+
+  newHost.isHost = true;
+  newHost.isCoHost = false;
+  room.host = newHost;
+  broadcastRole(room, newHost);
+  sendWaitingList(room);
+  sendRecordingRequests(room);
+
+  console.log(`${newHost.name} is now the host of room ${room.id}`);
+}
+
+function closeRoom(room: Room, reason: string) {
+  broadcast(room, { type: "room-closed" });
+  room.waiting.forEach((p) => {
+    p.ws.send(JSON.stringify({ type: "admission-denied", reason: "The meeting has ended" }));
+    p.ws.close();
+  });
+  room.participants.forEach((p) => {
+    const timeout = disconnectionTimeouts.get(p.id);
+    if (timeout) {
+      clearTimeout(timeout);
+      disconnectionTimeouts.delete(p.id);
+    }
+  });
+  closeSfuRoom(room.id);
+  rooms.delete(room.id);
+  console.log(`Room ${room.id} closed (${reason})`);
+}
+
+// Take a participant out of the room for good. If it was the host, the first co-host
+// takes over; without a co-host the meeting ends.
+function removeParticipant(room: Room, participantId: string) {
+  if (!room.participants.delete(participantId)) return;
+
+  leaveSfu(room.id, participantId);
+  releaseRecordings(participantId);
+
+  broadcast(room, {
+    type: "participant-left",
+    participantId,
+  });
+
+  if (room.recorders.delete(participantId)) broadcast(room, recordingStatus(room));
+  if (room.recordingRequests.delete(participantId)) sendRecordingRequests(room);
+  if (room.raisedHands.delete(participantId)) broadcast(room, handQueue(room));
+  if (room.spotlightId === participantId) {
+    room.spotlightId = null;
+    broadcast(room, { type: "spotlight", participantId: null });
+  }
+  // Moderators can still close the board of someone who left
+  if (room.whiteboard.ownerId === participantId) room.whiteboard.ownerId = null;
+  if (room.screenSharerId === participantId) {
+    room.screenSharerId = null;
+    room.annotations = { enabled: true, items: [] };
+  }
+
+  if (room.host?.id === participantId) {
+    room.host = null;
+    const successor = Array.from(room.participants.values()).find(p => p.isCoHost);
+    if (!successor) {
+      closeRoom(room, "host left");
+      return;
+    }
+    transferHost(room, successor);
+  }
+
+  if (room.participants.size === 0) {
+    closeRoom(room, "empty");
+    return;
+  }
+
+  updateTopology(room);
+}
+
+// Anything still marked as recording was cut off by a crash
+recoverRecordings();
+
 const server = serve({
   port: PORT,
 
@@ -87,6 +547,19 @@ const server = serve({
       return new Response("WebSocket upgrade failed", { status: 400 });
     }
 
+    // Recording uploads from the host
+    if (url.pathname.startsWith("/api/recordings/")) {
+      return handleRecordingRequest(req, url);
+    }
+
+    // Recordings library: the page itself, then its list and the videos
+    if (url.pathname === "/recordings") {
+      return new Response(file(join(PUBLIC_DIR, "recordings.html")));
+    }
+    if (url.pathname.startsWith("/recordings/")) {
+      return handleLibraryRequest(req, url, isServerMachine(server.requestIP(req)?.address));
+    }
+
     // Serve static files
     let filePath = url.pathname === "/" ? "/index.html" : url.pathname;
     const fullPath = join(PUBLIC_DIR, filePath);
@@ -123,12 +596,37 @@ const server = serve({
               name: data.name || "Host",
               ws: ws as unknown as WebSocket,
               isHost: true,
+              isCoHost: false,
+              reconnectToken: generateReconnectToken(),
+              canRecord: false,
+              lastReactionAt: 0,
+              lastPointerAt: 0,
+              isMicOn: true,
+              isCameraOn: true,
             };
 
+            const passcode = typeof data.passcode === "string" ? data.passcode.trim().slice(0, MAX_PASSCODE_LENGTH) : "";
+
             const room: Room = {
               id: roomId,
+              passcode: passcode || null,
               host: participant,
               participants: new Map([[participantId, participant]]),
+              chatHistory: [],
+              removedIds: new Set(),
+              waitingRoomEnabled: !!data.waitingRoom,
+              waiting: new Map(),
+              topologySetting: ["mesh", "sfu"].includes(data.topology) ? data.topology : "auto",
+              topology: data.topology === "sfu" ? "sfu" : "mesh",
+              recordingKey: randomHex(16),
+              recorders: new Set(),
+              recordingRequests: new Set(),
+              recordingConsentRequired: false,
+              raisedHands: new Map(),
+              spotlightId: null,
+              whiteboard: { open: false, ownerId: null, items: [] },
+              screenSharerId: null,
+              annotations: { enabled: true, items: [] },
             };
 
             rooms.set(roomId, room);
@@ -139,10 +637,16 @@ const server = serve({
               type: "room-created",
               roomId,
               participantId,
+              reconnectToken: participant.reconnectToken,
               isHost: true,
+              hasPasscode: !!room.passcode,
+              waitingRoomEnabled: room.waitingRoomEnabled,
+              topology: room.topology,
+              recordingKey: room.recordingKey,
+              recordingConsentRequired: room.recordingConsentRequired,
             }));
 
-            console.log(`Room ${roomId} created by ${data.name}`);
+            console.log(`Room ${roomId} created by ${data.name} (${room.topologySetting}${room.waitingRoomEnabled ? ", waiting room on" : ""})`);
             break;
           }
 
@@ -153,9 +657,25 @@ const server = serve({
               return;
             }
 
-            // Check if this is a reconnection
+            if (data.rejoinId && room.removedIds.has(data.rejoinId)) {
+              ws.send(JSON.stringify({
+                type: "removed-from-room",
+                reason: "You were removed from this meeting by the host",
+              }));
+              ws.close();
+              return;
+            }
+
+            // Check if this is a reconnection - the participant ID alone is not enough,
+            // the secret token handed out on join must match too
             const existingParticipant = room.participants.get(data.rejoinId || "");
             if (existingParticipant) {
+              if (!safeEqual(data.reconnectToken, existingParticipant.reconnectToken)) {
+                ws.send(JSON.stringify({ type: "error", message: "Reconnect rejected" }));
+                console.log(`Rejected reconnect attempt for ${data.rejoinId} (bad token)`);
+                return;
+              }
+
               console.log(`Participant ${data.rejoinId} reconnected`);
 
               // Clear timeout
@@ -176,7 +696,24 @@ const server = serve({
                 type: "reconnected",
                 roomId: data.roomId,
                 participantId: data.rejoinId,
+                // The role may have changed while we were away
+                isHost: existingParticipant.isHost,
+                isCoHost: existingParticipant.isCoHost,
+                topology: room.topology,
+                recordingKey: room.recordingKey,
+                recordingConsentRequired: room.recordingConsentRequired,
+                spotlightId: room.spotlightId,
+                chatHistory: room.chatHistory,
               }));
+              sendTo(room, existingParticipant.id, recordingStatus(room));
+              sendTo(room, existingParticipant.id, handQueue(room));
+              sendTo(room, existingParticipant.id, whiteboardState(room));
+              sendTo(room, existingParticipant.id, annotationState(room));
+
+              if (existingParticipant.isHost || existingParticipant.isCoHost) {
+                sendWaitingList(room);
+              }
+              if (existingParticipant.isHost) sendRecordingRequests(room);
 
               // Notify others to refresh connection if needed (or just let WebRTC ice restart happen)
               broadcast(room, {
@@ -187,37 +724,99 @@ const server = serve({
               return;
             }
 
+            if (room.passcode) {
+              // Only this client waits out its lockout - everyone else still gets in. While it
+              // waits nothing it sends is checked, or "locked" vs "joined" would give the answer away.
+              const address = ws.remoteAddress;
+              const lockedFor = passcodeLockedFor(address);
+              if (lockedFor > 0) {
+                ws.send(JSON.stringify({
+                  type: "join-rejected",
+                  reason: `Too many wrong passcodes - try again in ${Math.ceil(lockedFor / 1000)} seconds`,
+                }));
+                return;
+              }
+
+              if (!safeEqual(data.passcode, room.passcode)) {
+                // Asking without a passcode is how the client finds out one is needed
+                if (data.passcode) recordPasscodeFailure(address);
+                ws.send(JSON.stringify({
+                  type: "join-rejected",
+                  reason: data.passcode ? "Incorrect passcode" : "This meeting requires a passcode",
+                }));
+                console.log(`Rejected join to room ${room.id} (${data.passcode ? "wrong" : "missing"} passcode)`);
+                return;
+              }
+              passcodeFailures.delete(address);
+            }
+
             const participant: Participant = {
               id: participantId,
               name: data.name || "Guest",
               ws: ws as unknown as WebSocket,
               isHost: false,
+              isCoHost: false,
+              reconnectToken: generateReconnectToken(),
+              canRecord: false,
+              lastReactionAt: 0,
+              lastPointerAt: 0,
+              isMicOn: true,
+              isCameraOn: true,
             };
 
-            room.participants.set(participantId, participant);
+            if (room.waitingRoomEnabled) {
+              // Park the participant until the host decides. ws.roomId stays unset so
+              // none of the in-meeting messages are accepted from them yet.
+              room.waiting.set(participantId, participant);
+              // @ts-ignore
+              ws.waitingRoomId = room.id;
+
+              ws.send(JSON.stringify({ type: "waiting", roomId: room.id }));
+              sendWaitingList(room);
+
+              console.log(`${participant.name} is waiting to join room ${room.id}`);
+              break;
+            }
+
+            admitParticipant(room, participant);
+            break;
+          }
+
+          case "admit-participant":
+          case "deny-participant":
+          case "admit-all": {
             // @ts-ignore
-            ws.roomId = data.roomId;
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
 
-            // Send room info to new participant
-            const existingParticipants = Array.from(room.participants.values())
-              .filter(p => p.id !== participantId)
-              .map(p => ({ id: p.id, name: p.name, isHost: p.isHost }));
+            if (!isModerator(room, participantId)) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the host can do that" }));
+              return;
+            }
 
-            ws.send(JSON.stringify({
-              type: "room-joined",
-              roomId: data.roomId,
-              participantId,
-              isHost: false,
-              participants: existingParticipants,
-            }));
+            const targets = data.type === "admit-all"
+              ? Array.from(room.waiting.values())
+              : [room.waiting.get(data.target)].filter((p): p is Participant => !!p);
 
-            // Notify others about new participant
-            broadcast(room, {
-              type: "participant-joined",
-              participant: { id: participantId, name: data.name, isHost: false },
-            }, participantId);
+            for (const target of targets) {
+              room.waiting.delete(target.id);
+              // @ts-ignore
+              delete target.ws.waitingRoomId;
+
+              if (data.type === "deny-participant") {
+                target.ws.send(JSON.stringify({
+                  type: "admission-denied",
+                  reason: "The host did not let you into this meeting",
+                }));
+                target.ws.close(4003, "Admission denied");
+                console.log(`${target.name} was denied entry to room ${roomId}`);
+              } else {
+                admitParticipant(room, target);
+              }
+            }
 
-            console.log(`${data.name} joined room ${data.roomId}`);
+            sendWaitingList(room);
             break;
           }
 
@@ -243,6 +842,10 @@ const server = serve({
             const room = rooms.get(roomId);
             if (!room) return;
 
+            const participant = room.participants.get(participantId);
+            if (participant && data.mediaType === "audio") participant.isMicOn = !!data.enabled;
+            if (participant && data.mediaType === "video") participant.isCameraOn = !!data.enabled;
+
             broadcast(room, {
               type: "media-state-changed",
               participantId,
@@ -252,6 +855,22 @@ const server = serve({
             break;
           }
 
+          case "video-paused": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            // Sender's bandwidth controller paused/resumed video - per peer in mesh, for everyone via SFU
+            const message = { type: "video-paused", participantId, paused: !!data.paused };
+            if (data.target) {
+              sendTo(room, data.target, message);
+            } else {
+              broadcast(room, message, participantId);
+            }
+            break;
+          }
+
           case "start-screen-share":
           case "stop-screen-share": {
             // @ts-ignore
@@ -259,6 +878,15 @@ const server = serve({
             const room = rooms.get(roomId);
             if (!room) return;
 
+            // A new share starts with a clean slate, and its annotations go when it ends
+            if (data.type === "start-screen-share") {
+              room.screenSharerId = participantId;
+              room.annotations = { enabled: true, items: [] };
+            } else if (room.screenSharerId === participantId) {
+              room.screenSharerId = null;
+              room.annotations = { enabled: true, items: [] };
+            }
+
             broadcast(room, {
               type: data.type,
               participantId,
@@ -273,13 +901,540 @@ const server = serve({
             const room = rooms.get(roomId);
             if (!room) return;
 
+            if (data.type === "recording-started") {
+              const participant = room.participants.get(participantId);
+              if (!participant || !(participant.isHost || participant.canRecord)) {
+                ws.send(JSON.stringify({ type: "error", message: "The host has not allowed you to record" }));
+                return;
+              }
+              room.recorders.add(participantId);
+            } else if (!room.recorders.delete(participantId)) {
+              return;
+            }
+
+            broadcast(room, recordingStatus(room));
+            break;
+          }
+
+          // Participants record on their own device, but only with the host's permission
+          case "request-recording": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            const participant = room.participants.get(participantId);
+            if (!participant || participant.isHost || participant.canRecord) return;
+
+            room.recordingRequests.add(participantId);
+            sendRecordingRequests(room);
+            console.log(`${participant.name} asked to record room ${roomId}`);
+            break;
+          }
+
+          case "set-recording-permission": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            if (room.host?.id !== participantId) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the host can do that" }));
+              return;
+            }
+
+            const target = room.participants.get(data.target);
+            if (!target || target.id === participantId) {
+              ws.send(JSON.stringify({ type: "error", message: "Participant not found" }));
+              return;
+            }
+
+            const allowed = data.allowed === true;
+            const requested = room.recordingRequests.delete(target.id);
+            // Answers a request, or tells them their permission changed (a revoke ends their recording)
+            if (allowed || target.canRecord || requested) {
+              sendTo(room, target.id, { type: "recording-permission", allowed });
+            }
+            target.canRecord = allowed;
+            if (!allowed) room.recorders.delete(target.id);
+
+            sendRecordingRequests(room);
+            broadcast(room, recordingStatus(room));
+            console.log(`${target.name} ${allowed ? "may" : "may not"} record room ${roomId}`);
+            break;
+          }
+
+          case "set-recording-consent": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            if (room.host?.id !== participantId) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the host can do that" }));
+              return;
+            }
+
+            room.recordingConsentRequired = data.required === true;
+            broadcast(room, { type: "recording-consent", required: room.recordingConsentRequired });
+            console.log(`Recording consent ${room.recordingConsentRequired ? "required" : "not required"} in room ${roomId}`);
+            break;
+          }
+
+          case "raise-hand": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            const raised = data.raised === true;
+            if (raised === room.raisedHands.has(participantId)) return;
+
+            if (raised) {
+              room.raisedHands.set(participantId, Date.now());
+            } else {
+              room.raisedHands.delete(participantId);
+            }
+            broadcast(room, handQueue(room));
+            break;
+          }
+
+          // Moderators take someone off the queue (they got to speak), or clear it
+          case "lower-hand":
+          case "clear-hands": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            if (!isModerator(room, participantId)) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the host can do that" }));
+              return;
+            }
+
+            if (data.type === "clear-hands") {
+              if (room.raisedHands.size === 0) return;
+              room.raisedHands.clear();
+            } else if (!room.raisedHands.delete(data.target)) {
+              return;
+            }
+
+            broadcast(room, handQueue(room));
+            break;
+          }
+
+          // Moderators put one participant in everyone's main tile (null clears it)
+          case "set-spotlight": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            if (!isModerator(room, participantId)) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the host can do that" }));
+              return;
+            }
+
+            const target = data.target ? room.participants.get(data.target) : null;
+            if (data.target && !target) {
+              ws.send(JSON.stringify({ type: "error", message: "Participant not found" }));
+              return;
+            }
+
+            room.spotlightId = target ? target.id : null;
+            broadcast(room, { type: "spotlight", participantId: room.spotlightId });
+            console.log(target ? `${target.name} spotlighted in room ${roomId}` : `Spotlight cleared in room ${roomId}`);
+            break;
+          }
+
+          case "reaction": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            const participant = room.participants.get(participantId);
+            if (!participant || !REACTIONS.includes(data.emoji)) return;
+
+            const now = Date.now();
+            if (now - participant.lastReactionAt < REACTION_INTERVAL_MS) return;
+            participant.lastReactionAt = now;
+
+            broadcast(room, { type: "reaction", participantId, emoji: data.emoji }, participantId);
+            break;
+          }
+
+          // Anyone may open the whiteboard; whoever opened it or a moderator closes it for everyone
+          case "whiteboard-open":
+          case "whiteboard-close": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            const board = room.whiteboard;
+            const open = data.type === "whiteboard-open";
+            if (open === board.open) return;
+
+            if (!open && board.ownerId !== participantId && !isModerator(room, participantId)) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the host or whoever opened the whiteboard can close it" }));
+              return;
+            }
+
+            board.open = open;
+            board.ownerId = open ? participantId : null;
+            broadcast(room, whiteboardState(room));
+            console.log(`Whiteboard ${open ? "opened" : "closed"} in room ${roomId}`);
+            break;
+          }
+
+          case "whiteboard-item": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            const item = room.whiteboard.open ? parseDrawingItem(data.item, participantId, WHITEBOARD_AREA) : null;
+            if (!item) {
+              ws.send(JSON.stringify(drawingRejection("whiteboard-reject", data)));
+              return;
+            }
+
+            // Resent after a reconnect, but the first copy made it
+            const items = room.whiteboard.items;
+            if (items.some(existing => existing.id === item.id)) return;
+
+            if (items.length >= MAX_WHITEBOARD_ITEMS) {
+              ws.send(JSON.stringify(drawingRejection("whiteboard-reject", data, "The whiteboard is full - clear it to keep drawing")));
+              return;
+            }
+
+            items.push(item);
+            // Echo back to the sender too, so every client stacks the items in the same order
+            broadcast(room, { type: "whiteboard-item", item });
+            break;
+          }
+
+          // Takes back the sender's own latest item, never someone else's
+          case "whiteboard-undo": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room || !room.whiteboard.open) return;
+
+            const items = room.whiteboard.items;
+            const index = items.findLastIndex(item => item.authorId === participantId);
+            if (index === -1) return;
+
+            const [item] = items.splice(index, 1);
+            broadcast(room, { type: "whiteboard-remove", id: item.id });
+            break;
+          }
+
+          case "whiteboard-clear": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            if (room.whiteboard.ownerId !== participantId && !isModerator(room, participantId)) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the host or whoever opened the whiteboard can clear it" }));
+              return;
+            }
+
+            room.whiteboard.items = [];
+            broadcast(room, whiteboardState(room));
+            break;
+          }
+
+          // Drawn over the shared screen by the presenter, or by anyone while annotations are on
+          case "annotation-item": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            // Also refused once the share ended or the presenter turned viewers off
+            const mayDraw = !!room.screenSharerId && (room.annotations.enabled || room.screenSharerId === participantId);
+            const item = mayDraw ? parseDrawingItem(data.item, participantId, ANNOTATION_AREA) : null;
+            if (!item) {
+              ws.send(JSON.stringify(drawingRejection("annotation-reject", data)));
+              return;
+            }
+
+            const items = room.annotations.items;
+            if (items.some(existing => existing.id === item.id)) return;
+
+            if (items.length >= MAX_ANNOTATION_ITEMS) {
+              ws.send(JSON.stringify(drawingRejection("annotation-reject", data, "Too many annotations - clear them to keep drawing")));
+              return;
+            }
+
+            items.push(item);
+            broadcast(room, { type: "annotation-item", item });
+            break;
+          }
+
+          case "annotation-undo": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            const items = room.annotations.items;
+            const index = items.findLastIndex(item => item.authorId === participantId);
+            if (index === -1) return;
+
+            const [item] = items.splice(index, 1);
+            broadcast(room, { type: "annotation-remove", id: item.id });
+            break;
+          }
+
+          // The presenter (or a moderator) wipes the annotations, or turns them off for viewers
+          case "annotation-clear":
+          case "set-annotations": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room || !room.screenSharerId) return;
+
+            if (room.screenSharerId !== participantId && !isModerator(room, participantId)) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the presenter can do that" }));
+              return;
+            }
+
+            if (data.type === "annotation-clear") {
+              room.annotations.items = [];
+            } else {
+              room.annotations.enabled = data.enabled === true;
+            }
+            broadcast(room, annotationState(room));
+            break;
+          }
+
+          // Laser pointer - relayed as it moves, never stored. x = null hides it.
+          case "annotation-pointer": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room || !room.screenSharerId) return;
+
+            const participant = room.participants.get(participantId);
+            if (!participant) return;
+            if (!room.annotations.enabled && room.screenSharerId !== participantId) return;
+
+            if (data.x === null) {
+              broadcast(room, { type: "annotation-pointer", participantId, x: null, y: null }, participantId);
+              return;
+            }
+
+            const inArea = [data.x, data.y].every(value => typeof value === "number" && value >= 0 && value <= ANNOTATION_SCALE);
+            if (!inArea) return;
+
+            const now = Date.now();
+            if (now - participant.lastPointerAt < POINTER_INTERVAL_MS) return;
+            participant.lastPointerAt = now;
+
             broadcast(room, {
-              type: data.type,
+              type: "annotation-pointer",
               participantId,
+              x: Math.round(data.x),
+              y: Math.round(data.y),
             }, participantId);
             break;
           }
 
+          // The host streams each recording file to the server while it runs.
+          // `key` is the client's own handle so several files can be created at once.
+          case "create-recording": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room || room.host?.id !== participantId) return;
+
+            const key = String(data.key ?? "").slice(0, 64);
+            const mimeType = typeof data.mimeType === "string" ? data.mimeType.slice(0, 100) : "video/webm";
+            const session = {
+              sessionId: typeof data.sessionId === "string" ? data.sessionId.replace(/[^\w-]/g, "").slice(0, 64) : undefined,
+              label: typeof data.label === "string" ? data.label.slice(0, 100) : undefined,
+            };
+            createRecording(roomId, participantId, room.host.name, mimeType, room.recordingKey, session)
+              .then((upload) => sendTo(room, participantId, { type: "recording-upload", key, ...upload }))
+              .catch((e) => {
+                console.error("Error creating recording:", e);
+                sendTo(room, participantId, { type: "recording-upload", key, error: "Could not create recording file" });
+              });
+            break;
+          }
+
+          case "chat-message": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            const sender = room.participants.get(participantId);
+            const text = typeof data.text === "string" ? data.text.trim().slice(0, MAX_CHAT_LENGTH) : "";
+            if (!sender || !text) return;
+
+            const chatMessage: ChatMessage = {
+              id: crypto.randomUUID(),
+              senderId: participantId,
+              senderName: sender.name,
+              text,
+              timestamp: Date.now(),
+            };
+
+            if (data.target) {
+              // Direct message - only the target and the sender see it, never stored in history
+              const target = room.participants.get(data.target);
+              if (!target) {
+                ws.send(JSON.stringify({ type: "error", message: "Participant not found" }));
+                return;
+              }
+
+              chatMessage.targetId = target.id;
+              chatMessage.targetName = target.name;
+
+              sendTo(room, target.id, { type: "chat-message", message: chatMessage });
+              sendTo(room, participantId, { type: "chat-message", message: chatMessage });
+              break;
+            }
+
+            room.chatHistory.push(chatMessage);
+            if (room.chatHistory.length > MAX_CHAT_HISTORY) {
+              room.chatHistory.shift();
+            }
+
+            // Echo back to the sender too so every client renders the server's copy
+            broadcast(room, { type: "chat-message", message: chatMessage });
+            break;
+          }
+
+          case "host-mute":
+          case "host-disable-camera":
+          case "host-stop-share":
+          case "host-remove": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            // Only the host and co-hosts may moderate
+            if (!isModerator(room, participantId)) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the host can do that" }));
+              return;
+            }
+
+            const target = room.participants.get(data.target);
+            if (!target || target.id === participantId) {
+              ws.send(JSON.stringify({ type: "error", message: "Participant not found" }));
+              return;
+            }
+
+            if (target.isHost) {
+              ws.send(JSON.stringify({ type: "error", message: "The host cannot be moderated" }));
+              return;
+            }
+
+            if (data.type !== "host-remove") {
+              sendTo(room, target.id, { type: data.type, from: participantId });
+              console.log(`Host applied ${data.type} to ${target.name} in room ${roomId}`);
+              break;
+            }
+
+            // Remove the participant and make sure they cannot come back with their old ID
+            const timeout = disconnectionTimeouts.get(target.id);
+            if (timeout) {
+              clearTimeout(timeout);
+              disconnectionTimeouts.delete(target.id);
+            }
+
+            sendTo(room, target.id, {
+              type: "removed-from-room",
+              reason: "You were removed from this meeting by the host",
+            });
+
+            room.removedIds.add(target.id);
+            removeParticipant(room, target.id);
+            if (target.ws.readyState === WebSocket.OPEN) {
+              target.ws.close(4001, "Removed by host");
+            }
+
+            console.log(`${target.name} removed from room ${roomId} by host`);
+            break;
+          }
+
+          case "make-host":
+          case "make-co-host": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            if (room.host?.id !== participantId) {
+              ws.send(JSON.stringify({ type: "error", message: "Only the host can do that" }));
+              return;
+            }
+
+            const target = room.participants.get(data.target);
+            if (!target || target.id === participantId) {
+              ws.send(JSON.stringify({ type: "error", message: "Participant not found" }));
+              return;
+            }
+
+            if (data.type === "make-host") {
+              transferHost(room, target);
+            } else {
+              target.isCoHost = data.enabled !== false;
+              broadcastRole(room, target);
+              if (target.isCoHost) sendWaitingList(room);
+              console.log(`${target.name} is ${target.isCoHost ? "now" : "no longer"} a co-host of room ${roomId}`);
+            }
+            break;
+          }
+
+          case "sfu-join":
+          case "sfu-publish-offer":
+          case "sfu-subscribe-answer":
+          case "sfu-ice":
+          case "sfu-set-layer": {
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room || room.topology !== "sfu") return;
+
+            let pending: Promise<void> | undefined;
+            if (data.type === "sfu-join") {
+              joinSfu(roomId, participantId, (id, message) => sendTo(room, id, message));
+            } else if (data.type === "sfu-publish-offer") {
+              pending = handlePublishOffer(roomId, participantId, data.sdp, data.sources || {});
+            } else if (data.type === "sfu-subscribe-answer") {
+              pending = handleSubscribeAnswer(roomId, participantId, data.sdp);
+            } else if (data.type === "sfu-set-layer") {
+              setPreferredLayer(roomId, participantId, data.participantId, data.layer);
+            } else {
+              pending = handleIceCandidate(roomId, participantId, data.target, data.candidate);
+            }
+
+            pending?.catch((e) => console.error(`SFU: error handling ${data.type}:`, e));
+            break;
+          }
+
+          case "leave-room": {
+            // Intentional leave - skip the reconnection grace period
+            // @ts-ignore
+            const roomId = ws.roomId as string;
+            const room = rooms.get(roomId);
+            if (!room) return;
+
+            // @ts-ignore
+            ws.roomId = undefined;
+            removeParticipant(room, participantId);
+            console.log(`Participant ${participantId} left room ${roomId}`);
+            break;
+          }
+
           case "ping": {
             ws.send(JSON.stringify({ type: "pong" }));
             break;
@@ -295,36 +1450,41 @@ const server = serve({
       const roomId = ws.roomId as string;
       // @ts-ignore
       const participantId = ws.participantId as string;
+      // @ts-ignore
+      const waitingRoomId = ws.waitingRoomId as string;
+
+      // Gave up while still in the waiting room
+      if (waitingRoomId) {
+        const room = rooms.get(waitingRoomId);
+        if (room && room.waiting.delete(participantId)) {
+          sendWaitingList(room);
+        }
+        return;
+      }
 
       if (roomId && participantId) {
         const room = rooms.get(roomId);
         if (room) {
           const participant = room.participants.get(participantId);
+          if (!participant) return; // Already removed (e.g. kicked by the host)
+          if (participant.ws !== (ws as unknown as WebSocket)) return; // Old socket of someone who already reconnected
 
-          if (participant?.isHost) {
-            // Host left, close room immediately
-            broadcast(room, { type: "room-closed" });
-            rooms.delete(roomId);
-            console.log(`Room ${roomId} closed (host left)`);
-          } else {
-            // Participant disconnected - wait for reconnection
-            console.log(`Participant ${participantId} disconnected, waiting for reconnection...`);
-
-            const timeout = setTimeout(() => {
-              const r = rooms.get(roomId);
-              if (r) {
-                r.participants.delete(participantId);
-                broadcast(r, {
-                  type: "participant-left",
-                  participantId,
-                });
-                console.log(`Participant ${participantId} removed after timeout`);
-              }
-              disconnectionTimeouts.delete(participantId);
-            }, 30000); // 30 seconds grace period
+          // Disconnected (host included) - keep the seat for a while in case they come back
+          console.log(`${participant.isHost ? "Host" : "Participant"} ${participantId} disconnected, waiting for reconnection...`);
 
-            disconnectionTimeouts.set(participantId, timeout);
-          }
+          const timeout = setTimeout(() => {
+            disconnectionTimeouts.delete(participantId);
+            const r = rooms.get(roomId);
+            if (r) {
+              removeParticipant(r, participantId);
+              console.log(`Participant ${participantId} removed after timeout`);
+            }
+          }, RECONNECT_GRACE_MS);
+
+          disconnectionTimeouts.set(participantId, timeout);
+
+          // Shown as "reconnecting" until participant-reconnected or participant-left
+          broadcast(room, { type: "participant-disconnected", participantId }, participantId);
         }
       }
     },
@@ -0,0 +1,456 @@
+/**
+ * Zoom Lite Offline - Selective Forwarding Unit
+ * Each client publishes its tracks once to the server, which forwards the RTP
+ * packets to every other participant. Built on werift (pure TypeScript WebRTC).
+ *
+ * Cameras are published as simulcast (several resolutions of the same video).
+ * Each subscriber picks a layer per publisher, and the server only switches
+ * layers on a keyframe so the picture never breaks up.
+ */
+
+import {
+  RTCPeerConnection,
+  MediaStreamTrack,
+  RTCRtpTransceiver,
+  RtcpPayloadSpecificFeedback,
+  RtpHeader,
+  RtpPacket,
+  Vp8RtpPayload,
+  useOPUS,
+  useVP8,
+  useSdesMid,
+  useSdesRTPStreamId,
+} from "werift";
+
+type Source = "camera" | "screen";
+type Layer = (typeof SIMULCAST_LAYERS)[number];
+type SendFn = (participantId: string, message: object) => void;
+
+// A track a participant publishes to the server
+interface PublishedTrack {
+  key: string; // `${participantId}:${mid}`
+  participantId: string;
+  source: Source;
+  kind: "audio" | "video";
+  track: MediaStreamTrack;
+  layers: Map<string, MediaStreamTrack>; // rid -> track, or a single "" entry without simulcast
+  layerActivity: Map<string, number>;    // rid -> last packet time (the browser pauses layers it can't afford)
+  transceiver: RTCRtpTransceiver;
+  subscribers: Map<string, ForwardedTrack>; // subscriberId -> forwarded track
+  lastKeyframeRequest: Map<string, number>; // rid -> time
+}
+
+// A track the server forwards to a subscriber
+interface ForwardedTrack {
+  published: PublishedTrack;
+  track: MediaStreamTrack;
+  transceiver: RTCRtpTransceiver;
+  layer: Layer;               // Layer the subscriber asked for
+  currentLayer: string | null; // Layer being forwarded right now (null until the first keyframe)
+}
+
+interface SfuPeer {
+  participantId: string;
+  publishPc: RTCPeerConnection | null;   // Client offers, server answers
+  subscribePc: RTCPeerConnection | null; // Server offers, client answers
+  published: Map<string, PublishedTrack>; // mid -> track
+  forwarded: Map<string, ForwardedTrack>; // published key -> forwarded track
+  sources: Record<string, Source>; // mid -> source, from the client's latest publish offer
+  layerPrefs: Map<string, Layer>;  // publisherId -> layer this subscriber wants
+  negotiating: boolean;
+  renegotiate: boolean;
+}
+
+interface SfuRoom {
+  id: string;
+  peers: Map<string, SfuPeer>;
+  send: SendFn;
+}
+
+// Every browser supports VP8 + Opus, so both legs negotiate the same codecs
+// and RTP can be forwarded without transcoding.
+const CODECS = {
+  audio: [useOPUS()],
+  video: [useVP8()],
+};
+
+// Simulcast rids, lowest resolution first - must match CONFIG.simulcastLayers in main.js
+const SIMULCAST_LAYERS = ["low", "mid", "high"] as const;
+const DEFAULT_LAYER: Layer = "mid";
+const LAYER_INACTIVE_MS = 1000; // A layer without packets for this long is treated as paused
+
+const KEYFRAME_REQUEST_INTERVAL_MS = 1000;
+const VIDEO_FRAME_TICKS = 3000; // 90 kHz RTP clock at 30 fps
+
+// Media (UDP) ports used by the SFU - open these in the firewall (see README)
+const ICE_PORT_RANGE: [number, number] = [40000, 40999];
+
+const sfuRooms = new Map<string, SfuRoom>();
+
+function getPeer(roomId: string, participantId: string): SfuPeer | undefined {
+  return sfuRooms.get(roomId)?.peers.get(participantId);
+}
+
+/**
+ * Register a participant with the room's SFU and subscribe them to everything
+ * that is already being published.
+ */
+export function joinSfu(roomId: string, participantId: string, send: SendFn) {
+  let room = sfuRooms.get(roomId);
+  if (!room) {
+    room = { id: roomId, peers: new Map(), send };
+    sfuRooms.set(roomId, room);
+  }
+
+  // Rejoining (e.g. after a client-side reset) starts from a clean slate
+  if (room.peers.has(participantId)) {
+    leaveSfu(roomId, participantId);
+  }
+
+  const peer: SfuPeer = {
+    participantId,
+    publishPc: null,
+    subscribePc: null,
+    published: new Map(),
+    forwarded: new Map(),
+    sources: {},
+    layerPrefs: new Map(),
+    negotiating: false,
+    renegotiate: false,
+  };
+  room.peers.set(participantId, peer);
+
+  room.peers.forEach((other) => {
+    if (other === peer) return;
+    other.published.forEach((published) => addForward(peer, published));
+  });
+
+  // Nothing to receive yet - the first publish triggers the offer
+  if (peer.forwarded.size > 0) {
+    negotiateSubscriber(room, peer);
+  }
+  console.log(`SFU: ${participantId} joined room ${roomId}`);
+}
+
+export function leaveSfu(roomId: string, participantId: string) {
+  const room = sfuRooms.get(roomId);
+  const peer = room?.peers.get(participantId);
+  if (!room || !peer) return;
+
+  peer.published.forEach((published) => unpublish(room, peer, published));
+  room.peers.delete(participantId);
+
+  peer.publishPc?.close();
+  peer.subscribePc?.close();
+
+  if (room.peers.size === 0) {
+    sfuRooms.delete(roomId);
+  }
+}
+
+export function closeSfuRoom(roomId: string) {
+  const room = sfuRooms.get(roomId);
+  if (!room) return;
+
+  Array.from(room.peers.keys()).forEach((participantId) => leaveSfu(roomId, participantId));
+  sfuRooms.delete(roomId);
+  console.log(`SFU: room ${roomId} closed`);
+}
+
+/**
+ * The client (re)negotiated its publishing connection.
+ * `sources` maps each sending mid to "camera" or "screen".
+ */
+export async function handlePublishOffer(roomId: string, participantId: string, sdp: string, sources: Record<string, Source>) {
+  const room = sfuRooms.get(roomId);
+  const peer = room?.peers.get(participantId);
+  if (!room || !peer) return;
+
+  if (!peer.publishPc) {
+    peer.publishPc = createPublishPc(room, peer);
+  }
+  const pc = peer.publishPc;
+  peer.sources = sources;
+
+  await pc.setRemoteDescription({ type: "offer", sdp });
+  await pc.setLocalDescription(await pc.createAnswer());
+
+  room.send(participantId, {
+    type: "sfu-publish-answer",
+    sdp: pc.localDescription!.sdp,
+  });
+
+  // Anything no longer announced (e.g. screen share stopped) is unpublished
+  peer.published.forEach((published, mid) => {
+    if (!sources[mid]) unpublish(room, peer, published);
+  });
+}
+
+export async function handleSubscribeAnswer(roomId: string, participantId: string, sdp: string) {
+  const room = sfuRooms.get(roomId);
+  const peer = room?.peers.get(participantId);
+  if (!room || !peer || !peer.subscribePc) return;
+
+  await peer.subscribePc.setRemoteDescription({ type: "answer", sdp });
+  peer.negotiating = false;
+
+  // Give the new subscriber a picture right away instead of waiting for the next keyframe
+  peer.forwarded.forEach((forwarded) => {
+    requestKeyframe(forwarded.published, pickLayer(forwarded.published, forwarded.layer));
+  });
+
+  if (peer.renegotiate) {
+    peer.renegotiate = false;
+    negotiateSubscriber(room, peer);
+  }
+}
+
+export async function handleIceCandidate(roomId: string, participantId: string, target: "publish" | "subscribe", candidate: any) {
+  const peer = getPeer(roomId, participantId);
+  const pc = target === "publish" ? peer?.publishPc : peer?.subscribePc;
+  if (!pc || !candidate) return;
+
+  await pc.addIceCandidate(candidate);
+}
+
+/**
+ * A subscriber chose which simulcast layer it wants from a publisher's camera
+ * (based on tile size and its own connection quality)
+ */
+export function setPreferredLayer(roomId: string, participantId: string, publisherId: string, layer: string) {
+  const peer = getPeer(roomId, participantId);
+  if (!peer || !SIMULCAST_LAYERS.includes(layer as Layer)) return;
+
+  peer.layerPrefs.set(publisherId, layer as Layer);
+  peer.forwarded.forEach((forwarded) => {
+    if (forwarded.published.participantId === publisherId) {
+      forwarded.layer = layer as Layer;
+    }
+  });
+}
+
+function createPublishPc(room: SfuRoom, peer: SfuPeer): RTCPeerConnection {
+  const pc = new RTCPeerConnection({
+    codecs: CODECS,
+    icePortRange: ICE_PORT_RANGE,
+    // mid + rid tell the server which simulcast layer each packet belongs to
+    headerExtensions: { video: [useSdesMid(), useSdesRTPStreamId()] },
+  });
+
+  pc.onTrack.subscribe((track) => {
+    const transceiver = pc.getTransceivers().find((t) => t.receiver.tracks.includes(track));
+    if (!transceiver || !transceiver.mid) return;
+
+    // werift fires onTrack again for existing transceivers on every renegotiation
+    const existing = peer.published.get(transceiver.mid);
+    if (existing?.track === track) return;
+    if (existing) unpublish(room, peer, existing);
+
+    // Simulcast tracks come with one receiver track per rid
+    const ridTracks = transceiver.receiver.tracks.filter((t) => t.rid);
+    const layers = ridTracks.length > 0
+      ? new Map(ridTracks.map((t) => [t.rid!, t]))
+      : new Map([["", track]]);
+
+    const source = peer.sources[transceiver.mid] || "camera";
+    const published: PublishedTrack = {
+      key: `${peer.participantId}:${transceiver.mid}`,
+      participantId: peer.participantId,
+      source,
+      kind: track.kind as "audio" | "video",
+      track,
+      layers,
+      layerActivity: new Map(),
+      transceiver,
+      subscribers: new Map(),
+      lastKeyframeRequest: new Map(),
+    };
+    peer.published.set(transceiver.mid, published);
+
+    layers.forEach((layerTrack, layer) => {
+      layerTrack.onReceiveRtp.subscribe((rtp) => forwardRtp(published, layer, rtp));
+    });
+
+    // Forward to everyone else in the room
+    room.peers.forEach((other) => {
+      if (other === peer) return;
+      addForward(other, published);
+      negotiateSubscriber(room, other);
+    });
+
+    const simulcast = ridTracks.length > 0 ? ` (simulcast: ${Array.from(layers.keys()).join(", ")})` : "";
+    console.log(`SFU: ${peer.participantId} published ${source} ${track.kind}${simulcast}`);
+  });
+
+  return pc;
+}
+
+function createSubscribePc(peer: SfuPeer): RTCPeerConnection {
+  const pc = new RTCPeerConnection({ codecs: CODECS, icePortRange: ICE_PORT_RANGE });
+  peer.subscribePc = pc;
+  return pc;
+}
+
+function addForward(subscriber: SfuPeer, published: PublishedTrack) {
+  if (subscriber.forwarded.has(published.key)) return;
+
+  const pc = subscriber.subscribePc || createSubscribePc(subscriber);
+  const track = new MediaStreamTrack({ kind: published.kind });
+  const transceiver = pc.addTransceiver(track, { direction: "sendonly" });
+
+  const forwarded: ForwardedTrack = {
+    published,
+    track,
+    transceiver,
+    layer: subscriber.layerPrefs.get(published.participantId) || DEFAULT_LAYER,
+    currentLayer: null,
+  };
+
+  // Subscribers ask for keyframes (PLI) when they lose the picture - pass it on to the publisher
+  transceiver.sender.onRtcp.subscribe((rtcp) => {
+    if (rtcp.type !== RtcpPayloadSpecificFeedback.type) return;
+    requestKeyframe(published, forwarded.currentLayer ?? pickLayer(published, forwarded.layer));
+  });
+
+  subscriber.forwarded.set(published.key, forwarded);
+  published.subscribers.set(subscriber.participantId, forwarded);
+}
+
+function removeForward(subscriber: SfuPeer, published: PublishedTrack) {
+  const forwarded = subscriber.forwarded.get(published.key);
+  if (!forwarded) return;
+
+  published.subscribers.delete(subscriber.participantId);
+  subscriber.forwarded.delete(published.key);
+  forwarded.track.stop();
+  subscriber.subscribePc?.removeTrack(forwarded.transceiver.sender);
+}
+
+function unpublish(room: SfuRoom, peer: SfuPeer, published: PublishedTrack) {
+  peer.published.forEach((p, mid) => {
+    if (p === published) peer.published.delete(mid);
+  });
+
+  room.peers.forEach((other) => {
+    if (!other.forwarded.has(published.key)) return;
+    removeForward(other, published);
+    negotiateSubscriber(room, other);
+  });
+
+  console.log(`SFU: ${peer.participantId} unpublished ${published.source} ${published.kind}`);
+}
+
+/**
+ * Send a fresh offer for the subscriber connection. Offers are serialized:
+ * changes made while waiting for an answer trigger one more round afterwards.
+ */
+async function negotiateSubscriber(room: SfuRoom, peer: SfuPeer) {
+  if (peer.negotiating) {
+    peer.renegotiate = true;
+    return;
+  }
+
+  const pc = peer.subscribePc || createSubscribePc(peer);
+  peer.negotiating = true;
+
+  try {
+    await pc.setLocalDescription(await pc.createOffer());
+
+    // Tell the client who each mid belongs to
+    const tracks = Array.from(peer.forwarded.values()).map((forwarded) => ({
+      mid: forwarded.transceiver.mid,
+      participantId: forwarded.published.participantId,
+      source: forwarded.published.source,
+      kind: forwarded.published.kind,
+    }));
+
+    room.send(peer.participantId, {
+      type: "sfu-subscribe-offer",
+      sdp: pc.localDescription!.sdp,
+      tracks,
+    });
+  } catch (e) {
+    peer.negotiating = false;
+    console.error("SFU: error negotiating subscriber:", e);
+  }
+}
+
+function forwardRtp(published: PublishedTrack, layer: string, rtp: RtpPacket) {
+  published.layerActivity.set(layer, Date.now());
+
+  let keyframe: boolean | undefined;
+  let packet: Buffer | undefined;
+
+  published.subscribers.forEach((forwarded) => {
+    const target = pickLayer(published, forwarded.layer);
+
+    if (layer === target && target !== forwarded.currentLayer) {
+      keyframe ??= isKeyframe(published, rtp);
+      if (keyframe) {
+        switchLayer(forwarded, layer, rtp.header);
+      } else {
+        requestKeyframe(published, target);
+      }
+    }
+
+    if (layer !== forwarded.currentLayer) return;
+
+    // Every sender rewrites the header in place, so each one gets its own copy
+    packet ??= rtp.serialize();
+    forwarded.track.writeRtp(packet);
+  });
+}
+
+function switchLayer(forwarded: ForwardedTrack, layer: string, header: RtpHeader) {
+  if (forwarded.currentLayer !== null) {
+    // Layers have their own sequence numbers and timestamps - make the new one continue
+    // right after the last forwarded packet so the subscriber sees a single stream
+    forwarded.track.onSourceChanged.execute(new RtpHeader({
+      sequenceNumber: (header.sequenceNumber + 0xffff) & 0xffff,
+      timestamp: (header.timestamp - VIDEO_FRAME_TICKS) >>> 0,
+    }));
+  }
+  forwarded.currentLayer = layer;
+}
+
+/**
+ * The layer closest to the wanted one (preferring lower) that is actually being sent
+ */
+function pickLayer(published: PublishedTrack, wanted: Layer): string {
+  if (published.layers.has("")) return "";
+
+  const now = Date.now();
+  const isActive = (layer: string) => published.layers.has(layer) &&
+    now - (published.layerActivity.get(layer) ?? 0) < LAYER_INACTIVE_MS;
+  const index = SIMULCAST_LAYERS.indexOf(wanted);
+
+  for (let i = index; i >= 0; i--) {
+    if (isActive(SIMULCAST_LAYERS[i])) return SIMULCAST_LAYERS[i];
+  }
+  for (let i = index + 1; i < SIMULCAST_LAYERS.length; i++) {
+    if (isActive(SIMULCAST_LAYERS[i])) return SIMULCAST_LAYERS[i];
+  }
+  return wanted;
+}
+
+function isKeyframe(published: PublishedTrack, rtp: RtpPacket): boolean {
+  if (published.kind === "audio") return true;
+
+  try {
+    return Vp8RtpPayload.deSerialize(rtp.payload).isKeyframe;
+  } catch {
+    return false; // Padding-only packets (bandwidth probes) have no VP8 descriptor
+  }
+}
+
+function requestKeyframe(published: PublishedTrack, layer: string) {
+  const track = published.layers.get(layer);
+  const ssrc = track?.ssrc ?? track?.header?.ssrc;
+  if (published.kind !== "video" || !ssrc) return;
+
+  const now = Date.now();
+  if (now - (published.lastKeyframeRequest.get(layer) ?? 0) < KEYFRAME_REQUEST_INTERVAL_MS) return;
+  published.lastKeyframeRequest.set(layer, now);
+
+  published.transceiver.receiver.sendRtcpPLI(ssrc).catch(() => { });
+}
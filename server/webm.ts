@@ -0,0 +1,787 @@
+/**
+ * Zoom Lite Offline - Recording post-processing
+ * MediaRecorder writes WebM as a live stream: no duration, no Cues index and
+ * clusters of unknown size, so players can't seek in it. fixWebm() rewrites a
+ * finished recording with a real duration, sizes and a Cues index.
+ *
+ * remuxToMp4() turns the same file into fragmented MP4 (one fragment per
+ * cluster) for editors that refuse WebM. Samples are copied, not transcoded.
+ *
+ * Both stream the clusters through, so a two-hour recording never sits in memory.
+ */
+
+import { open, rename, unlink, type FileHandle } from "fs/promises";
+
+// Matroska element IDs (marker bits included, as written in the file)
+const ID = {
+  EBML: 0x1a45dfa3,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Audio: 0xe1,
+  SamplingFrequency: 0xb5,
+  Channels: 0x9f,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  ReferenceBlock: 0xfb,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+  Void: 0xec,
+  CRC32: 0xbf,
+} as const;
+
+// Elements that end a cluster of unknown size
+const TOP_LEVEL_IDS = new Set<number>([
+  ID.EBML, ID.Segment, ID.SeekHead, ID.Info, ID.Tracks, ID.Cluster, ID.Cues,
+  0x1254c367, // Tags
+  0x1043a770, // Chapters
+  0x1941a469, // Attachments
+]);
+
+const READ_WINDOW = 1024 * 1024;
+const TRACK_TYPE_VIDEO = 1;
+const TRACK_TYPE_AUDIO = 2;
+
+interface Reader {
+  handle: FileHandle;
+  size: number;
+  buffer: Buffer;
+  start: number; // File offset of buffer[0]
+  end: number;
+}
+
+interface ElementHeader {
+  id: number;
+  size: number | null; // null = unknown size (live stream)
+  dataStart: number;
+}
+
+interface Track {
+  number: number;
+  type: number;
+  codecId: string;
+  codecPrivate: Buffer | null;
+  defaultDuration: number | null; // Nanoseconds per frame - MediaRecorder usually leaves it out
+  width: number;
+  height: number;
+  sampleRate: number;
+  channels: number;
+}
+
+interface BlockInfo {
+  track: number;
+  time: number; // Absolute, in TimecodeScale units
+  keyframe: boolean;
+  dataOffset: number; // Frame data in the file (block header skipped)
+  dataLength: number;
+}
+
+interface ClusterInfo {
+  dataStart: number;
+  dataEnd: number;
+  cueTime: number | null; // First keyframe, if the cluster has one
+}
+
+interface WebmLayout {
+  header: Buffer; // EBML header element, copied as is
+  info: Buffer;   // Info element data
+  tracksData: Buffer;
+  tracks: Track[];
+  extras: Buffer[]; // Other small top-level elements (tags, chapters), copied as is
+  clusters: ClusterInfo[];
+  timecodeScale: number; // Nanoseconds per timecode unit
+  duration: number;      // In TimecodeScale units
+}
+
+// ============================================
+// Reading
+// ============================================
+
+async function openReader(path: string): Promise<Reader> {
+  const handle = await open(path, "r");
+  const { size } = await handle.stat();
+  return { handle, size, buffer: Buffer.alloc(READ_WINDOW), start: 0, end: 0 };
+}
+
+// Up to `length` (<= READ_WINDOW) bytes at `pos`, fewer at the end of the file
+async function bytesAt(reader: Reader, pos: number, length: number): Promise<Buffer> {
+  if (pos < reader.start || pos + length > reader.end) {
+    const { bytesRead } = await reader.handle.read(reader.buffer, 0, READ_WINDOW, pos);
+    reader.start = pos;
+    reader.end = pos + bytesRead;
+  }
+  return reader.buffer.subarray(pos - reader.start, Math.min(pos + length, reader.end) - reader.start);
+}
+
+async function readRange(reader: Reader, pos: number, length: number): Promise<Buffer> {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await reader.handle.read(buffer, 0, length, pos);
+  return buffer.subarray(0, bytesRead);
+}
+
+function vintLength(firstByte: number): number {
+  for (let length = 1; length <= 8; length++) {
+    if (firstByte & (0x80 >> (length - 1))) return length;
+  }
+  return 0;
+}
+
+function readId(buf: Buffer, offset: number): { id: number; length: number } | null {
+  const length = vintLength(buf[offset]);
+  if (length === 0 || length > 4 || offset + length > buf.length) return null;
+  let id = 0;
+  for (let i = 0; i < length; i++) id = id * 256 + buf[offset + i];
+  return { id, length };
+}
+
+function readVint(buf: Buffer, offset: number): { value: number | null; length: number } | null {
+  const length = vintLength(buf[offset]);
+  if (length === 0 || offset + length > buf.length) return null;
+  let value = buf[offset] & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buf[offset + i];
+    allOnes = allOnes && buf[offset + i] === 0xff;
+  }
+  return { value: allOnes ? null : value, length };
+}
+
+async function readHeader(reader: Reader, pos: number): Promise<ElementHeader | null> {
+  const buf = await bytesAt(reader, pos, 12);
+  if (buf.length < 2) return null;
+  const id = readId(buf, 0);
+  if (!id) return null;
+  const size = readVint(buf, id.length);
+  if (!size) return null;
+  return { id: id.id, size: size.value, dataStart: pos + id.length + size.length };
+}
+
+function readUint(buf: Buffer): number {
+  let value = 0;
+  for (const byte of buf) value = value * 256 + byte;
+  return value;
+}
+
+function readFloat(buf: Buffer): number {
+  return buf.length === 4 ? buf.readFloatBE(0) : buf.readDoubleBE(0);
+}
+
+// Children of an element held in memory
+function children(buf: Buffer): { id: number; data: Buffer; raw: Buffer }[] {
+  const result = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    const id = readId(buf, pos);
+    const size = id && readVint(buf, pos + id.length);
+    if (!id || !size || size.value === null) break;
+    const dataStart = pos + id.length + size.length;
+    const end = dataStart + size.value;
+    if (end > buf.length) break;
+    result.push({ id: id.id, data: buf.subarray(dataStart, end), raw: buf.subarray(pos, end) });
+    pos = end;
+  }
+  return result;
+}
+
+function parseTracks(data: Buffer): Track[] {
+  return children(data)
+    .filter((entry) => entry.id === ID.TrackEntry)
+    .map((entry) => {
+      const track: Track = {
+        number: 0, type: 0, codecId: "", codecPrivate: null, defaultDuration: null,
+        width: 0, height: 0, sampleRate: 48000, channels: 1,
+      };
+      for (const child of children(entry.data)) {
+        if (child.id === ID.TrackNumber) track.number = readUint(child.data);
+        else if (child.id === ID.TrackType) track.type = readUint(child.data);
+        else if (child.id === ID.CodecID) track.codecId = child.data.toString("ascii").replace(/\0+$/, "");
+        else if (child.id === ID.CodecPrivate) track.codecPrivate = Buffer.from(child.data);
+        else if (child.id === ID.DefaultDuration) track.defaultDuration = readUint(child.data);
+        else if (child.id === ID.Video) {
+          for (const v of children(child.data)) {
+            if (v.id === ID.PixelWidth) track.width = readUint(v.data);
+            else if (v.id === ID.PixelHeight) track.height = readUint(v.data);
+          }
+        } else if (child.id === ID.Audio) {
+          for (const a of children(child.data)) {
+            if (a.id === ID.SamplingFrequency) track.sampleRate = readFloat(a.data);
+            else if (a.id === ID.Channels) track.channels = readUint(a.data);
+          }
+        }
+      }
+      return track;
+    });
+}
+
+// Block header: track number (vint), relative timecode (int16), flags
+function parseBlockHeader(buf: Buffer): { track: number; relativeTime: number; flags: number; length: number } | null {
+  const track = readVint(buf, 0);
+  if (!track || track.value === null || buf.length < track.length + 3) return null;
+  return {
+    track: track.value,
+    relativeTime: buf.readInt16BE(track.length),
+    flags: buf[track.length + 2],
+    length: track.length + 3,
+  };
+}
+
+// Walk a cluster's children. `limit` is the end of the cluster, or of the file for
+// clusters of unknown size, which end at the next top-level element. A block cut
+// off by a crash ends the cluster there.
+async function parseCluster(reader: Reader, dataStart: number, limit: number, knownSize: boolean) {
+  const blocks: BlockInfo[] = [];
+  let timecode = 0;
+  let pos = dataStart;
+
+  while (pos < limit) {
+    const header = await readHeader(reader, pos);
+    if (!header || header.size === null) break;
+    if (!knownSize && TOP_LEVEL_IDS.has(header.id)) break;
+
+    const end = header.dataStart + header.size;
+    if (end > limit) break;
+
+    if (header.id === ID.Timecode) {
+      timecode = readUint(await bytesAt(reader, header.dataStart, header.size));
+    } else if (header.id === ID.SimpleBlock) {
+      const block = parseBlockHeader(await bytesAt(reader, header.dataStart, 12));
+      if (block) {
+        blocks.push({
+          track: block.track,
+          time: timecode + block.relativeTime,
+          keyframe: (block.flags & 0x80) !== 0,
+          dataOffset: header.dataStart + block.length,
+          dataLength: header.size - block.length,
+        });
+      }
+    } else if (header.id === ID.BlockGroup && header.size <= READ_WINDOW) {
+      // Only a block without ReferenceBlock is a keyframe
+      const groupData = Buffer.from(await bytesAt(reader, header.dataStart, header.size));
+      const group = children(groupData);
+      const blockElement = group.find((child) => child.id === ID.Block);
+      const block = blockElement && parseBlockHeader(blockElement.data);
+      if (blockElement && block) {
+        const dataOffset = header.dataStart + (blockElement.data.byteOffset - groupData.byteOffset) + block.length;
+        blocks.push({
+          track: block.track,
+          time: timecode + block.relativeTime,
+          keyframe: !group.some((child) => child.id === ID.ReferenceBlock),
+          dataOffset,
+          dataLength: blockElement.data.length - block.length,
+        });
+      }
+    }
+
+    pos = end;
+  }
+
+  return { dataEnd: pos, blocks };
+}
+
+async function scanWebm(reader: Reader): Promise<WebmLayout> {
+  const ebml = await readHeader(reader, 0);
+  if (!ebml || ebml.id !== ID.EBML || ebml.size === null) throw new Error("Not a WebM file");
+  const header = Buffer.from(await readRange(reader, 0, ebml.dataStart + ebml.size));
+
+  const segment = await readHeader(reader, ebml.dataStart + ebml.size);
+  if (!segment || segment.id !== ID.Segment) throw new Error("No Segment element");
+  const segmentEnd = segment.size === null ? reader.size : Math.min(reader.size, segment.dataStart + segment.size);
+
+  const layout: WebmLayout = {
+    header,
+    info: Buffer.alloc(0),
+    tracksData: Buffer.alloc(0),
+    tracks: [],
+    extras: [],
+    clusters: [],
+    timecodeScale: 1000000,
+    duration: 0,
+  };
+  let videoTrack: number | null = null;
+  const lastTimes = new Map<number, { last: number; previous: number | null }>(); // track -> its last two block times
+
+  let pos = segment.dataStart;
+  while (pos < segmentEnd) {
+    const element = await readHeader(reader, pos);
+    if (!element) break;
+
+    if (element.id === ID.Cluster) {
+      const knownSize = element.size !== null && element.dataStart + element.size <= segmentEnd;
+      const limit = knownSize ? element.dataStart + element.size! : segmentEnd;
+      const cluster = await parseCluster(reader, element.dataStart, limit, knownSize);
+
+      let cueTime: number | null = null;
+      for (const block of cluster.blocks) {
+        const times = lastTimes.get(block.track);
+        if (!times) lastTimes.set(block.track, { last: block.time, previous: null });
+        else if (block.time >= times.last) lastTimes.set(block.track, { last: block.time, previous: times.last });
+        if (cueTime === null && (videoTrack === null || (block.track === videoTrack && block.keyframe))) {
+          cueTime = block.time;
+        }
+      }
+      if (cluster.blocks.length > 0) {
+        layout.clusters.push({ dataStart: element.dataStart, dataEnd: cluster.dataEnd, cueTime });
+      }
+
+      // A cluster cut short by a crash is the end of the usable data
+      if (knownSize && cluster.dataEnd < limit) break;
+      pos = knownSize ? limit : cluster.dataEnd;
+      if (!knownSize && cluster.dataEnd === element.dataStart) break;
+      continue;
+    }
+
+    if (element.size === null || element.dataStart + element.size > segmentEnd) break;
+    const end = element.dataStart + element.size;
+
+    if (element.id === ID.Info) {
+      layout.info = Buffer.from(await readRange(reader, element.dataStart, element.size));
+      const scale = children(layout.info).find((child) => child.id === ID.TimecodeScale);
+      if (scale) layout.timecodeScale = readUint(scale.data);
+    } else if (element.id === ID.Tracks) {
+      layout.tracksData = Buffer.from(await readRange(reader, element.dataStart, element.size));
+      layout.tracks = parseTracks(layout.tracksData);
+      videoTrack = layout.tracks.find((track) => track.type === TRACK_TYPE_VIDEO)?.number ?? null;
+    } else if (element.id !== ID.SeekHead && element.id !== ID.Cues && element.id !== ID.Void
+      && element.id !== ID.CRC32 && element.size <= READ_WINDOW) {
+      layout.extras.push(Buffer.from(await readRange(reader, pos, end - pos)));
+    }
+
+    pos = end;
+  }
+
+  if (layout.tracks.length === 0 || layout.clusters.length === 0) throw new Error("No tracks or media data");
+
+  // The last frame plays for a frame's length after it starts: DefaultDuration if the
+  // track has one, otherwise the gap before it
+  for (const [trackNumber, times] of lastTimes) {
+    const track = layout.tracks.find((t) => t.number === trackNumber);
+    const frame = track?.defaultDuration
+      ? track.defaultDuration / layout.timecodeScale
+      : times.previous === null ? 0 : times.last - times.previous;
+    layout.duration = Math.max(layout.duration, times.last + frame);
+  }
+  return layout;
+}
+
+// ============================================
+// Writing WebM
+// ============================================
+
+function encodeId(id: number): Buffer {
+  const length = id > 0xffffff ? 4 : id > 0xffff ? 3 : id > 0xff ? 2 : 1;
+  const buf = Buffer.alloc(length);
+  buf.writeUIntBE(id, 0, length);
+  return buf;
+}
+
+// Fixed-width sizes keep offsets computable before anything is written
+function encodeSize(size: number, width?: number): Buffer {
+  let length = width ?? 1;
+  while (!width && size >= 2 ** (7 * length) - 1) length++;
+  const buf = Buffer.alloc(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    buf[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  buf[0] |= 0x80 >> (length - 1);
+  return buf;
+}
+
+function encodeUint(value: number, width?: number): Buffer {
+  let length = width ?? 1;
+  while (!width && value >= 2 ** (8 * length)) length++;
+  const buf = Buffer.alloc(length);
+  let rest = value;
+  for (let i = length - 1; i >= 0; i--) {
+    buf[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  return buf;
+}
+
+function element(id: number, ...data: Buffer[]): Buffer {
+  const body = Buffer.concat(data);
+  return Buffer.concat([encodeId(id), encodeSize(body.length), body]);
+}
+
+function buildCues(layout: WebmLayout, clusterPositions: number[]): Buffer {
+  const cueTrack = (layout.tracks.find((track) => track.type === TRACK_TYPE_VIDEO) ?? layout.tracks[0]).number;
+  const points = layout.clusters
+    .map((cluster, index) => ({ cluster, position: clusterPositions[index] }))
+    .filter(({ cluster }) => cluster.cueTime !== null)
+    .map(({ cluster, position }) => element(ID.CuePoint,
+      element(ID.CueTime, encodeUint(Math.max(0, cluster.cueTime!))),
+      element(ID.CueTrackPositions,
+        element(ID.CueTrack, encodeUint(cueTrack)),
+        element(ID.CueClusterPosition, encodeUint(position, 8)),
+      ),
+    ));
+  return element(ID.Cues, ...points);
+}
+
+function buildSeekHead(entries: [number, number][]): Buffer {
+  return element(ID.SeekHead, ...entries.map(([id, position]) => element(ID.Seek,
+    element(ID.SeekID, encodeId(id)),
+    element(ID.SeekPosition, encodeUint(position, 8)),
+  )));
+}
+
+async function copyRange(reader: Reader, out: FileHandle, start: number, end: number) {
+  for (let pos = start; pos < end; pos += READ_WINDOW) {
+    await out.write(await readRange(reader, pos, Math.min(READ_WINDOW, end - pos)));
+  }
+}
+
+// Rewrite a MediaRecorder WebM in place: duration in Info, sized clusters and a
+// Cues index up front (with a SeekHead pointing at it) so players can seek.
+export async function fixWebm(path: string) {
+  const reader = await openReader(path);
+  const tmpPath = `${path}.tmp`;
+
+  try {
+    const layout = await scanWebm(reader);
+
+    const durationValue = Buffer.alloc(8);
+    durationValue.writeDoubleBE(layout.duration);
+    const info = element(ID.Info,
+      ...children(layout.info)
+        .filter((child) => child.id !== ID.Duration && child.id !== ID.Void && child.id !== ID.CRC32)
+        .map((child) => child.raw),
+      element(ID.Duration, durationValue),
+    );
+    const tracks = element(ID.Tracks, layout.tracksData);
+    const extras = Buffer.concat(layout.extras);
+
+    // Positions are relative to the Segment data; every size below is fixed up front
+    const seekHeadSize = buildSeekHead([[ID.Info, 0], [ID.Tracks, 0], [ID.Cues, 0]]).length;
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + info.length;
+    const cuesPosition = tracksPosition + tracks.length + extras.length;
+    const cuesSize = buildCues(layout, layout.clusters.map(() => 0)).length;
+
+    const clusterHeaderSize = encodeId(ID.Cluster).length + 8;
+    const clusterPositions: number[] = [];
+    let position = cuesPosition + cuesSize;
+    for (const cluster of layout.clusters) {
+      clusterPositions.push(position);
+      position += clusterHeaderSize + cluster.dataEnd - cluster.dataStart;
+    }
+
+    const out = await open(tmpPath, "w");
+    try {
+      await out.write(Buffer.concat([
+        layout.header,
+        encodeId(ID.Segment),
+        encodeSize(position, 8),
+        buildSeekHead([[ID.Info, infoPosition], [ID.Tracks, tracksPosition], [ID.Cues, cuesPosition]]),
+        info,
+        tracks,
+        extras,
+        buildCues(layout, clusterPositions),
+      ]));
+
+      for (const cluster of layout.clusters) {
+        await out.write(Buffer.concat([encodeId(ID.Cluster), encodeSize(cluster.dataEnd - cluster.dataStart, 8)]));
+        await copyRange(reader, out, cluster.dataStart, cluster.dataEnd);
+      }
+    } finally {
+      await out.close();
+    }
+
+    await reader.handle.close();
+    await rename(tmpPath, path);
+  } catch (e) {
+    await reader.handle.close().catch(() => { });
+    await unlink(tmpPath).catch(() => { });
+    throw e;
+  }
+}
+
+// ============================================
+// Remuxing to fragmented MP4
+// ============================================
+
+function box(type: string, ...data: Buffer[]): Buffer {
+  const body = Buffer.concat(data);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, "ascii");
+  return Buffer.concat([header, body]);
+}
+
+function fullBox(type: string, version: number, flags: number, ...data: Buffer[]): Buffer {
+  const versionAndFlags = Buffer.alloc(4);
+  versionAndFlags.writeUInt32BE((version << 24) | flags);
+  return box(type, versionAndFlags, ...data);
+}
+
+function u8(value: number): Buffer { return Buffer.from([value & 0xff]); }
+function u16(value: number): Buffer { const b = Buffer.alloc(2); b.writeUInt16BE(value & 0xffff); return b; }
+function u32(value: number): Buffer { const b = Buffer.alloc(4); b.writeUInt32BE(value >>> 0); return b; }
+function u64(value: number): Buffer { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(Math.max(0, Math.round(value)))); return b; }
+
+// Identity matrix used by mvhd and tkhd
+const MATRIX = Buffer.concat([0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(u32));
+
+interface Mp4Track {
+  id: number; // 1-based track_ID
+  source: Track;
+  timescale: number;
+  sampleEntry: Buffer;
+  lastDuration: number; // Used for the very last sample, which has no successor
+}
+
+function visualSampleEntry(type: string, track: Track, ...boxes: Buffer[]): Buffer {
+  const compressorName = Buffer.alloc(32);
+  return box(type,
+    Buffer.alloc(6), u16(1),    // reserved, data_reference_index
+    Buffer.alloc(16),           // pre_defined + reserved
+    u16(track.width), u16(track.height),
+    u32(0x00480000), u32(0x00480000), // 72 dpi
+    u32(0), u16(1),             // reserved, frame_count
+    compressorName,
+    u16(0x0018), u16(0xffff),   // depth, pre_defined = -1
+    ...boxes,
+  );
+}
+
+// VP8/VP9 codec configuration (vpcC v1) - 8-bit 4:2:0 BT.709, which is what browsers record
+function vpcC(profile: number): Buffer {
+  return fullBox("vpcC", 1, 0,
+    u8(profile), u8(31),          // profile, level 3.1
+    u8((8 << 4) | (1 << 1) | 0),  // bitDepth, chromaSubsampling 4:2:0 colocated, limited range
+    u8(1), u8(1), u8(1),          // BT.709 primaries, transfer, matrix
+    u16(0),                       // no codec initialization data
+  );
+}
+
+// dOps is OpusHead without the magic, big-endian
+function dOps(opusHead: Buffer | null, track: Track): Buffer {
+  const channels = opusHead ? opusHead[9] : track.channels;
+  const preSkip = opusHead ? opusHead.readUInt16LE(10) : 312;
+  const inputRate = opusHead ? opusHead.readUInt32LE(12) : 48000;
+  const gain = opusHead ? opusHead.readInt16LE(16) : 0;
+  const mappingFamily = opusHead ? opusHead[18] : 0;
+  const gainBuf = Buffer.alloc(2);
+  gainBuf.writeInt16BE(gain);
+  return box("dOps",
+    u8(0), u8(channels), u16(preSkip), u32(inputRate), gainBuf, u8(mappingFamily),
+    mappingFamily !== 0 && opusHead ? opusHead.subarray(19) : Buffer.alloc(0),
+  );
+}
+
+function createMp4Track(track: Track, id: number): Mp4Track {
+  let sampleEntry: Buffer;
+  switch (track.codecId) {
+    case "V_VP8":
+      sampleEntry = visualSampleEntry("vp08", track, vpcC(0));
+      break;
+    case "V_VP9":
+      sampleEntry = visualSampleEntry("vp09", track, vpcC(0));
+      break;
+    // Without the decoder configuration from CodecPrivate players refuse the file
+    case "V_MPEG4/ISO/AVC":
+      if (!track.codecPrivate) throw new Error("H.264 track without CodecPrivate can't be remuxed to MP4");
+      sampleEntry = visualSampleEntry("avc1", track, box("avcC", track.codecPrivate));
+      break;
+    case "V_MPEGH/ISO/HEVC":
+      if (!track.codecPrivate) throw new Error("H.265 track without CodecPrivate can't be remuxed to MP4");
+      sampleEntry = visualSampleEntry("hvc1", track, box("hvcC", track.codecPrivate));
+      break;
+    case "A_OPUS":
+      sampleEntry = box("Opus",
+        Buffer.alloc(6), u16(1),       // reserved, data_reference_index
+        Buffer.alloc(8),               // reserved
+        u16(track.channels), u16(16),  // channelcount, samplesize
+        u16(0), u16(0),                // pre_defined, reserved
+        u32(48000 * 65536),            // samplerate 16.16 - Opus always decodes at 48 kHz
+        dOps(track.codecPrivate, track),
+      );
+      break;
+    default:
+      throw new Error(`Codec ${track.codecId} can't be remuxed to MP4`);
+  }
+
+  const isVideo = track.type === TRACK_TYPE_VIDEO;
+  return {
+    id,
+    source: track,
+    timescale: isVideo ? 1000 : 48000,
+    sampleEntry,
+    lastDuration: isVideo ? 40 : 960, // 25 fps frame, 20 ms Opus frame
+  };
+}
+
+function buildMoov(tracks: Mp4Track[], durationMs: number): Buffer {
+  const mvhd = fullBox("mvhd", 0, 0,
+    u32(0), u32(0), u32(1000), u32(Math.round(durationMs)), // times, timescale, duration
+    u32(0x00010000), u16(0x0100), Buffer.alloc(10),           // rate, volume, reserved
+    MATRIX, Buffer.alloc(24), u32(tracks.length + 1),          // matrix, pre_defined, next_track_ID
+  );
+
+  const traks = tracks.map((track) => {
+    const isVideo = track.source.type === TRACK_TYPE_VIDEO;
+    const tkhd = fullBox("tkhd", 0, 3,
+      u32(0), u32(0), u32(track.id), u32(0), u32(Math.round(durationMs)),
+      Buffer.alloc(8), u16(0), u16(0), u16(isVideo ? 0 : 0x0100), u16(0), // reserved, layer, group, volume
+      MATRIX, u32(track.source.width * 65536), u32(track.source.height * 65536),
+    );
+    const mdhd = fullBox("mdhd", 0, 0, u32(0), u32(0), u32(track.timescale), u32(0), u16(0x55c4), u16(0)); // "und"
+    const hdlr = fullBox("hdlr", 0, 0, u32(0), Buffer.from(isVideo ? "vide" : "soun"), Buffer.alloc(12),
+      Buffer.from(isVideo ? "VideoHandler\0" : "SoundHandler\0"));
+    const mediaHeader = isVideo ? fullBox("vmhd", 0, 1, Buffer.alloc(8)) : fullBox("smhd", 0, 0, Buffer.alloc(4));
+    const dinf = box("dinf", fullBox("dref", 0, 0, u32(1), fullBox("url ", 0, 1)));
+    const stbl = box("stbl",
+      fullBox("stsd", 0, 0, u32(1), track.sampleEntry),
+      fullBox("stts", 0, 0, u32(0)),
+      fullBox("stsc", 0, 0, u32(0)),
+      fullBox("stsz", 0, 0, u32(0), u32(0)),
+      fullBox("stco", 0, 0, u32(0)),
+    );
+    return box("trak", tkhd, box("mdia", mdhd, hdlr, box("minf", mediaHeader, dinf, stbl)));
+  });
+
+  const mvex = box("mvex",
+    fullBox("mehd", 0, 0, u32(Math.round(durationMs))),
+    ...tracks.map((track) => fullBox("trex", 0, 0, u32(track.id), u32(1), u32(0), u32(0), u32(0))),
+  );
+
+  return box("moov", mvhd, ...traks, mvex);
+}
+
+interface Mp4Sample {
+  time: number; // In the track's timescale
+  duration: number;
+  data: Buffer;
+  keyframe: boolean;
+}
+
+const SAMPLE_FLAGS_SYNC = 0x02000000;     // depends on no other sample
+const SAMPLE_FLAGS_NON_SYNC = 0x01010000; // depends on others, not a sync sample
+
+function buildFragment(sequence: number, fragments: { track: Mp4Track; samples: Mp4Sample[] }[]): Buffer {
+  // trun data offsets point into the mdat that follows, so size the moof first
+  const build = (dataOffsets: number[]) => box("moof",
+    fullBox("mfhd", 0, 0, u32(sequence)),
+    ...fragments.map(({ track, samples }, index) => box("traf",
+      fullBox("tfhd", 0, 0x020000, u32(track.id)), // default-base-is-moof
+      fullBox("tfdt", 1, 0, u64(samples[0].time)),
+      fullBox("trun", 0, 0x000701, u32(samples.length), u32(dataOffsets[index]), // offset, duration, size, flags
+        ...samples.flatMap((sample) => [
+          u32(sample.duration),
+          u32(sample.data.length),
+          u32(sample.keyframe ? SAMPLE_FLAGS_SYNC : SAMPLE_FLAGS_NON_SYNC),
+        ])),
+    )),
+  );
+
+  const moofSize = build(fragments.map(() => 0)).length;
+  const dataOffsets: number[] = [];
+  let offset = moofSize + 8;
+  for (const { samples } of fragments) {
+    dataOffsets.push(offset);
+    offset += samples.reduce((total, sample) => total + sample.data.length, 0);
+  }
+
+  return Buffer.concat([
+    build(dataOffsets),
+    box("mdat", ...fragments.flatMap(({ samples }) => samples.map((sample) => sample.data))),
+  ]);
+}
+
+// Remux a (fixed or raw) MediaRecorder WebM into fragmented MP4, one fragment per cluster
+export async function remuxToMp4(webmPath: string, mp4Path: string) {
+  const reader = await openReader(webmPath);
+  const tmpPath = `${mp4Path}.tmp`;
+
+  try {
+    const layout = await scanWebm(reader);
+    const tracks = layout.tracks
+      .filter((track) => track.type === TRACK_TYPE_VIDEO || track.type === TRACK_TYPE_AUDIO)
+      .map((track, index) => createMp4Track(track, index + 1));
+    const byNumber = new Map(tracks.map((track) => [track.source.number, track]));
+    const toSeconds = layout.timecodeScale / 1e9;
+
+    const out = await open(tmpPath, "w");
+    try {
+      await out.write(Buffer.concat([
+        box("ftyp", Buffer.from("iso5"), u32(512), Buffer.from("iso5iso6mp41")),
+        buildMoov(tracks, layout.duration * toSeconds * 1000),
+      ]));
+
+      // Sample durations need the next sample's time, so each cluster is written
+      // once the following one has been read
+      let pending = new Map<Mp4Track, Mp4Sample[]>();
+      let sequence = 1;
+
+      const flush = async (next: Map<Mp4Track, Mp4Sample[]> | null) => {
+        const fragments = [];
+        for (const [track, samples] of pending) {
+          const following = next?.get(track)?.[0];
+          samples.forEach((sample, index) => {
+            const nextTime = index + 1 < samples.length ? samples[index + 1].time : following?.time;
+            if (nextTime !== undefined && nextTime > sample.time) track.lastDuration = nextTime - sample.time;
+            sample.duration = nextTime !== undefined ? Math.max(0, nextTime - sample.time) : track.lastDuration;
+          });
+          if (samples.length > 0) fragments.push({ track, samples });
+        }
+        if (fragments.length > 0) await out.write(buildFragment(sequence++, fragments));
+      };
+
+      for (const cluster of layout.clusters) {
+        const { blocks } = await parseCluster(reader, cluster.dataStart, cluster.dataEnd, true);
+        const data = await readRange(reader, cluster.dataStart, cluster.dataEnd - cluster.dataStart);
+
+        const current = new Map<Mp4Track, Mp4Sample[]>();
+        for (const block of blocks) {
+          const track = byNumber.get(block.track);
+          if (!track) continue;
+          if (!current.has(track)) current.set(track, []);
+          const start = block.dataOffset - cluster.dataStart;
+          current.get(track)!.push({
+            time: Math.max(0, Math.round(block.time * toSeconds * track.timescale)),
+            duration: 0,
+            data: data.subarray(start, start + block.dataLength),
+            keyframe: track.source.type === TRACK_TYPE_AUDIO || block.keyframe,
+          });
+        }
+
+        await flush(current);
+        pending = current;
+      }
+      await flush(null);
+    } finally {
+      await out.close();
+    }
+
+    await reader.handle.close();
+    await rename(tmpPath, mp4Path);
+  } catch (e) {
+    await reader.handle.close().catch(() => { });
+    await unlink(tmpPath).catch(() => { });
+    throw e;
+  }
+}